@@ -278,6 +278,9 @@ function restoreGame() {
             // Switch to game screen
             solitaireGame.uiManager.showScreen('game-screen');
             
+            // Build the layout for the saved game's variant
+            solitaireGame.uiManager.setupGameTypeUI(solitaireGame.uiManager.gameState.variant);
+            
             // Update difficulty display
             solitaireGame.uiManager.updateDifficultyDisplay();
             
@@ -291,7 +294,8 @@ function restoreGame() {
             solitaireGame.uiManager.updateButtonStates();
             
             // Resume the game timer if the game was in progress
-            if (solitaireGame.gameState.startTime && !solitaireGame.gameState.gameWon) {
+            const gameState = solitaireGame.uiManager.gameState;
+            if (gameState.startTime && !gameState.gameWon && !gameState.gameLost) {
                 solitaireGame.uiManager.startGameTimer();
             }
             
@@ -306,19 +310,23 @@ function restoreGame() {
         }
     }
     
-    dismissRestore();
+    dismissRestore(true);
 }
 
 /**
  * Dismiss restore notification and clear saved game
+ * @param {boolean} restored - Whether the saved game was resumed; if not, it counts as abandoned
  */
-function dismissRestore() {
+function dismissRestore(restored = false) {
     const banner = document.getElementById('restore-banner');
-    if (banner) {
-        banner.remove();
-    }
+    if (!banner) return; // Already answered
+    
+    banner.remove();
     
     if (solitaireGame) {
+        if (!restored) {
+            solitaireGame.uiManager.abandonGame(solitaireGame.gameState);
+        }
         solitaireGame.clearSavedGame();
     }
 }
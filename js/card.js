@@ -17,13 +17,14 @@ class Card {
 
     /**
      * Get the display name for the rank
+     * @param {boolean} fullName - Spell out Ace and the face cards (e.g. 'Queen' instead of 'Q')
      */
-    getRankName() {
+    getRankName(fullName = false) {
         switch (this.rank) {
-            case 1: return 'A';
-            case 11: return 'J';
-            case 12: return 'Q';
-            case 13: return 'K';
+            case 1: return fullName ? 'Ace' : 'A';
+            case 11: return fullName ? 'Jack' : 'J';
+            case 12: return fullName ? 'Queen' : 'Q';
+            case 13: return fullName ? 'King' : 'K';
             default: return this.rank.toString();
         }
     }
@@ -57,22 +58,30 @@ class Card {
 
     /**
      * Check if this card can be placed on another card in the tableau
-     * Rules vary by game type: Klondike (alternating colors) vs Spider (same suit or any suit)
+     * (alternating colors, descending rank - only a King can fill an empty column)
      */
-    canPlaceOnTableau(otherCard, gameType = 'klondike') {
+    canPlaceOnTableau(otherCard) {
         if (!otherCard) {
-            // Can only place King on empty tableau column
+            // Only a King can fill an empty column
             return this.rank === 13;
         }
 
-        if (gameType === 'spider') {
-            // Spider rules: descending rank, any suit allowed (but same suit preferred)
-            return this.rank === otherCard.rank - 1;
-        } else {
-            // Klondike rules: alternating colors, descending rank
-            return (this.isRed() !== otherCard.isRed()) && 
-                   (this.rank === otherCard.rank - 1);
+        // Alternating colors, descending rank
+        return (this.isRed() !== otherCard.isRed()) &&
+               (this.rank === otherCard.rank - 1);
+    }
+
+    /**
+     * Check if this card can be placed on another card regardless of suit
+     * (descending rank - any card can fill an empty column)
+     */
+    canPlaceOnAnySuit(otherCard) {
+        if (!otherCard) {
+            // Any card can fill an empty column
+            return true;
         }
+
+        return this.rank === otherCard.rank - 1;
     }
 
     /**
@@ -92,18 +101,24 @@ class Card {
 
     /**
      * Check if this card can be placed on a foundation pile
-     * (same suit, ascending rank starting with Ace)
+     * (same suit, ascending rank starting with the base rank - Ace unless a game such as
+     * Canfield picks another - and wrapping from King to Ace)
+     * @param {number} baseRank - Rank every foundation starts with
      */
-    canPlaceOnFoundation(foundationCards) {
+    canPlaceOnFoundation(foundationCards, baseRank = 1) {
         if (foundationCards.length === 0) {
-            // Only Ace can start a foundation
-            return this.rank === 1;
+            // Only the base rank can start a foundation
+            return this.rank === baseRank;
+        }
+
+        if (foundationCards.length === 13) {
+            return false; // The suit is complete
         }
 
         const topCard = foundationCards[foundationCards.length - 1];
-        // Must be same suit and one rank higher
+        // Must be same suit and one rank higher (Ace follows King)
         return this.suit === topCard.suit && 
-               this.rank === topCard.rank + 1;
+               this.rank === topCard.rank % 13 + 1;
     }
 
     /**
@@ -162,10 +177,12 @@ class Card {
 
     /**
      * Get card value for scoring (Ace=1, Face cards=10)
+     * @param {boolean} faceCardsByRank - Count face cards by rank (Jack=11, Queen=12, King=13),
+     *                                    as in Pyramid where pairs must add up to 13
      */
-    getValue() {
+    getValue(faceCardsByRank = false) {
         if (this.rank === 1) return 1; // Ace
-        if (this.rank > 10) return 10; // Face cards
+        if (this.rank > 10) return faceCardsByRank ? this.rank : 10; // Face cards
         return this.rank;
     }
 
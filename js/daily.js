@@ -0,0 +1,109 @@
+/**
+ * DailyChallenge class for the Daily Challenge deals
+ * Every date has one Klondike and one Spider deal, dealt locally from a seed made
+ * from the date (see Deck.getDailySeed), so the challenge works offline.
+ * Wins are kept per date and game for the calendar, best times, move counts and streaks
+ */
+class DailyChallenge {
+    /**
+     * Get the key of a date in the player's time zone, e.g. '2024-03-09'
+     */
+    static getDateKey(date = new Date()) {
+        const month = `${date.getMonth() + 1}`.padStart(2, '0');
+        const day = `${date.getDate()}`.padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Turn a date key back into a (local midnight) date
+     */
+    static parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Get the deal number of a date's challenge
+     * @param {string} dateKey - Date of the challenge (see getDateKey)
+     * @param {string} gameType - 'klondike' or 'spider'
+     */
+    static getSeed(dateKey, gameType) {
+        return Deck.getDailySeed(dateKey, gameType, VariantRegistry.get(gameType).getMaxSeed());
+    }
+
+    /**
+     * Load the results of every daily won, keyed by date and then game
+     */
+    static loadResults() {
+        try {
+            const saved = localStorage.getItem(DailyChallenge.STORAGE_KEY);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Get the result of a date's challenge
+     * @returns {Object|null} { bestTime, bestMoves }, or null if it hasn't been won
+     */
+    static getResult(dateKey, gameType, results = DailyChallenge.loadResults()) {
+        return (results[dateKey] && results[dateKey][gameType]) || null;
+    }
+
+    /**
+     * Record a won daily, keeping the best time and the fewest moves of every win
+     * @param {GameState} gameState - The won game (its daily is the challenge's date)
+     * @returns {Object} The challenge's result
+     */
+    static recordWin(gameState) {
+        const results = DailyChallenge.loadResults();
+        const stats = gameState.getGameStats();
+        const day = results[gameState.daily] || (results[gameState.daily] = {});
+        const previous = day[gameState.gameType];
+
+        day[gameState.gameType] = {
+            bestTime: previous ? Math.min(previous.bestTime, stats.gameTime) : stats.gameTime,
+            bestMoves: previous ? Math.min(previous.bestMoves, stats.moves) : stats.moves
+        };
+
+        try {
+            localStorage.setItem(DailyChallenge.STORAGE_KEY, JSON.stringify(results));
+        } catch (error) {
+            console.warn('Could not save the daily challenge result:', error);
+        }
+
+        return day[gameState.gameType];
+    }
+
+    /**
+     * Count the days in a row a game's daily has been won
+     * The streak runs up to today, or up to yesterday while today's is still open
+     */
+    static getStreak(gameType, today = new Date()) {
+        const results = DailyChallenge.loadResults();
+        const date = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        let streak = 0;
+
+        if (!DailyChallenge.getResult(DailyChallenge.getDateKey(date), gameType, results)) {
+            date.setDate(date.getDate() - 1); // Today's challenge can still be won
+        }
+
+        while (DailyChallenge.getResult(DailyChallenge.getDateKey(date), gameType, results)) {
+            streak++;
+            date.setDate(date.getDate() - 1);
+        }
+
+        return streak;
+    }
+}
+
+DailyChallenge.STORAGE_KEY = 'solitaire-daily';  // localStorage key for daily results
+DailyChallenge.GAMES = ['klondike', 'spider'];   // Games with a daily deal
+DailyChallenge.DIFFICULTY = 'medium';            // Draw one Klondike, two-suit Spider
+DailyChallenge.RULES = { winnableDeals: true };  // Daily deals are proven winnable by the solver
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DailyChallenge;
+}
@@ -5,9 +5,11 @@
 class Deck {
     /**
      * Create a new deck and initialize it with 52 cards
+     * @param {SeededRandom} random - Generator used for shuffling (a random deal number is used if omitted)
      */
-    constructor() {
+    constructor(random = null) {
         this.cards = []; // Array to hold all 52 cards
+        this.random = random || new SeededRandom(SeededRandom.generateSeed()); // Source of randomness for reproducible deals
         this.createDeck(); // Populate the deck with cards
     }
 
@@ -31,10 +33,11 @@ class Deck {
 
     /**
      * Shuffle the deck using Fisher-Yates algorithm
+     * Uses the deck's seeded generator so the same deal number gives the same order
      */
     shuffle() {
         for (let i = this.cards.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = this.random.nextInt(i + 1);
             [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
         }
     }
@@ -42,19 +45,21 @@ class Deck {
     /**
      * Deal cards for Klondike Solitaire
      * Returns an object with tableau, stock, and foundation arrays
+     * @param {number} columnCount - Number of tableau columns (9 for Double Klondike)
+     * @param {number} foundationCount - Number of foundation piles (8 for two decks)
      */
-    deal() {
+    deal(columnCount = 7, foundationCount = 4) {
         this.shuffle();
         
-        const tableau = [[], [], [], [], [], [], []]; // 7 columns
-        const foundation = [[], [], [], []]; // 4 foundation piles (one per suit)
+        const tableau = Array.from({ length: columnCount }, () => []);
+        const foundation = Array.from({ length: foundationCount }, () => []); // One pile per suit and deck
         const stock = [];
         const waste = [];
 
         let cardIndex = 0;
 
         // Deal tableau (1 card to first column, 2 to second, etc.)
-        for (let col = 0; col < 7; col++) {
+        for (let col = 0; col < columnCount; col++) {
             for (let row = 0; row <= col; row++) {
                 const card = this.cards[cardIndex++];
                 // Only the last card in each column is face up
@@ -78,6 +83,34 @@ class Deck {
         };
     }
 
+    /**
+     * Create a deal that the Klondike solver has proven to be winnable
+     * Tries several shuffles from the deck's generator (so the deal number stays reproducible)
+     * and falls back to the reverse-solve layout if none is solved within the search budget
+     * Each shuffle gets a small search budget: most winnable deals are solved within a few hundred
+     * positions, so reshuffling is cheaper than searching a hard deal (this runs on the page's main thread)
+     * @param {number} drawCount - Stock rule the deal must be winnable with (1 or 3)
+     * @param {number} stockPasses - Passes through the stock the deal must be winnable in, or -1 for unlimited
+     * @param {number} maxAttempts - Number of shuffles to try before falling back
+     */
+    createSolvableDeal(drawCount = 1, stockPasses = -1, maxAttempts = 10) {
+        const solver = new KlondikeSolver({ drawCount, stockPasses, maxNodes: 500 });
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            this.reset(); // Fresh face-down cards for every attempt
+            const deal = this.deal();
+
+            if (solver.solve(deal).solved) {
+                deal.verified = true; // Proven winnable
+                return deal;
+            }
+        }
+
+        const deal = this.createWinnableDeal();
+        deal.verified = false; // Fallback layout has not been checked by the solver
+        return deal;
+    }
+
     /**
      * Create a winnable deal for easy mode
      * This uses a reverse-solve algorithm
@@ -124,7 +157,7 @@ class Deck {
         
         // Shuffle the remaining cards
         for (let i = remainingCards.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = this.random.nextInt(i + 1);
             [remainingCards[i], remainingCards[j]] = [remainingCards[j], remainingCards[i]];
         }
         
@@ -143,19 +176,19 @@ class Deck {
      */
     generateUndoMoves(foundation, tableau) {
         const moves = [];
-        const numMoves = 15 + Math.floor(Math.random() * 10); // 15-25 moves
+        const numMoves = 15 + this.random.nextInt(10); // 15-25 moves
 
         for (let i = 0; i < numMoves; i++) {
             // Randomly choose to move from foundation to tableau
-            const fromSuit = Math.floor(Math.random() * 4);
-            const toColumn = Math.floor(Math.random() * 7);
+            const fromSuit = this.random.nextInt(4);
+            const toColumn = this.random.nextInt(7);
             
             if (foundation[fromSuit].length > 0) {
                 moves.push({
                     type: 'foundation-to-tableau',
                     fromSuit,
                     toColumn,
-                    cardCount: 1 + Math.floor(Math.random() * 3) // Move 1-3 cards
+                    cardCount: 1 + this.random.nextInt(3) // Move 1-3 cards
                 });
             }
         }
@@ -307,45 +340,34 @@ class Deck {
 
     /**
      * Deal cards for Spider Solitaire
-     * Uses 2 decks (104 cards) with specified number of suits
+     * Uses 2 decks (104 cards) by default, with specified number of suits
      * @param {number} suitCount - 1, 2, or 4 suits to use
+     * @param {number} deckCount - Number of decks (1 for Spiderette)
+     * @param {number[]} columnSizes - Cards dealt to each column, the last one face up
      */
-    dealSpider(suitCount = 2) {
+    dealSpider(suitCount = 2, deckCount = 2, columnSizes = [6, 6, 6, 6, 5, 5, 5, 5, 5, 5]) {
         // Create Spider deck with specified number of suits
-        this.createSpiderDeck(suitCount);
+        this.createSpiderDeck(suitCount, deckCount);
         this.shuffle();
         
-        const tableau = [[], [], [], [], [], [], [], [], [], []]; // 10 columns
+        const tableau = columnSizes.map(() => []);
         const stock = [];
         
         let cardIndex = 0;
         
-        // Deal initial tableau: 6 cards to first 4 columns, 5 cards to last 6 columns
-        // First 4 columns get 6 cards each (24 cards total)
-        for (let col = 0; col < 4; col++) {
-            for (let row = 0; row < 6; row++) {
-                const card = this.cards[cardIndex++];
-                // Only the last card in each column is face up
-                if (row === 5) {
-                    card.faceUp = true;
-                }
-                tableau[col].push(card);
-            }
-        }
-        
-        // Last 6 columns get 5 cards each (30 cards total)
-        for (let col = 4; col < 10; col++) {
-            for (let row = 0; row < 5; row++) {
+        // Deal initial tableau (Spider: 6 cards to the first 4 columns, 5 to the last 6)
+        columnSizes.forEach((size, col) => {
+            for (let row = 0; row < size; row++) {
                 const card = this.cards[cardIndex++];
                 // Only the last card in each column is face up
-                if (row === 4) {
+                if (row === size - 1) {
                     card.faceUp = true;
                 }
                 tableau[col].push(card);
             }
-        }
+        });
         
-        // Remaining 50 cards go to stock (104 - 54 = 50)
+        // Remaining cards go to stock (104 - 54 = 50 in Spider)
         while (cardIndex < this.cards.length) {
             stock.push(this.cards[cardIndex++]);
         }
@@ -358,11 +380,39 @@ class Deck {
         };
     }
 
+    /**
+     * Create a Spider deal that the Spider solver has proven to be winnable
+     * Tries several shuffles from the deck's generator (so the deal number stays reproducible)
+     * and falls back to the last random deal if none is solved within the search budget
+     * @param {number} suitCount - 1, 2, or 4 suits to use
+     * @param {number} sequencesToWin - Completed sequences needed to win the game
+     * @param {number} maxAttempts - Number of shuffles to try before falling back
+     * @param {number} deckCount - Number of decks (see dealSpider)
+     * @param {number[]} columnSizes - Cards dealt to each column (see dealSpider)
+     */
+    createSolvableSpiderDeal(suitCount = 1, sequencesToWin = 4, maxAttempts = 10, deckCount = 2, columnSizes = undefined) {
+        const solver = new SpiderSolver({ sequencesToWin, maxNodes: 10000 });
+        let deal = null;
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            deal = this.dealSpider(suitCount, deckCount, columnSizes);
+
+            if (solver.solve(deal).solved) {
+                deal.verified = true; // Proven winnable
+                return deal;
+            }
+        }
+
+        deal.verified = false; // Random deal that could not be proven within the budget
+        return deal;
+    }
+
     /**
      * Create a Spider solitaire deck with specified number of suits
      * @param {number} suitCount - 1, 2, or 4 suits to use
+     * @param {number} deckCount - Number of 52-card decks (2 for Spider)
      */
-    createSpiderDeck(suitCount = 2) {
+    createSpiderDeck(suitCount = 2, deckCount = 2) {
         this.cards = [];
         const ranks = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13];
         
@@ -382,8 +432,8 @@ class Deck {
                 suits = ['spades', 'hearts'];
         }
         
-        // Create 2 complete decks (104 cards total)
-        for (let deck = 0; deck < 2; deck++) {
+        // Create the complete decks (104 cards total for 2 decks)
+        for (let deck = 0; deck < deckCount; deck++) {
             // For 1-suit and 2-suit Spider, we need to fill out to 4 suits per deck
             // but use only the specified suits
             const suitsToUse = [];
@@ -407,6 +457,271 @@ class Deck {
         }
     }
 
+    /**
+     * Deal a FreeCell game using the Microsoft FreeCell deal numbers (1-32000)
+     * Reproduces the original shuffle exactly, so deal #1 here is deal #1 everywhere
+     * @param {number} dealNumber - Microsoft deal number
+     */
+    dealFreeCell(dealNumber) {
+        const suits = ['clubs', 'diamonds', 'hearts', 'spades']; // Microsoft card order: A♣ A♦ A♥ A♠ 2♣ ...
+        const cards = [];
+        for (let i = 0; i < 52; i++) {
+            cards.push(new Card(Math.floor(i / 4) + 1, suits[i % 4]));
+        }
+
+        // Microsoft C runtime rand(): linear congruential generator seeded with the deal number
+        let state = dealNumber;
+        const rand = () => {
+            state = (state * 214013 + 2531011) % 2147483648;
+            return Math.floor(state / 65536);
+        };
+
+        const tableau = [[], [], [], [], [], [], [], []]; // 8 columns
+        for (let i = 0; i < 52; i++) {
+            const remaining = 52 - i;
+            const j = rand() % remaining;
+            const card = cards[j];
+            cards[j] = cards[remaining - 1];
+
+            card.faceUp = true; // FreeCell is played with every card face up
+            tableau[i % 8].push(card);
+        }
+
+        this.cards = tableau.flat();
+
+        return {
+            tableau,
+            foundation: [[], [], [], []],
+            stock: [],
+            waste: []
+        };
+    }
+
+    /**
+     * Deal a Yukon (or Russian) game
+     * The first column gets a single face-up card; the other six get 1-6 face-down
+     * cards topped by five face-up cards. There is no stock
+     */
+    dealYukon() {
+        this.shuffle();
+
+        const tableau = [[], [], [], [], [], [], []]; // 7 columns
+        let cardIndex = 0;
+
+        for (let col = 0; col < 7; col++) {
+            const faceDownCount = col;
+            const faceUpCount = col === 0 ? 1 : 5;
+
+            for (let row = 0; row < faceDownCount + faceUpCount; row++) {
+                const card = this.cards[cardIndex++];
+                card.faceUp = row >= faceDownCount;
+                tableau[col].push(card);
+            }
+        }
+
+        return {
+            tableau,
+            foundation: [[], [], [], []],
+            stock: [],
+            waste: []
+        };
+    }
+
+    /**
+     * Deal a Scorpion game
+     * Seven columns of seven cards; the first four columns have three face-down cards
+     * under four face-up cards. The last 3 cards are kept back as the reserve deal
+     */
+    dealScorpion() {
+        this.shuffle();
+
+        const tableau = [];
+        for (let col = 0; col < 7; col++) {
+            const column = this.cards.slice(col * 7, col * 7 + 7);
+            column.forEach((card, row) => card.faceUp = col >= 4 || row >= 3);
+            tableau.push(column);
+        }
+
+        return {
+            tableau,
+            foundation: [],
+            stock: this.cards.slice(49),
+            waste: []
+        };
+    }
+
+    /**
+     * Deal a Baker's Dozen game
+     * Thirteen columns of four face-up cards, with any Kings moved to the bottom
+     * of their column (keeping the order of the other cards)
+     */
+    dealBakersDozen() {
+        this.shuffle();
+
+        const tableau = [];
+        for (let col = 0; col < 13; col++) {
+            const column = this.cards.slice(col * 4, col * 4 + 4);
+            column.forEach(card => card.faceUp = true);
+            tableau.push([...column.filter(card => card.rank === 13), ...column.filter(card => card.rank !== 13)]);
+        }
+
+        return {
+            tableau,
+            foundation: [[], [], [], []],
+            stock: [],
+            waste: []
+        };
+    }
+
+    /**
+     * Create a Baker's Dozen deal that the solver has proven to be winnable
+     * Tries several shuffles from the deck's generator (so the deal number stays reproducible)
+     * and falls back to the last random deal if none is solved within the search budget
+     * Like createSolvableDeal, each shuffle gets a small search budget and there are more of them,
+     * since fewer Baker's Dozen deals are solved quickly
+     * @param {number} maxAttempts - Number of shuffles to try before falling back
+     */
+    createSolvableBakersDozenDeal(maxAttempts = 20) {
+        const solver = new BakersDozenSolver({ maxNodes: 500 });
+        let deal = null;
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            deal = this.dealBakersDozen();
+
+            if (solver.solve(deal).solved) {
+                deal.verified = true; // Proven winnable
+                return deal;
+            }
+        }
+
+        deal.verified = false; // Random deal that could not be proven within the budget
+        return deal;
+    }
+
+    /**
+     * Deal a Canfield game
+     * 13 cards form the reserve (top card face up), the next card starts the first
+     * foundation and sets the base rank, four tableau piles get one face-up card each
+     * and the remaining 34 cards go to the stock
+     */
+    dealCanfield() {
+        this.shuffle();
+
+        const reserve = this.cards.slice(0, 13);
+        reserve[reserve.length - 1].faceUp = true;
+
+        const baseCard = this.cards[13];
+        baseCard.faceUp = true;
+
+        const tableau = this.cards.slice(14, 18).map(card => {
+            card.faceUp = true;
+            return [card];
+        });
+
+        return {
+            tableau,
+            foundation: [[baseCard], [], [], []],
+            reserve,
+            stock: this.cards.slice(18),
+            waste: []
+        };
+    }
+
+    /**
+     * Deal a Forty Thieves game from two full decks
+     * Ten columns of four face-up cards; the remaining 64 cards go to the stock
+     */
+    dealFortyThieves() {
+        this.createSpiderDeck(4);
+        this.shuffle();
+
+        const tableau = [];
+        for (let col = 0; col < 10; col++) {
+            tableau.push(this.cards.slice(col * 4, col * 4 + 4));
+            tableau[col].forEach(card => card.faceUp = true);
+        }
+
+        return {
+            tableau,
+            foundation: Array.from({ length: 8 }, () => []), // Two piles per suit
+            stock: this.cards.slice(40),
+            waste: []
+        };
+    }
+
+    /**
+     * Deal a Pyramid game
+     * 28 face-up cards form a seven-row pyramid (row by row, top first) and the
+     * remaining 24 cards go to the stock
+     */
+    dealPyramid() {
+        this.shuffle();
+
+        const board = [];
+        for (let i = 0; i < 28; i++) {
+            const card = this.cards[i];
+            card.faceUp = true;
+            board.push([card]); // Each board slot holds one card until it is removed
+        }
+
+        return {
+            board,
+            stock: this.cards.slice(28),
+            waste: []
+        };
+    }
+
+    /**
+     * Deal a TriPeaks game
+     * 28 cards form three peaks (3 + 6 + 9 rows face down, then a face-up bottom row of 10),
+     * one card starts the waste and the remaining 23 go to the stock
+     */
+    dealTriPeaks() {
+        this.shuffle();
+
+        const board = [];
+        for (let i = 0; i < 28; i++) {
+            const card = this.cards[i];
+            card.faceUp = i >= 18; // Only the bottom row starts face up
+            board.push([card]);
+        }
+
+        const firstWasteCard = this.cards[28];
+        firstWasteCard.faceUp = true;
+
+        return {
+            board,
+            stock: this.cards.slice(29),
+            waste: [firstWasteCard]
+        };
+    }
+
+    /**
+     * Deal a Golf game
+     * Seven columns of five face-up cards, one card to start the waste
+     * and the remaining 16 in the stock
+     */
+    dealGolf() {
+        this.shuffle();
+
+        const tableau = [[], [], [], [], [], [], []]; // 7 columns
+        for (let i = 0; i < 35; i++) {
+            const card = this.cards[i];
+            card.faceUp = true; // Golf is played with every tableau card face up
+            tableau[i % 7].push(card);
+        }
+
+        const firstWasteCard = this.cards[35];
+        firstWasteCard.faceUp = true;
+
+        return {
+            tableau,
+            foundation: [],
+            stock: this.cards.slice(36),
+            waste: [firstWasteCard]
+        };
+    }
+
     /**
      * Create deck from existing cards (for loading saved games)
      */
@@ -421,6 +736,26 @@ class Deck {
         });
         return deck;
     }
+
+    /**
+     * Get the deal number of a Daily Challenge
+     * The date and game are hashed (32-bit FNV-1a), so every player gets the same
+     * daily deals without a server
+     * @param {string} dateKey - Date of the challenge, 'YYYY-MM-DD'
+     * @param {string} gameType - Variant id, e.g. 'klondike'
+     * @param {number} maxSeed - Highest deal number the game allows
+     */
+    static getDailySeed(dateKey, gameType, maxSeed = SeededRandom.MAX_SEED) {
+        const text = `${dateKey}/${gameType}`;
+        let hash = 0x811C9DC5; // FNV offset basis
+
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0; // FNV prime
+        }
+
+        return 1 + (hash % maxSeed);
+    }
 }
 
 // Export for use in other modules
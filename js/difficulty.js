@@ -50,6 +50,7 @@ class DifficultyManager {
 
         this.currentDifficulty = 'medium'; // Default difficulty level
         this.hintSystem = new HintSystem(); // Initialize the hint analysis system
+        this.loadCustomPresets(); // Add the player's saved custom rule presets
     }
 
     /**
@@ -77,6 +78,187 @@ class DifficultyManager {
         return this.difficulties;
     }
 
+    /**
+     * Get the saved custom rule presets, keyed like the built-in difficulties
+     * (the rules of an unsaved custom game are not a preset)
+     */
+    getCustomPresets() {
+        return Object.fromEntries(Object.entries(this.difficulties).filter(([key, difficulty]) =>
+            difficulty.custom && key !== DifficultyManager.UNSAVED_CUSTOM_KEY));
+    }
+
+    /**
+     * Build a custom difficulty level from the custom game screen's options
+     * @param {string} name - Name shown in the game header
+     * @param {Object} options - { gameType, drawCount, stockPasses, winnableDeals, showHints,
+     *                           autoComplete, undoLimit, scoring, spiderSuits }
+     */
+    createCustomDifficulty(name, options) {
+        return {
+            name: name,
+            description: 'Custom rules',
+            drawCount: options.drawCount,
+            custom: true,                 // Chosen by the player, can be deleted
+            gameType: options.gameType,   // Game last played with the rules
+            features: {
+                winnableDeals: options.winnableDeals,
+                showHints: options.showHints,
+                autoComplete: options.autoComplete,
+                undoLimit: options.undoLimit,
+                scoreMultiplier: 1.0,
+                stockPasses: options.stockPasses, // Passes through the stock, -1 for unlimited
+                spiderSuits: options.spiderSuits, // Suits in Spider games
+                scoring: options.scoring          // Scoring scheme id (see ScoringRegistry)
+            }
+        };
+    }
+
+    /**
+     * Find the saved preset with a name, ignoring case
+     * @returns {string|null} Difficulty key of the preset
+     */
+    findCustomPreset(name) {
+        const wanted = name.trim().toLowerCase();
+        const found = Object.entries(this.getCustomPresets()).find(([key, preset]) =>
+            preset.name.trim().toLowerCase() === wanted);
+        return found ? found[0] : null;
+    }
+
+    /**
+     * Check if a saved preset has exactly these rules
+     */
+    matchesCustomPreset(key, options) {
+        const preset = this.getCustomPresets()[key];
+        if (!preset) return false;
+
+        const rules = this.createCustomDifficulty(preset.name, options);
+        return rules.drawCount === preset.drawCount &&
+            JSON.stringify(rules.features) === JSON.stringify(preset.features);
+    }
+
+    /**
+     * Save a named custom rule preset
+     * Custom presets are difficulty levels of their own, stored in localStorage
+     * @param {string} name - Preset name shown in the game header
+     * @param {Object} options - Rules of the preset (see createCustomDifficulty)
+     * @param {string} key - Key of the preset to replace; a new key is made when omitted
+     * @returns {string} Difficulty key of the preset, e.g. 'custom-my-rules'
+     */
+    saveCustomPreset(name, options, key = null) {
+        if (!key) {
+            const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset';
+            key = `custom-${slug}`;
+            for (let number = 2; this.difficulties[key]; number++) {
+                key = `custom-${slug}-${number}`; // Names that differ only in case or punctuation
+            }
+        }
+
+        this.difficulties[key] = this.createCustomDifficulty(name, options);
+        this.storeCustomPresets();
+        return key;
+    }
+
+    /**
+     * Use custom rules for the next game without saving them as a preset
+     * @param {Object} options - Rules of the game (see createCustomDifficulty)
+     * @returns {string} Difficulty key of the unsaved rules
+     */
+    setUnsavedCustomRules(options) {
+        const key = DifficultyManager.UNSAVED_CUSTOM_KEY;
+        this.difficulties[key] = this.createCustomDifficulty('Custom', options);
+        this.storeCustomPresets(); // Kept so a saved game can be resumed with its rules
+        return key;
+    }
+
+    /**
+     * Make a game dealt elsewhere (e.g. from an imported game record) the current difficulty's
+     * A custom preset that isn't saved here is rebuilt from the game's deal rules as unsaved
+     * custom rules with Medium's features, so the game is filed under a difficulty the player
+     * can pick; a game without rules falls back to Medium
+     * @param {GameState} gameState - The game, whose difficulty is changed when it falls back
+     * @returns {string} Difficulty key the game is played under
+     */
+    useGameDifficulty(gameState) {
+        if (this.setDifficulty(gameState.difficulty)) return gameState.difficulty;
+
+        const rules = gameState.rules;
+        const medium = this.difficulties.medium;
+        gameState.difficulty = !rules ? 'medium' : this.setUnsavedCustomRules({
+            gameType: gameState.gameType,
+            drawCount: rules.drawCount ?? medium.drawCount,
+            stockPasses: rules.stockPasses ?? -1,
+            winnableDeals: rules.winnableDeals ?? false,
+            showHints: medium.features.showHints,
+            autoComplete: medium.features.autoComplete,
+            undoLimit: medium.features.undoLimit,
+            scoring: gameState.scoring,
+            spiderSuits: rules.spiderSuits
+        });
+
+        this.setDifficulty(gameState.difficulty);
+        return gameState.difficulty;
+    }
+
+    /**
+     * Delete a custom rule preset (built-in difficulties can't be deleted)
+     */
+    deleteCustomPreset(key) {
+        if (!this.difficulties[key] || !this.difficulties[key].custom) return false;
+
+        delete this.difficulties[key];
+        if (this.currentDifficulty === key) {
+            this.currentDifficulty = 'medium';
+        }
+
+        this.storeCustomPresets();
+        return true;
+    }
+
+    /**
+     * Add the custom presets saved in localStorage to the difficulty table
+     */
+    loadCustomPresets() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('solitaire-custom-presets')) || {};
+            Object.entries(saved).forEach(([key, preset]) => {
+                if (preset && preset.custom && !(key in this.difficulties)) { // Never replace a built-in difficulty
+                    this.difficulties[key] = preset;
+                }
+            });
+        } catch (error) {
+            console.warn('Failed to load custom presets:', error);
+        }
+    }
+
+    /**
+     * Save the custom presets to localStorage
+     */
+    storeCustomPresets() {
+        try {
+            const custom = Object.entries(this.difficulties).filter(([key, difficulty]) => difficulty.custom);
+            localStorage.setItem('solitaire-custom-presets', JSON.stringify(Object.fromEntries(custom)));
+        } catch (error) {
+            console.warn('Failed to save custom presets:', error);
+        }
+    }
+
+    /**
+     * Get the deal rules of the current difficulty when it is a custom preset
+     * Built-in difficulties return null: each variant deals them its own way
+     * @returns {Object|null} { drawCount, stockPasses, winnableDeals, spiderSuits }
+     */
+    getCustomRules() {
+        const current = this.getCurrentDifficulty();
+        if (!current.custom) return null;
+
+        return {
+            drawCount: current.drawCount,
+            stockPasses: current.features.stockPasses,
+            winnableDeals: current.features.winnableDeals,
+            spiderSuits: current.features.spiderSuits
+        };
+    }
+
     /**
      * Check if a feature is enabled for current difficulty
      */
@@ -108,13 +290,14 @@ class DifficultyManager {
 
     /**
      * Create a game deal based on current difficulty
+     * @param {number} seed - Deal number to generate (a random deal number is used if omitted)
      */
-    createGameDeal() {
-        const deck = new Deck();
+    createGameDeal(seed = null) {
+        const deck = new Deck(new SeededRandom(seed || SeededRandom.generateSeed()));
         const current = this.getCurrentDifficulty();
 
         if (current.features.winnableDeals) {
-            return deck.createWinnableDeal();
+            return deck.createSolvableDeal(current.drawCount, current.features.stockPasses ?? -1);
         } else if (this.currentDifficulty === 'hard') {
             return deck.createHardDeal();
         } else {
@@ -152,6 +335,8 @@ class DifficultyManager {
     }
 }
 
+DifficultyManager.UNSAVED_CUSTOM_KEY = 'custom'; // Difficulty key of a custom game started without saving a preset
+
 /**
  * Hint system for providing gameplay assistance
  */
@@ -163,226 +348,22 @@ class HintSystem {
 
     /**
      * Find available moves in the current game state
-     * Handles both Klondike and Spider solitaire game types
+     * Move generation comes from the game's variant; moves are returned best first
      */
     findAvailableMoves(gameState) {
-        const moves = [];
-
-        // Handle Spider solitaire moves
-        if (gameState.gameType === 'spider') {
-            return this.findSpiderMoves(gameState);
-        }
-
-        // Handle Klondike solitaire moves (original logic)
-        // Check moves from tableau to foundation
-        for (let col = 0; col < gameState.tableau.length; col++) {
-            const column = gameState.tableau[col];
-            if (column.length > 0) {
-                const topCard = column[column.length - 1];
-                if (topCard.faceUp) {
-                    for (let foundIndex = 0; foundIndex < 4; foundIndex++) {
-                        if (topCard.canPlaceOnFoundation(gameState.foundation[foundIndex])) {
-                            moves.push({
-                                type: 'tableau-to-foundation',
-                                from: { area: 'tableau', index: col },
-                                to: { area: 'foundation', index: foundIndex },
-                                card: topCard,
-                                priority: 10 // High priority for foundation moves
-                            });
-                        }
-                    }
-                }
-            }
-        }
-
-        // Check moves from waste to foundation (Klondike only)
-        if (gameState.waste && gameState.waste.length > 0) {
-            const topCard = gameState.waste[gameState.waste.length - 1];
-            for (let foundIndex = 0; foundIndex < 4; foundIndex++) {
-                if (topCard.canPlaceOnFoundation(gameState.foundation[foundIndex])) {
-                    moves.push({
-                        type: 'waste-to-foundation',
-                        from: { area: 'waste', index: 0 },
-                        to: { area: 'foundation', index: foundIndex },
-                        card: topCard,
-                        priority: 9 // High priority for foundation moves
-                    });
-                }
-            }
-        }
-
-        // Check moves from waste to tableau (Klondike only)
-        if (gameState.waste && gameState.waste.length > 0) {
-            const topCard = gameState.waste[gameState.waste.length - 1];
-            for (let col = 0; col < gameState.tableau.length; col++) {
-                const column = gameState.tableau[col];
-                const targetCard = column.length > 0 ? column[column.length - 1] : null;
-                
-                if (topCard.canPlaceOnTableau(targetCard)) {
-                    moves.push({
-                        type: 'waste-to-tableau',
-                        from: { area: 'waste', index: 0 },
-                        to: { area: 'tableau', index: col },
-                        card: topCard,
-                        priority: column.length === 0 ? 7 : 5 // Higher priority for empty columns
-                    });
-                }
-            }
-        }
-
-        // Check moves between tableau columns
-        for (let fromCol = 0; fromCol < gameState.tableau.length; fromCol++) {
-            const fromColumn = gameState.tableau[fromCol];
-            
-            // Find sequences of face-up cards that can be moved
-            for (let startIndex = 0; startIndex < fromColumn.length; startIndex++) {
-                if (!fromColumn[startIndex].faceUp) continue;
-                
-                // Check if this starts a valid sequence
-                let sequenceLength = 1;
-                for (let i = startIndex + 1; i < fromColumn.length; i++) {
-                    const currentCard = fromColumn[i - 1];
-                    const nextCard = fromColumn[i];
-                    
-                    if (nextCard.canPlaceOnTableau(currentCard)) {
-                        sequenceLength++;
-                    } else {
-                        break;
-                    }
-                }
-
-                // Try to move this sequence to other columns
-                const movingCard = fromColumn[startIndex];
-                for (let toCol = 0; toCol < gameState.tableau.length; toCol++) {
-                    if (toCol === fromCol) continue;
-                    
-                    const toColumn = gameState.tableau[toCol];
-                    const targetCard = toColumn.length > 0 ? toColumn[toColumn.length - 1] : null;
-                    
-                    if (movingCard.canPlaceOnTableau(targetCard)) {
-                        let priority = 3; // Base priority for tableau moves
-                        
-                        // Higher priority if it reveals a face-down card
-                        if (startIndex > 0 && !fromColumn[startIndex - 1].faceUp) {
-                            priority += 3;
-                        }
-                        
-                        // Higher priority if moving to empty column with King
-                        if (toColumn.length === 0 && movingCard.rank === 13) {
-                            priority += 2;
-                        }
-
-                        moves.push({
-                            type: 'tableau-to-tableau',
-                            from: { area: 'tableau', index: fromCol },
-                            to: { area: 'tableau', index: toCol },
-                            card: movingCard,
-                            cardCount: fromColumn.length - startIndex,
-                            priority: priority
-                        });
-                    }
-                }
-            }
-        }
+        const moves = gameState.variant.findMoves(gameState);
 
-        // Check if stock can be drawn (Klondike only)
-        if (gameState.stock && gameState.stock.length > 0 || (gameState.waste && gameState.waste.length > 0)) {
-            moves.push({
-                type: 'draw-stock',
-                from: { area: 'stock', index: 0 },
-                to: { area: 'waste', index: 0 },
-                priority: 1 // Low priority, only suggest if no other moves
-            });
-        }
-
-        // Sort moves by priority (highest first)
-        moves.sort((a, b) => b.priority - a.priority);
+        // Sort moves by priority (highest first), then by the run of plays they start (TriPeaks-style chains)
+        moves.sort((a, b) => b.priority - a.priority || this.getChainLength(b) - this.getChainLength(a));
 
         return moves;
     }
 
     /**
-     * Find available moves for Spider solitaire
+     * Get the number of cards a move plays in a row (1 unless the variant reports a chain)
      */
-    findSpiderMoves(gameState) {
-        const moves = [];
-
-        // Check moves between tableau columns in Spider solitaire
-        for (let fromCol = 0; fromCol < gameState.tableau.length; fromCol++) {
-            const fromColumn = gameState.tableau[fromCol];
-            
-            // Find sequences of face-up cards that can be moved
-            for (let startIndex = 0; startIndex < fromColumn.length; startIndex++) {
-                if (!fromColumn[startIndex].faceUp) continue;
-                
-                // In Spider, we can move sequences of same suit in descending order
-                let sequenceLength = 1;
-                for (let i = startIndex + 1; i < fromColumn.length; i++) {
-                    const currentCard = fromColumn[i - 1];
-                    const nextCard = fromColumn[i];
-                    
-                    // Check if cards form a valid Spider sequence (same suit, descending)
-                    if (nextCard.suit === currentCard.suit && nextCard.rank === currentCard.rank - 1) {
-                        sequenceLength++;
-                    } else {
-                        break;
-                    }
-                }
-
-                // Try to move this sequence to other columns
-                const movingCard = fromColumn[startIndex];
-                for (let toCol = 0; toCol < gameState.tableau.length; toCol++) {
-                    if (toCol === fromCol) continue;
-                    
-                    const toColumn = gameState.tableau[toCol];
-                    const targetCard = toColumn.length > 0 ? toColumn[toColumn.length - 1] : null;
-                    
-                    // In Spider, any card can be placed on any other card (but only same suit sequences move together)
-                    if (targetCard === null || movingCard.rank === targetCard.rank - 1) {
-                        let priority = 3; // Base priority for tableau moves
-                        
-                        // Higher priority if it reveals a face-down card
-                        if (startIndex > 0 && !fromColumn[startIndex - 1].faceUp) {
-                            priority += 3;
-                        }
-                        
-                        // Higher priority if moving to empty column
-                        if (toColumn.length === 0) {
-                            priority += 2;
-                        }
-
-                        // Higher priority if it creates a longer sequence of same suit
-                        if (targetCard && movingCard.suit === targetCard.suit) {
-                            priority += 1;
-                        }
-
-                        moves.push({
-                            type: 'tableau-to-tableau',
-                            from: { area: 'tableau', index: fromCol },
-                            to: { area: 'tableau', index: toCol },
-                            card: movingCard,
-                            cardCount: sequenceLength,
-                            priority: priority
-                        });
-                    }
-                }
-            }
-        }
-
-        // Check if stock can be dealt (Spider solitaire)
-        if (gameState.stock && gameState.stock.length > 0) {
-            moves.push({
-                type: 'deal-stock',
-                from: { area: 'stock', index: 0 },
-                to: { area: 'tableau', index: -1 }, // Deal to all columns
-                priority: 1 // Low priority, only suggest if no other moves
-            });
-        }
-
-        // Sort moves by priority (highest first)
-        moves.sort((a, b) => b.priority - a.priority);
-
-        return moves;
+    getChainLength(move) {
+        return move.chain ? move.chain.length : 1;
     }
 
     /**
@@ -408,16 +389,46 @@ class HintSystem {
     }
 
     /**
-     * Check if the game is in a stuck state
+     * Check if the game is stuck: no series of moves, stock draws included, leads
+     * anywhere the game makes progress (see SolitaireVariant.getProgress)
+     * Positions are searched breadth first from every legal move, so moves that only
+     * shuffle cards back and forth lead nowhere new. A search that runs out of its
+     * budget says the game isn't stuck
      */
     isGameStuck(gameState) {
-        const moves = this.findAvailableMoves(gameState);
-        
-        // Filter out stock drawing/dealing moves
-        const stockMoveTypes = gameState.gameType === 'spider' ? ['deal-stock'] : ['draw-stock'];
-        const meaningfulMoves = moves.filter(move => !stockMoveTypes.includes(move.type));
-        
-        return meaningfulMoves.length === 0 && (!gameState.stock || gameState.stock.length === 0);
+        const variant = gameState.variant;
+        if (gameState.gameWon || variant.isWon(gameState)) return false;
+
+        const start = gameState.copyPosition();
+        const startProgress = variant.getProgress(start);
+        const seen = new Set([start.getPositionKey()]);
+        const queue = [start];
+
+        for (let searched = 0; searched < queue.length; searched++) {
+            if (seen.size > HintSystem.STUCK_SEARCH_POSITIONS) return false;
+
+            const position = queue[searched];
+            const next = variant.findLegalMoves(position).map(move => {
+                const copy = position.copyPosition();
+                copy.playLookaheadMove(move);
+                return copy;
+            });
+
+            const drawn = position.copyPosition();
+            if (variant.drawFromStock(drawn)) next.push(drawn);
+
+            for (const copy of next) {
+                if (variant.getProgress(copy) > startProgress || variant.isWon(copy)) return false;
+
+                const key = copy.getPositionKey();
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    queue.push(copy);
+                }
+            }
+        }
+
+        return true;
     }
 
     /**
@@ -433,104 +444,11 @@ class HintSystem {
             suggestions: []
         };
 
-        // Handle Spider solitaire analysis
-        if (gameState.gameType === 'spider') {
-            return this.analyzeSpiderGameState(gameState, analysis);
-        }
-
-        // Handle Klondike solitaire analysis (original logic)
-        // Count buried aces
-        gameState.tableau.forEach(column => {
-            for (let i = 0; i < column.length - 1; i++) {
-                if (!column[i].faceUp && column[i].rank === 1) {
-                    analysis.buriedAces++;
-                }
-            }
-        });
-
         // Count empty columns
         analysis.emptyColumns = gameState.tableau.filter(col => col.length === 0).length;
 
-        // Count exposed kings
-        gameState.tableau.forEach(column => {
-            if (column.length > 0) {
-                const topCard = column[column.length - 1];
-                if (topCard.faceUp && topCard.rank === 13) {
-                    analysis.exposedKings++;
-                }
-            }
-        });
-
-        // Calculate foundation progress (Klondike only)
-        if (gameState.foundation) {
-            const totalFoundationCards = gameState.foundation.reduce((sum, pile) => sum + pile.length, 0);
-            analysis.foundationProgress = (totalFoundationCards / 52) * 100;
-        }
-
-        // Generate suggestions for Klondike
-        if (analysis.emptyColumns > 0 && analysis.exposedKings === 0) {
-            analysis.suggestions.push("Try to expose a King to fill empty columns");
-        }
-
-        if (analysis.buriedAces > 2) {
-            analysis.suggestions.push("Focus on revealing buried Aces");
-        }
-
-        if (analysis.foundationProgress < 20 && analysis.availableMoves > 5) {
-            analysis.suggestions.push("Build foundations when possible for easier endgame");
-        }
-
-        return analysis;
-    }
-
-    /**
-     * Analyze Spider solitaire game state
-     */
-    analyzeSpiderGameState(gameState, analysis) {
-        // Count empty columns
-        analysis.emptyColumns = gameState.tableau.filter(col => col.length === 0).length;
-
-        // Count completed sequences
-        const completedSequences = gameState.completedSequences ? gameState.completedSequences.length : 0;
-        analysis.foundationProgress = (completedSequences / 8) * 100; // 8 complete sequences needed
-
-        // Count potential sequences (K-A of same suit)
-        let potentialSequences = 0;
-        gameState.tableau.forEach(column => {
-            for (let i = 0; i < column.length; i++) {
-                if (column[i].faceUp && column[i].rank === 13) { // King
-                    // Check if we can build a sequence from this King
-                    let sequenceLength = 1;
-                    for (let j = i + 1; j < column.length; j++) {
-                        const prevCard = column[j - 1];
-                        const currentCard = column[j];
-                        if (currentCard.suit === prevCard.suit && currentCard.rank === prevCard.rank - 1) {
-                            sequenceLength++;
-                        } else {
-                            break;
-                        }
-                    }
-                    if (sequenceLength >= 5) { // Partial sequence worth noting
-                        potentialSequences++;
-                    }
-                }
-            }
-        });
-
-        // Generate suggestions for Spider
-        if (analysis.emptyColumns > 0) {
-            analysis.suggestions.push("Use empty columns strategically to build sequences");
-        }
-
-        if (potentialSequences > 0) {
-            analysis.suggestions.push("Focus on completing sequences from King to Ace");
-        }
-
-        if (analysis.availableMoves < 3 && gameState.stock && gameState.stock.length > 0) {
-            analysis.suggestions.push("Consider dealing from stock to create new opportunities");
-        }
-
-        return analysis;
+        // Add variant-specific figures and suggestions
+        return gameState.variant.analyze(gameState, analysis);
     }
 
     /**
@@ -541,6 +459,8 @@ class HintSystem {
     }
 }
 
+HintSystem.STUCK_SEARCH_POSITIONS = 150; // Positions reached before a game is taken not to be stuck
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { DifficultyManager, HintSystem };
@@ -1,38 +1,34 @@
 /**
  * GameState class for managing the current state of the solitaire game
  * Tracks all game data including card positions, score, timing, and move history
- * Supports both Klondike and Spider solitaire variants
+ * Game rules come from a SolitaireVariant (see js/variants/)
  */
 class GameState {
     /**
      * Initialize a new game state with default values
-     * @param {string} gameType - 'klondike' or 'spider'
+     * @param {string} gameType - Registered variant id, e.g. 'klondike' or 'spider'
      */
     constructor(gameType = 'klondike') {
-        this.gameType = gameType; // Track which solitaire variant we're playing
+        this.setGameType(gameType); // Track which solitaire variant we're playing
         this.reset(); // Set all properties to their initial state
     }
 
+    /**
+     * Switch to another solitaire variant
+     * The variant supplies the layout, deal, move rules, win check, scoring and hints
+     */
+    setGameType(gameType) {
+        this.variant = VariantRegistry.get(gameType);
+        this.gameType = this.variant.id;
+    }
+
     /**
      * Reset the game state to initial values for a new game
      * Clears all card positions, resets counters, and initializes empty arrays
      */
     reset() {
-        // Initialize layout based on game type
-        if (this.gameType === 'spider') {
-            // Spider solitaire: 10 columns, no foundation piles
-            this.tableau = [[], [], [], [], [], [], [], [], [], []]; // 10 columns for Spider
-            this.foundation = []; // No foundation piles in Spider
-            this.completedSequences = []; // Completed K-A sequences (Spider-specific)
-            this.spiderSuits = 1; // Number of suits (1, 2, or 4)
-        } else {
-            // Klondike solitaire: 7 columns, 4 foundation piles
-            this.tableau = [[], [], [], [], [], [], []]; // 7 columns for Klondike
-            this.foundation = [[], [], [], []]; // 4 foundation piles (hearts, diamonds, clubs, spades)
-        }
-        
-        this.stock = []; // Remaining cards to draw from (face down)
-        this.waste = []; // Cards drawn from stock (face up) - not used in Spider
+        // Create the variant's piles (tableau, foundation, stock, waste and any extras)
+        this.variant.createLayout(this);
         
         // Selection state for moving cards
         this.selectedCards = []; // Currently selected cards for moving
@@ -41,6 +37,13 @@ class GameState {
         // Game configuration
         this.difficulty = 'medium'; // Current difficulty level
         this.drawCount = 1; // Number of cards to draw from stock (1 for easy/medium, 3 for hard)
+        this.seed = null; // Deal number used to shuffle the deck (same number = same deal)
+        this.dealVerified = false; // Whether the solver has proven this deal winnable
+        this.scoring = 'standard'; // Scoring scheme id (see ScoringRegistry)
+        this.rules = null; // Custom deal rules (see getRule), or null to deal by difficulty
+        this.daily = null; // Date of the Daily Challenge being played ('YYYY-MM-DD'), or null
+        this.bankrollSettled = false; // Whether a Vegas-cumulative score has been added to the bankroll
+        this.statsRecorded = false; // Whether the game's result (won, lost or abandoned) is in the statistics
         
         // Game progress tracking
         this.moves = 0; // Total number of moves made
@@ -57,7 +60,15 @@ class GameState {
         this.emptyColumnsCreated = 0; // Number of empty tableau columns created
         
         // Undo functionality
-        this.moveHistory = []; // History of moves for undo feature
+        this.moveHistory = []; // Moves that can be undone, each with the changes it made
+        this.redoStack = []; // Undone moves that can be redone, most recent last
+        this.undoCount = 0; // Undos used (checked against the difficulty's undo limit)
+        this.hintsUsed = 0; // Hints shown to the player
+        this.pendingMove = null; // Description of the move being made (see recordMove)
+        
+        // Replay recording
+        this.dealSnapshot = null; // The game as dealt, where a replay starts
+        this.replayLog = []; // Every move, undo and redo in the order played (see getReplay)
         
         // Auto-complete availability
         this.autoCompleteAvailable = false; // Whether auto-complete can be triggered
@@ -65,212 +76,55 @@ class GameState {
 
     /**
      * Initialize a new game with the given difficulty
+     * @param {string} difficulty - 'easy', 'medium', 'hard' or a custom preset key
+     * @param {string} gameType - Variant id (keeps the current type if omitted)
+     * @param {number} seed - Deal number to replay (a new random deal number is used if omitted)
+     * @param {string} scoring - Scoring scheme id (the game's standard scoring if the scheme doesn't fit the variant)
+     * @param {Object} rules - Custom rules { drawCount, stockPasses, winnableDeals, spiderSuits }
+     *                         that replace the difficulty's (see DifficultyManager.getCustomRules)
      */
-    newGame(difficulty = 'medium', gameType = null) {
+    newGame(difficulty = 'medium', gameType = null, seed = null, scoring = 'standard', rules = null) {
         if (gameType) {
-            this.gameType = gameType;
+            this.setGameType(gameType);
         }
         
         this.reset();
         this.difficulty = difficulty;
+        this.rules = rules;
+        this.seed = seed || this.variant.generateSeed();
         this.startTime = Date.now();
 
-        const deck = new Deck();
-        let deal;
+        this.setScoring(scoring); // Before the deal: Vegas scoring limits the passes a winnable deal is solved for
 
-        if (this.gameType === 'spider') {
-            // Spider solitaire setup
-            this.setupSpiderGame(difficulty, deck);
-        } else {
-            // Klondike solitaire setup
-            this.drawCount = difficulty === 'hard' ? 3 : 1;
-            
-            switch (difficulty) {
-                case 'easy':
-                    deal = deck.createWinnableDeal();
-                    break;
-                case 'hard':
-                    deal = deck.createHardDeal();
-                    break;
-                default: // medium
-                    deal = deck.deal();
-                    break;
-            }
-
-            this.tableau = deal.tableau;
-            this.foundation = deal.foundation;
-            this.stock = deal.stock;
-            this.waste = deal.waste;
-        }
+        const deck = new Deck(new SeededRandom(this.seed));
+        this.variant.deal(this, deck, difficulty);
 
         this.checkAutoComplete();
-        
-        // Create initial snapshot for undo functionality
-        // This allows undoing the very first move
-        this.recordMove({
-            type: 'initial-state',
-            description: 'Game started'
-        });
+        this.dealSnapshot = this.createSnapshot();
     }
 
     /**
-     * Setup Spider solitaire game
+     * Get a deal rule: the custom rule when one is set, otherwise the difficulty's value
+     * @param {string} name - 'drawCount', 'stockPasses', 'winnableDeals' or 'spiderSuits'
+     * @param {*} difficultyValue - What the variant uses for the game's difficulty
      */
-    setupSpiderGame(difficulty, deck) {
-        // Set number of suits based on difficulty
-        switch (difficulty) {
-            case 'easy':
-                this.spiderSuits = 1; // One suit (spades only)
-                break;
-            case 'medium':
-                this.spiderSuits = 2; // Two suits (spades and hearts)
-                break;
-            case 'hard':
-                this.spiderSuits = 4; // All four suits
-                break;
-            default:
-                this.spiderSuits = 2;
-        }
-
-        // Create Spider deal
-        const deal = deck.dealSpider(this.spiderSuits);
-        this.tableau = deal.tableau;
-        this.stock = deal.stock;
-        this.completedSequences = [];
+    getRule(name, difficultyValue) {
+        return this.rules && this.rules[name] !== undefined ? this.rules[name] : difficultyValue;
     }
 
     /**
-     * Draw cards from stock to waste pile (Klondike) or deal to tableau (Spider)
+     * Use the stock: draw to the waste (Klondike), deal to the tableau (Spider), etc.
      */
     drawFromStock() {
-        if (this.gameType === 'spider') {
-            return this.dealSpiderCards();
-        }
-
-        // Klondike logic
-        if (this.stock.length === 0) {
-            // Recycle waste pile back to stock
-            if (this.waste.length === 0) {
-                return false; // No cards to draw
-            }
-            
-            this.stock = [...this.waste].reverse();
-            this.waste = [];
-            this.stockCycles++;
-            
-            // Reset face-up state for recycled cards
-            this.stock.forEach(card => card.faceUp = false);
-            
-            this.recordMove({
-                type: 'recycle-stock',
-                stockCycles: this.stockCycles
-            });
-        }
-
-        // Draw the specified number of cards
-        const cardsToDraw = Math.min(this.drawCount, this.stock.length);
-        for (let i = 0; i < cardsToDraw; i++) {
-            const card = this.stock.pop();
-            card.faceUp = true;
-            this.waste.push(card);
-        }
-
-        this.recordMove({
-            type: 'draw-stock',
-            count: cardsToDraw
-        });
-
-        return true;
-    }
-
-    /**
-     * Deal cards from stock to tableau in Spider solitaire
-     */
-    dealSpiderCards() {
-        if (this.stock.length < 10) {
-            return false; // Need at least 10 cards to deal
-        }
-
-        // Check if all columns have at least one card
-        for (const column of this.tableau) {
-            if (column.length === 0) {
-                return false; // Cannot deal to empty columns
-            }
-        }
-
-        // Deal one card to each column
-        for (let i = 0; i < 10; i++) {
-            const card = this.stock.pop();
-            card.faceUp = true;
-            this.tableau[i].push(card);
-        }
-
-        this.recordMove({
-            type: 'deal-spider-cards',
-            count: 10
-        });
-
-        // Check for completed sequences after dealing
-        this.checkForCompletedSequences();
-
-        return true;
-    }
-
-    /**
-     * Check for completed sequences in Spider solitaire (K-A same suit)
-     */
-    checkForCompletedSequences() {
-        if (this.gameType !== 'spider') return;
-
-        for (let colIndex = 0; colIndex < this.tableau.length; colIndex++) {
-            const column = this.tableau[colIndex];
-            
-            // Need at least 13 cards for a complete sequence
-            if (column.length < 13) continue;
-
-            // Check from the end of the column backwards
-            for (let startIndex = column.length - 13; startIndex >= 0; startIndex--) {
-                if (this.isCompleteSequence(column, startIndex)) {
-                    // Remove the complete sequence
-                    const sequence = column.splice(startIndex, 13);
-                    this.completedSequences.push(sequence);
-                    this.score += 100; // Bonus for completing a sequence
-                    
-                    // Flip the next card if it exists and is face down
-                    if (column.length > startIndex && !column[startIndex].faceUp) {
-                        column[startIndex].faceUp = true;
-                    }
-                    
-                    // Check for more sequences in the same column
-                    this.checkForCompletedSequences();
-                    return;
-                }
-            }
-        }
-    }
-
-    /**
-     * Check if cards form a complete sequence (K-A same suit)
-     */
-    isCompleteSequence(column, startIndex) {
-        if (startIndex + 13 > column.length) return false;
-
-        const firstCard = column[startIndex];
-        if (firstCard.rank !== 13) return false; // Must start with King
-
-        // Check if all 13 cards are same suit and descending
-        for (let i = 0; i < 13; i++) {
-            const card = column[startIndex + i];
-            const expectedRank = 13 - i; // K=13, Q=12, ..., A=1
-            
-            if (!card.faceUp || 
-                card.suit !== firstCard.suit || 
-                card.rank !== expectedRank) {
-                return false;
-            }
-        }
-
-        return true;
+        const before = this.createSnapshot();
+        const stockCycles = this.stockCycles;
+        const drawn = this.variant.drawFromStock(this);
+        if (drawn) {
+            this.getScoringScheme().scoreStockUse(this, this.stockCycles > stockCycles);
+            this.checkLossCondition();
+            this.commitMove(before);
+        }
+        return drawn;
     }
 
     /**
@@ -297,119 +151,115 @@ class GameState {
         move.cards = cardsToMove.map(card => card.toJSON());
 
         // Validate the move
-        if (!this.isValidMove(cardsToMove, fromArea, toArea, targetCards)) {
+        if (!this.isValidMove(cardsToMove, fromArea, toArea, targetCards, fromIndex, toIndex)) {
             return false;
         }
 
-        // Execute the move
-        sourceCards.splice(-cardCount, cardCount);
-        targetCards.push(...cardsToMove);
+        const before = this.createSnapshot();
 
-        // Check if we need to flip a card in the source tableau column
-        if (fromArea === 'tableau' && sourceCards.length > 0) {
-            const topCard = sourceCards[sourceCards.length - 1];
-            if (!topCard.faceUp) {
-                topCard.faceUp = true;
-                move.flippedCard = topCard.toJSON();
-            }
-        }
+        // Execute the move
+        this.transferCards(move, cardCount);
 
         // Update score
-        this.updateScore(fromArea, toArea, cardCount);
+        this.updateScore(move);
 
         // Track empty columns created
         if (toArea === 'tableau' && targetCards.length === cardCount) {
             this.emptyColumnsCreated++;
         }
 
+        // Let the variant react to the move (e.g. Spider removes completed K-A sequences)
+        this.variant.afterMove(this, move);
+
         this.moves++;
         this.recordMove(move);
         this.checkWinCondition();
+        this.checkLossCondition();
         this.checkAutoComplete();
+        this.commitMove(before);
 
         return true;
     }
 
     /**
-     * Check if a move is valid
+     * Move the cards of a checked move and turn up the card they uncover in the tableau
+     * @param {Object} move - The move as recorded in the history (gets the flipped card)
      */
-    isValidMove(cards, fromArea, toArea, targetCards) {
-        if (cards.length === 0) return false;
+    transferCards(move, cardCount) {
+        const sourceCards = this.getCardArray(move.from.area, move.from.index);
+        const targetCards = this.getCardArray(move.to.area, move.to.index);
 
-        const movingCard = cards[0]; // The bottom card being moved
+        targetCards.push(...sourceCards.splice(-cardCount, cardCount));
 
-        if (toArea === 'foundation') {
-            // Foundation rules: same suit, ascending rank, only one card at a time
-            if (cards.length > 1) return false;
-            return movingCard.canPlaceOnFoundation(targetCards);
-        } else if (toArea === 'tableau') {
-            // Tableau rules vary by game type
-            const targetCard = targetCards.length > 0 ? targetCards[targetCards.length - 1] : null;
-            
-            if (this.gameType === 'spider') {
-                // Spider: any suit allowed for single cards, same suit for sequences
-                if (cards.length === 1) {
-                    return movingCard.canPlaceOnTableau(targetCard, 'spider');
-                } else {
-                    // For sequences, all cards must be same suit and in descending order
-                    return this.isValidSpiderSequence(cards) && 
-                           movingCard.canPlaceOnTableau(targetCard, 'spider');
-                }
-            } else {
-                // Klondike rules: check both placement and sequence validity
-                if (cards.length === 1) {
-                    // Single card move
-                    return movingCard.canPlaceOnTableau(targetCard, 'klondike');
-                } else {
-                    // Multiple card move: must form valid Klondike sequence
-                    return this.isValidKlondikeSequence(cards) && 
-                           movingCard.canPlaceOnTableau(targetCard, 'klondike');
-                }
+        if (move.from.area === 'tableau' && sourceCards.length > 0) {
+            const topCard = sourceCards[sourceCards.length - 1];
+            if (!topCard.faceUp) {
+                topCard.faceUp = true;
+                move.flippedCard = topCard.toJSON();
             }
         }
+    }
 
-        return false;
+    /**
+     * Play a legal move on a look-ahead copy (see copyPosition): the cards move and the
+     * variant reacts, but nothing is scored, recorded or checked
+     * @param {Object} move - { from, to, cardCount } (see SolitaireVariant.findLegalMoves)
+     */
+    playLookaheadMove(move) {
+        const played = { type: 'move-cards', from: move.from, to: move.to, cards: [], flippedCard: null };
+        this.transferCards(played, move.cardCount);
+        this.variant.afterMove(this, played);
     }
 
     /**
-     * Check if cards form a valid Spider sequence (same suit, descending order)
+     * Copy the cards and rules of the game, without its history, to look ahead on
      */
-    isValidSpiderSequence(cards) {
-        if (cards.length <= 1) return true;
+    copyPosition() {
+        const copy = new GameState(this.gameType);
+
+        copy.difficulty = this.difficulty;
+        copy.drawCount = this.drawCount;
+        copy.seed = this.seed;
+        copy.scoring = this.scoring;
+        copy.rules = this.rules;
+        copy.restoreSnapshot({
+            tableau: this.tableau, // Cards are copied by restoreSnapshot
+            foundation: this.foundation,
+            stock: this.stock,
+            waste: this.waste,
+            board: this.board,
+            stockCycles: this.stockCycles,
+            ...this.variant.serialize(this)
+        });
 
-        const firstCard = cards[0];
-        for (let i = 1; i < cards.length; i++) {
-            const currentCard = cards[i];
-            const previousCard = cards[i - 1];
-            
-            // Must be same suit and descending rank
-            if (currentCard.suit !== firstCard.suit || 
-                currentCard.rank !== previousCard.rank - 1) {
-                return false;
-            }
-        }
-        
-        return true;
+        return copy;
     }
 
     /**
-     * Check if cards form a valid Klondike sequence (alternating colors, descending order)
+     * Describe where every card is, so positions reached in different ways can be told apart
+     * Passes through the stock only matter when they are limited, and the column order
+     * only when the variant's rules depend on it
      */
-    isValidKlondikeSequence(cards) {
-        if (cards.length <= 1) return true;
+    getPositionKey() {
+        // One character per card: its rank and suit, moved on by 64 when face down
+        const describe = pile => pile.map(card =>
+            String.fromCharCode(48 + card.rank + 13 * GameState.SUIT_CODES[card.suit] + (card.faceUp ? 0 : 64))).join('');
 
-        for (let i = 1; i < cards.length; i++) {
-            const currentCard = cards[i];
-            const previousCard = cards[i - 1];
-            
-            // Must be alternating colors and descending rank
-            if (currentCard.isRed() === previousCard.isRed() || 
-                currentCard.rank !== previousCard.rank - 1) {
-                return false;
-            }
-        }
-        
-        return true;
+        const columns = this.tableau.map(describe);
+        if (this.variant.areColumnsInterchangeable(this)) columns.sort();
+
+        const piles = [...this.foundation, this.stock, this.waste, ...this.board].map(describe);
+        const passes = this.variant.getStockPasses(this) === -1 ? '' : this.stockCycles;
+
+        return [...columns, ...piles, passes].join('|') +
+            JSON.stringify(this.variant.serialize(this)); // Free cells, reserve and other extra piles
+    }
+
+    /**
+     * Check if a move is valid under the current variant's rules
+     */
+    isValidMove(cards, fromArea, toArea, targetCards, fromIndex, toIndex) {
+        return this.variant.isValidMove(this, cards, fromArea, toArea, targetCards, fromIndex, toIndex);
     }
 
     /**
@@ -425,117 +275,130 @@ class GameState {
                 return this.waste;
             case 'stock':
                 return this.stock;
+            case 'board':
+                return this.board[index];
             default:
-                return null;
+                // Variant-specific areas (e.g. free cells or a reserve)
+                return this.variant.getCardArray(this, area, index);
         }
     }
 
     /**
-     * Update score based on move type
+     * Choose the scoring scheme for a freshly dealt game and set the starting score
+     * Schemes that don't fit the variant (e.g. Vegas in Spider) fall back to standard scoring
      */
-    updateScore(fromArea, toArea, cardCount) {
-        if (toArea === 'foundation') {
-            this.score += 10 * cardCount; // Points for moving to foundation
-        } else if (fromArea === 'waste' && toArea === 'tableau') {
-            this.score += 5 * cardCount; // Points for moving from waste to tableau
-        } else if (fromArea === 'foundation' && toArea === 'tableau') {
-            this.score -= 15 * cardCount; // Penalty for moving from foundation
+    setScoring(scoring) {
+        let scheme = ScoringRegistry.get(scoring);
+        if (!scheme.isAvailable(this.variant, this)) {
+            scheme = ScoringRegistry.get('standard');
         }
 
-        // Bonus for completing a suit
-        if (toArea === 'foundation') {
-            const foundationPile = this.foundation[this.getFoundationIndex(fromArea)];
-            if (foundationPile && foundationPile.length === 13) {
-                this.score += 100; // Bonus for completing a suit
-            }
-        }
+        this.scoring = scheme.id;
+        scheme.start(this);
+    }
+
+    /**
+     * Get the scoring scheme used by this game
+     */
+    getScoringScheme() {
+        return ScoringRegistry.get(this.scoring);
+    }
+
+    /**
+     * Get the Vegas rules in use, or null when the game isn't scored Vegas style
+     * @returns {Object|null} { buyIn, cardValue, passes }
+     */
+    getVegasRules() {
+        return this.getScoringScheme() instanceof VegasScoring ? this.variant.getVegasRules(this) : null;
+    }
+
+    /**
+     * Get the current score as shown to the player (e.g. with the Windows time penalty)
+     */
+    getScore() {
+        return this.getScoringScheme().getScore(this);
+    }
+
+    /**
+     * Update score for a card move
+     * @param {Object} move - The move as recorded in the history
+     */
+    updateScore(move) {
+        this.getScoringScheme().scoreMove(this, move);
+    }
+
+    /**
+     * Score completed K-A sequences (called by variants such as Spider)
+     */
+    scoreSequences(count) {
+        this.getScoringScheme().scoreSequences(this, count);
     }
 
     /**
-     * Get foundation index for a suit
+     * Score a variant-specific achievement (e.g. a TriPeaks run)
      */
-    getFoundationIndex(suit) {
-        const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
-        return suits.indexOf(suit);
+    addBonus(points) {
+        this.getScoringScheme().scoreBonus(this, points);
     }
 
     /**
      * Check if the game is won
      */
     checkWinCondition() {
-        if (this.gameType === 'spider') {
-            // Spider solitaire: game is won when all sequences are completed
-            const expectedSequences = this.spiderSuits === 1 ? 4 : 8; // 4 sequences for 1-suit, 8 for 2/4-suit
-            if (this.completedSequences.length >= expectedSequences) {
-                this.gameWon = true;
-                this.endTime = Date.now();
-                this.score += this.calculateTimeBonus();
-            }
-        } else {
-            // Klondike solitaire: game is won when all foundation piles have 13 cards
-            const totalFoundationCards = this.foundation.reduce((sum, pile) => sum + pile.length, 0);
-            
-            if (totalFoundationCards === 52) {
-                this.gameWon = true;
-                this.endTime = Date.now();
-                this.score += this.calculateTimeBonus();
-            }
+        if (this.variant.isWon(this)) {
+            this.gameWon = true;
+            this.endTime = Date.now();
+            this.getScoringScheme().scoreWin(this);
         }
     }
 
     /**
-     * Calculate time bonus for winning
+     * Check if the variant says the game is lost (e.g. Golf with nothing left to play)
+     * A stuck game is found separately by checkStuck
      */
-    calculateTimeBonus() {
-        if (!this.startTime || !this.endTime) return 0;
-        
-        const gameTimeMinutes = (this.endTime - this.startTime) / (1000 * 60);
-        const maxBonus = 1000;
-        const minTime = 2; // 2 minutes for max bonus
-        
-        if (gameTimeMinutes <= minTime) {
-            return maxBonus;
-        } else {
-            return Math.max(0, maxBonus - Math.floor((gameTimeMinutes - minTime) * 10));
+    checkLossCondition() {
+        if (this.gameWon) return;
+
+        if (this.variant.isLost(this)) {
+            this.gameLost = true;
+            this.endTime = Date.now();
         }
     }
 
     /**
-     * Check if auto-complete is available
+     * Check if the game is stuck and lose it if so: no series of moves and stock draws
+     * gets the game anywhere (see HintSystem.isGameStuck). The search is too slow for
+     * every move, so the UI runs it once the player has paused on a position
+     * @returns {boolean} Whether the game was found stuck
      */
-    checkAutoComplete() {
-        if (this.gameType === 'spider') {
-            // Spider solitaire: auto-complete not implemented yet
-            this.autoCompleteAvailable = false;
-            return;
-        }
+    checkStuck() {
+        if (this.isFinished() || !new HintSystem().isGameStuck(this)) return false;
 
-        // Klondike auto-complete logic
-        let allFaceUp = true;
-        
-        for (const column of this.tableau) {
-            for (const card of column) {
-                if (!card.faceUp) {
-                    allFaceUp = false;
-                    break;
-                }
-            }
-            if (!allFaceUp) break;
-        }
+        this.gameLost = true;
+        this.endTime = Date.now();
+        return true;
+    }
 
-        // Also check if waste pile is empty or only has cards that can go to foundation
-        const wasteCanComplete = this.waste.length === 0 || 
-            this.waste.every(card => this.canMoveToAnyFoundation(card));
+    /**
+     * Check if the game is over, won or lost
+     */
+    isFinished() {
+        return this.gameWon || this.gameLost;
+    }
 
-        this.autoCompleteAvailable = allFaceUp && wasteCanComplete && this.stock.length === 0;
+    /**
+     * Check if auto-complete is available
+     */
+    checkAutoComplete() {
+        this.autoCompleteAvailable = this.variant.canAutoComplete(this);
     }
 
     /**
      * Check if a card can move to any foundation
      */
     canMoveToAnyFoundation(card) {
-        for (let i = 0; i < 4; i++) {
-            if (card.canPlaceOnFoundation(this.foundation[i])) {
+        for (let i = 0; i < this.foundation.length; i++) {
+            if (this.variant.canPlaceOnFoundation(this, card, this.foundation[i])) {
                 return true;
             }
         }
@@ -554,29 +417,17 @@ class GameState {
         while (madeMove) {
             madeMove = false;
 
-            // Try to move cards from tableau to foundation
-            for (let col = 0; col < this.tableau.length; col++) {
-                const column = this.tableau[col];
-                if (column.length > 0) {
-                    const topCard = column[column.length - 1];
-                    for (let foundIndex = 0; foundIndex < 4; foundIndex++) {
-                        if (topCard.canPlaceOnFoundation(this.foundation[foundIndex])) {
-                            this.moveCards('tableau', col, 'foundation', foundIndex, 1);
-                            moves.push({ from: `tableau-${col}`, to: `foundation-${foundIndex}`, card: topCard.toString() });
-                            madeMove = true;
-                            break;
-                        }
-                    }
-                }
-            }
-
-            // Try to move cards from waste to foundation
-            if (this.waste.length > 0) {
-                const topCard = this.waste[this.waste.length - 1];
-                for (let foundIndex = 0; foundIndex < 4; foundIndex++) {
-                    if (topCard.canPlaceOnFoundation(this.foundation[foundIndex])) {
-                        this.moveCards('waste', 0, 'foundation', foundIndex, 1);
-                        moves.push({ from: 'waste', to: `foundation-${foundIndex}`, card: topCard.toString() });
+            // Try to move the top card of every source pile (tableau, waste, free cells...) to a foundation
+            for (const source of this.variant.getAutoCompleteSources(this)) {
+                const pile = this.getCardArray(source.area, source.index);
+                if (!pile || pile.length === 0) continue;
+
+                const topCard = pile[pile.length - 1];
+                for (let foundIndex = 0; foundIndex < this.foundation.length; foundIndex++) {
+                    if (this.variant.canPlaceOnFoundation(this, topCard, this.foundation[foundIndex])) {
+                        this.moveCards(source.area, source.index, 'foundation', foundIndex, 1);
+                        const from = source.area === 'waste' ? 'waste' : `${source.area}-${source.index}`;
+                        moves.push({ from, to: `foundation-${foundIndex}`, card: topCard.toString() });
                         madeMove = true;
                         break;
                     }
@@ -588,58 +439,201 @@ class GameState {
     }
 
     /**
-     * Record a move in the history for undo functionality
+     * Describe the move being made (e.g. { type: 'draw-stock', count: 3 })
+     * Variants call this from drawFromStock; a move recorded in several steps
+     * (such as a recycle followed by a draw) keeps the details of each step
      */
     recordMove(move) {
-        this.moveHistory.push({
-            ...move,
+        this.pendingMove = { ...this.pendingMove, ...move };
+    }
+
+    /**
+     * Add the move just made to the history, with only the parts of the game it changed
+     * Making a move clears the redo stack
+     * @param {Object} before - Snapshot taken before the move (see createSnapshot)
+     */
+    commitMove(before) {
+        const move = {
+            ...this.pendingMove,
             timestamp: Date.now(),
-            gameState: this.createSnapshot()
+            changes: this.getChanges(before, this.createSnapshot()),
+            step: this.replayLog.length // The replay step that holds the changes when saved
+        };
+
+        this.moveHistory.push(move);
+        this.logReplayStep('move', move);
+
+        this.pendingMove = null;
+        this.redoStack = [];
+    }
+
+    /**
+     * Add a move, undo or redo to the replay log
+     * A move step holds the move's changes; undo and redo steps point to that step
+     * instead of repeating them, so a replay can play them backwards
+     * @param {string} action - 'move', 'undo' or 'redo'
+     * @param {Object} move - History entry the action applied
+     */
+    logReplayStep(action, move) {
+        const step = {
+            action: action,
+            type: move.type,
+            time: this.startTime ? Date.now() - this.startTime : 0, // Milliseconds into the game
+            moves: this.moves // Move counter after the step
+        };
+
+        if (action === 'move' || move.step === undefined) {
+            step.changes = move.changes;
+        } else {
+            step.step = move.step; // Index of the move step with the changes
+        }
+
+        this.replayLog.push(step);
+    }
+
+    /**
+     * List what differs between two snapshots
+     * Piles are compared one by one and only from the first card that differs,
+     * so a move stores just the cards it took off or put on
+     * @returns {Object[]} Changes as { key, index, keep, before, after }: the pile (or value)
+     *                     key, the pile's index in a list of piles, the cards left in place,
+     *                     and what came after them on each side of the move
+     */
+    getChanges(before, after) {
+        const changes = [];
+
+        Object.keys(after).forEach(key => {
+            if (this.isSameValue(after[key], before[key])) return;
+
+            const isPileList = [before[key], after[key]].some(value =>
+                Array.isArray(value) && value.length > 0 && value.every(Array.isArray));
+
+            if (isPileList && Array.isArray(before[key]) && before[key].length === after[key].length) {
+                after[key].forEach((pile, index) => {
+                    const change = this.getPileChange(before[key][index], pile);
+                    if (change) changes.push({ key, index, ...change });
+                });
+            } else if (!isPileList && Array.isArray(before[key]) && Array.isArray(after[key])) {
+                changes.push({ key, ...this.getPileChange(before[key], after[key]) });
+            } else {
+                changes.push({ key, before: before[key], after: after[key] }); // Counters and other values
+            }
         });
 
-        // Limit history size to prevent memory issues
-        if (this.moveHistory.length > 100) {
-            this.moveHistory.shift();
+        return changes;
+    }
+
+    /**
+     * Compare two versions of a pile from the bottom card up
+     * @returns {Object|null} { keep, before, after } - cards in common, then the rest of each version
+     */
+    getPileChange(before, after) {
+        let keep = 0;
+        while (keep < before.length && keep < after.length &&
+               this.isSameValue(before[keep], after[keep])) {
+            keep++;
+        }
+
+        if (keep === before.length && keep === after.length) return null;
+        return { keep, before: before.slice(keep), after: after.slice(keep) };
+    }
+
+    /**
+     * Compare two snapshot values (piles, cards, counters) field by field
+     */
+    isSameValue(a, b) {
+        if (a === b) return true;
+        if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+        if (Array.isArray(a)) {
+            return Array.isArray(b) && a.length === b.length &&
+                a.every((value, index) => this.isSameValue(value, b[index]));
         }
+
+        const keys = Object.keys(a);
+        return !Array.isArray(b) && keys.length === Object.keys(b).length &&
+            keys.every(key => this.isSameValue(a[key], b[key]));
+    }
+
+    /**
+     * Put the game back to one side of a move's changes
+     * @param {Object[]} changes - Changes recorded for the move (see getChanges)
+     * @param {string} side - 'before' to undo the move, 'after' to redo it
+     */
+    applyChanges(changes, side) {
+        const snapshot = this.createSnapshot();
+
+        changes.forEach(change => {
+            if (change.keep === undefined) {
+                snapshot[change.key] = change[side];
+                return;
+            }
+
+            const pile = change.index === undefined ? snapshot[change.key] : snapshot[change.key][change.index];
+            const restored = pile.slice(0, change.keep).concat(change[side]);
+
+            if (change.index === undefined) {
+                snapshot[change.key] = restored;
+            } else {
+                snapshot[change.key][change.index] = restored;
+            }
+        });
+
+        this.restoreSnapshot(snapshot);
     }
 
     /**
      * Undo the last move
+     * The history is never trimmed; undo limits count the undos used instead.
+     * A finished game has been recorded in the statistics, so it can't be taken back
      */
     undoLastMove() {
-        if (this.moveHistory.length === 0) return false;
+        if (this.moveHistory.length === 0 || this.isFinished()) return false;
 
         const lastMove = this.moveHistory.pop();
-        this.restoreSnapshot(lastMove.gameState);
+        this.applyChanges(lastMove.changes, 'before');
+        this.redoStack.push(lastMove);
+        this.undoCount++;
         this.moves++; // Undo counts as a move
+        this.logReplayStep('undo', lastMove);
         
         return true;
     }
 
+    /**
+     * Redo the last undone move
+     */
+    redoMove() {
+        if (this.redoStack.length === 0 || this.isFinished()) return false;
+
+        const move = this.redoStack.pop();
+        this.applyChanges(move.changes, 'after');
+        this.moveHistory.push(move);
+        this.moves++;
+        this.logReplayStep('redo', move);
+
+        return true;
+    }
+
     /**
      * Create a snapshot of the current game state
      */
     createSnapshot() {
-        const snapshot = {
+        return {
             tableau: this.tableau.map(column => column.map(card => card.toJSON())),
+            foundation: this.foundation.map(pile => pile.map(card => card.toJSON())),
             stock: this.stock.map(card => card.toJSON()),
+            waste: this.waste.map(card => card.toJSON()),
+            board: this.board.map(slot => slot.map(card => card.toJSON())),
             score: this.score,
             stockCycles: this.stockCycles,
             emptyColumnsCreated: this.emptyColumnsCreated,
-            gameType: this.gameType
+            gameWon: this.gameWon,
+            gameLost: this.gameLost,
+            endTime: this.endTime,
+            gameType: this.gameType,
+            ...this.variant.serialize(this) // Variant-specific piles and counters
         };
-
-        // Add game-type specific properties
-        if (this.gameType === 'spider') {
-            snapshot.completedSequences = this.completedSequences.map(seq => seq.map(card => card.toJSON()));
-            snapshot.spiderSuits = this.spiderSuits;
-        } else {
-            // Klondike specific properties
-            snapshot.foundation = this.foundation.map(pile => pile.map(card => card.toJSON()));
-            snapshot.waste = this.waste.map(card => card.toJSON());
-        }
-
-        return snapshot;
     }
 
     /**
@@ -647,24 +641,17 @@ class GameState {
      */
     restoreSnapshot(snapshot) {
         this.tableau = snapshot.tableau.map(column => column.map(cardData => Card.fromJSON(cardData)));
+        this.foundation = (snapshot.foundation || []).map(pile => pile.map(cardData => Card.fromJSON(cardData)));
         this.stock = snapshot.stock.map(cardData => Card.fromJSON(cardData));
+        this.waste = (snapshot.waste || []).map(cardData => Card.fromJSON(cardData));
+        this.board = (snapshot.board || []).map(slot => slot.map(cardData => Card.fromJSON(cardData)));
         this.score = snapshot.score;
         this.stockCycles = snapshot.stockCycles;
         this.emptyColumnsCreated = snapshot.emptyColumnsCreated;
-        this.gameType = snapshot.gameType || this.gameType;
-
-        // Restore game-type specific properties
-        if (this.gameType === 'spider') {
-            this.completedSequences = snapshot.completedSequences ? 
-                snapshot.completedSequences.map(seq => seq.map(cardData => Card.fromJSON(cardData))) : [];
-            this.spiderSuits = snapshot.spiderSuits || 1;
-        } else {
-            // Klondike specific properties
-            this.foundation = snapshot.foundation ? 
-                snapshot.foundation.map(pile => pile.map(cardData => Card.fromJSON(cardData))) : [[], [], [], []];
-            this.waste = snapshot.waste ? 
-                snapshot.waste.map(cardData => Card.fromJSON(cardData)) : [];
-        }
+        this.gameWon = snapshot.gameWon || false;
+        this.gameLost = snapshot.gameLost || false;
+        this.endTime = snapshot.endTime || null;
+        this.variant.deserialize(this, snapshot);
 
         this.checkAutoComplete();
     }
@@ -677,17 +664,48 @@ class GameState {
         const gameTime = this.startTime ? currentTime - this.startTime : 0;
 
         return {
+            gameType: this.gameType,
             moves: this.moves,
-            score: this.score,
+            score: this.getScore(),
+            scoring: this.scoring,
             gameTime: gameTime,
+            seed: this.seed,
             stockCycles: this.stockCycles,
             emptyColumnsCreated: this.emptyColumnsCreated,
+            hintsUsed: this.hintsUsed,
+            undosUsed: this.undoCount,
             difficulty: this.difficulty,
             gameWon: this.gameWon,
             gameLost: this.gameLost
         };
     }
 
+    /**
+     * Get everything needed to replay the game: its rules, the deal and the replay log
+     * @returns {Object|null} The replay (see ReplayPlayer), or null for a game saved
+     *                        before replays were recorded
+     */
+    getReplay() {
+        if (!this.dealSnapshot) return null;
+
+        return {
+            gameType: this.gameType,
+            difficulty: this.difficulty,
+            drawCount: this.drawCount,
+            seed: this.seed,
+            scoring: this.scoring,
+            rules: this.rules,
+            startTime: this.startTime,
+            endTime: this.endTime,
+            gameWon: this.gameWon,
+            gameLost: this.gameLost,
+            moves: this.moves,
+            score: this.getScore(),
+            deal: this.dealSnapshot,
+            steps: this.replayLog
+        };
+    }
+
     /**
      * Format game time as MM:SS
      */
@@ -703,11 +721,20 @@ class GameState {
      * Serialize game state to JSON for saving
      */
     toJSON() {
-        const json = {
+        return {
             tableau: this.tableau.map(column => column.map(card => card.toJSON())),
+            foundation: this.foundation.map(pile => pile.map(card => card.toJSON())),
             stock: this.stock.map(card => card.toJSON()),
+            waste: this.waste.map(card => card.toJSON()),
+            board: this.board.map(slot => slot.map(card => card.toJSON())),
             difficulty: this.difficulty,
             drawCount: this.drawCount,
+            seed: this.seed,
+            dealVerified: this.dealVerified,
+            scoring: this.scoring,
+            rules: this.rules,
+            daily: this.daily,
+            statsRecorded: this.statsRecorded,
             moves: this.moves,
             score: this.score,
             startTime: this.startTime,
@@ -717,34 +744,55 @@ class GameState {
             stockCycles: this.stockCycles,
             emptyColumnsCreated: this.emptyColumnsCreated,
             autoCompleteAvailable: this.autoCompleteAvailable,
-            gameType: this.gameType
+            moveHistory: this.moveHistory.map(move => this.packMove(move)),
+            redoStack: this.redoStack.map(move => this.packMove(move)),
+            undoCount: this.undoCount,
+            hintsUsed: this.hintsUsed,
+            dealSnapshot: this.dealSnapshot,
+            replayLog: this.replayLog,
+            gameType: this.gameType,
+            ...this.variant.serialize(this) // Variant-specific piles and counters
         };
+    }
 
-        // Add game-type specific properties
-        if (this.gameType === 'spider') {
-            json.completedSequences = this.completedSequences.map(seq => seq.map(card => card.toJSON()));
-            json.spiderSuits = this.spiderSuits;
-        } else {
-            // Klondike specific properties
-            json.foundation = this.foundation.map(pile => pile.map(card => card.toJSON()));
-            json.waste = this.waste.map(card => card.toJSON());
-        }
+    /**
+     * Leave out a history entry's changes when saving: its replay step already holds them
+     */
+    packMove(move) {
+        if (move.step === undefined) return move; // Made before the game was loaded from an older save
 
-        return json;
+        const { changes, ...packed } = move;
+        return packed;
+    }
+
+    /**
+     * Give a saved history entry its changes back from its replay step
+     */
+    unpackMove(move) {
+        if (move.changes) return move; // Saved before history entries pointed to replay steps
+
+        return { ...move, changes: this.replayLog[move.step].changes };
     }
 
     /**
      * Load game state from JSON
      */
     static fromJSON(data) {
-        const gameState = new GameState();
+        const gameState = new GameState(data.gameType || 'klondike');
         
         gameState.tableau = data.tableau.map(column => column.map(cardData => Card.fromJSON(cardData)));
-        gameState.foundation = data.foundation.map(pile => pile.map(cardData => Card.fromJSON(cardData)));
+        gameState.foundation = (data.foundation || []).map(pile => pile.map(cardData => Card.fromJSON(cardData)));
         gameState.stock = data.stock.map(cardData => Card.fromJSON(cardData));
-        gameState.waste = data.waste.map(cardData => Card.fromJSON(cardData));
+        gameState.waste = (data.waste || []).map(cardData => Card.fromJSON(cardData));
+        gameState.board = (data.board || []).map(slot => slot.map(cardData => Card.fromJSON(cardData)));
         gameState.difficulty = data.difficulty;
         gameState.drawCount = data.drawCount;
+        gameState.seed = data.seed || null;
+        gameState.dealVerified = data.dealVerified || false;
+        gameState.scoring = data.scoring || 'standard';
+        gameState.rules = data.rules || null;
+        gameState.daily = data.daily || null;
+        gameState.statsRecorded = data.statsRecorded || false;
         gameState.moves = data.moves;
         gameState.score = data.score;
         gameState.startTime = data.startTime;
@@ -754,11 +802,20 @@ class GameState {
         gameState.stockCycles = data.stockCycles;
         gameState.emptyColumnsCreated = data.emptyColumnsCreated;
         gameState.autoCompleteAvailable = data.autoCompleteAvailable;
+        gameState.replayLog = [...(data.replayLog || [])];
+        gameState.moveHistory = (data.moveHistory || []).map(move => gameState.unpackMove(move));
+        gameState.redoStack = (data.redoStack || []).map(move => gameState.unpackMove(move));
+        gameState.undoCount = data.undoCount || 0;
+        gameState.hintsUsed = data.hintsUsed || 0;
+        gameState.dealSnapshot = data.dealSnapshot || null;
+        gameState.variant.deserialize(gameState, data);
         
         return gameState;
     }
 }
 
+GameState.SUIT_CODES = { hearts: 0, diamonds: 1, clubs: 2, spades: 3 }; // Suit numbers used in position keys
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = GameState;
@@ -71,6 +71,14 @@ class SolitaireGame {
             });
         }
 
+        // Redo button handler
+        const redoBtn = document.getElementById('redo-btn');
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => {
+                this.redoMove();
+            });
+        }
+
         // Menu button handler
         const menuBtn = document.getElementById('menu-btn');
         if (menuBtn) {
@@ -102,6 +110,37 @@ class SolitaireGame {
             });
         }
 
+        const scoringSelect = document.getElementById('scoring');
+        if (scoringSelect) {
+            scoringSelect.addEventListener('change', () => {
+                this.uiManager.saveSettings(); // Applies from the next game
+            });
+        }
+
+        // Custom game screen: picking a saved preset shows its rules
+        const customPresetSelect = document.getElementById('custom-preset');
+        if (customPresetSelect) {
+            customPresetSelect.addEventListener('change', () => {
+                this.uiManager.showCustomPreset(customPresetSelect.value);
+            });
+        }
+
+        // Winnable deals are only offered for some games
+        const customGameSelect = document.getElementById('custom-game-select');
+        if (customGameSelect) {
+            customGameSelect.addEventListener('change', () => {
+                this.uiManager.updateCustomRuleOptions();
+            });
+        }
+
+        // Statistics screen: switch between all games and one game and difficulty
+        const statsFilterSelect = document.getElementById('stats-filter');
+        if (statsFilterSelect) {
+            statsFilterSelect.addEventListener('change', () => {
+                this.uiManager.updateStatsDisplay();
+            });
+        }
+
         // Modal close handlers
         const gameOverModal = document.getElementById('game-over-modal');
         if (gameOverModal) {
@@ -149,6 +188,12 @@ class SolitaireGame {
                     this.undoMove();
                 }
                 break;
+            case 'y':
+                if (event.ctrlKey || event.metaKey) {
+                    event.preventDefault();
+                    this.redoMove();
+                }
+                break;
             case 'n':
                 if (event.ctrlKey || event.metaKey) {
                     event.preventDefault();
@@ -199,15 +244,14 @@ class SolitaireGame {
      * Undo last move
      */
     undoMove() {
-        const undoCount = this.gameState.moveHistory.length;
-        
-        if (!this.difficultyManager.canUndo(undoCount)) {
-            const limit = this.difficultyManager.getUndoLimit();
-            this.uiManager.showMessage(`Undo limit reached (${limit} undos allowed in this difficulty).`);
-            return;
-        }
+        this.uiManager.undoMove(); // Checks the difficulty's undo limit
+    }
 
-        this.uiManager.undoMove();
+    /**
+     * Redo the last undone move
+     */
+    redoMove() {
+        this.uiManager.redoMove();
     }
 
     /**
@@ -232,20 +276,31 @@ class SolitaireGame {
     resumeGame() {
         if (this.uiManager.currentScreen === 'game-screen' && 
             this.gameState.startTime && 
-            !this.gameState.gameWon) {
+            !this.gameState.gameWon &&
+            !this.gameState.gameLost) {
             this.uiManager.startGameTimer();
         }
     }
 
+    /**
+     * Get the game being played: the UI's game, or the one set aside while a replay is shown
+     */
+    getCurrentGameState() {
+        if (!this.uiManager) return this.gameState;
+
+        return this.uiManager.replay ? this.uiManager.replay.gameState : this.uiManager.gameState;
+    }
+
     /**
      * Save current game state to localStorage
      */
     saveGameState() {
-        if (!this.gameState || this.gameState.gameWon) return;
+        const gameState = this.getCurrentGameState();
+        if (!gameState || !gameState.startTime || gameState.gameWon || gameState.gameLost) return; // Finished games aren't resumed
 
         try {
             const gameData = {
-                gameState: this.gameState.toJSON(),
+                gameState: gameState.toJSON(),
                 difficulty: this.difficultyManager.currentDifficulty,
                 timestamp: Date.now()
             };
@@ -273,8 +328,9 @@ class SolitaireGame {
                 return false;
             }
 
-            // Restore game state
+            // Restore game state (a resumed game was counted as played when it started)
             this.gameState = GameState.fromJSON(gameData.gameState);
+            this.uiManager.gameState = this.gameState;
             this.difficultyManager.setDifficulty(gameData.difficulty);
             
             return true;
@@ -307,16 +363,16 @@ class SolitaireGame {
      * Get game statistics for analytics
      */
     getGameAnalytics() {
-        if (!this.gameState) return null;
+        const gameState = this.getCurrentGameState();
+        if (!gameState) return null;
 
-        const analysis = this.difficultyManager.hintSystem.analyzeGameState(this.gameState);
-        const stats = this.gameState.getGameStats();
+        const analysis = this.difficultyManager.hintSystem.analyzeGameState(gameState);
+        const stats = gameState.getGameStats(); // Includes the hints and undos used
 
         return {
             ...stats,
             ...analysis,
             difficulty: this.difficultyManager.currentDifficulty,
-            hintsUsed: 0, // Could track this if needed
             autoCompleteUsed: false // Could track this if needed
         };
     }
@@ -352,39 +408,44 @@ class SolitaireGame {
     }
 
     /**
-     * Export game state for sharing or debugging
+     * Export the current game as a game record (see GameNotation)
+     * @returns {string|null} The record: deal settings and the moves played
      */
     exportGameState() {
-        if (!this.gameState) return null;
+        const gameState = this.getCurrentGameState();
+        if (!gameState) return null;
 
-        return {
-            version: '1.0',
-            gameState: this.gameState.toJSON(),
-            difficulty: this.difficultyManager.currentDifficulty,
-            timestamp: Date.now(),
-            analytics: this.getGameAnalytics()
-        };
+        return GameNotation.exportRecord(gameState);
     }
 
     /**
-     * Import game state from exported data
+     * Import a game record: deal its game, play its moves and continue from there
+     * @param {string} record - Game record (see GameNotation)
      */
-    importGameState(exportedData) {
+    importGameState(record) {
         try {
-            if (!exportedData || exportedData.version !== '1.0') {
-                throw new Error('Invalid or unsupported game data format');
+            const gameState = GameNotation.importRecord(record);
+
+            this.difficultyManager.useGameDifficulty(gameState); // e.g. a custom preset saved on another device
+
+            if (this.uiManager.replay) {
+                this.uiManager.stopReplay(); // Back to the real game before it is replaced
+            }
+            this.uiManager.abandonGame();
+            if (!gameState.gameWon && !gameState.gameLost) {
+                this.uiManager.recordGameStart(gameState); // A finished record is only looked at
             }
 
-            this.gameState = GameState.fromJSON(exportedData.gameState);
-            this.difficultyManager.setDifficulty(exportedData.difficulty);
-            
+            this.gameState = gameState;
+            this.uiManager.gameState = gameState;
+            this.uiManager.setupGameTypeUI(gameState.variant);
+            this.uiManager.updateDifficultyDisplay();
             this.uiManager.showScreen('game-screen');
-            this.uiManager.renderGameBoard();
             
             return true;
         } catch (error) {
-            console.error('Failed to import game state:', error);
-            this.uiManager.showMessage('Failed to import game data.');
+            console.error('Failed to import game record:', error);
+            this.uiManager.showMessage(`Failed to import game record: ${error.message}`);
             return false;
         }
     }
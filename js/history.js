@@ -0,0 +1,80 @@
+/**
+ * GameHistory class for the log of games played
+ * Every game that is finished (won or lost) or abandoned for another one gets an entry
+ * with its deal and how it went; the deal can be dealt again from the entry
+ */
+class GameHistory {
+    /**
+     * Describe a game for the history
+     * @param {GameState} gameState - The finished or abandoned game
+     * @param {string} result - 'won', 'lost' or 'abandoned'
+     */
+    static createEntry(gameState, result) {
+        const stats = gameState.getGameStats();
+
+        return {
+            date: gameState.endTime || Date.now(), // When the game ended or was left
+            gameType: stats.gameType,
+            difficulty: stats.difficulty,
+            seed: stats.seed,
+            rules: gameState.rules,   // Custom deal rules, needed to deal the same cards again
+            daily: gameState.daily,   // Date of the Daily Challenge, or null
+            result: result,
+            time: stats.gameTime,
+            moves: stats.moves,
+            score: stats.score,
+            scoring: stats.scoring,
+            hintsUsed: stats.hintsUsed,
+            undosUsed: stats.undosUsed
+        };
+    }
+
+    /**
+     * Load the history, most recent game first
+     */
+    static load() {
+        try {
+            const saved = localStorage.getItem(GameHistory.STORAGE_KEY);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Add a game to the history
+     * @param {GameState} gameState - The finished or abandoned game
+     * @param {string} result - 'won', 'lost' or 'abandoned'
+     * @returns {Object} The new entry
+     */
+    static record(gameState, result) {
+        const entry = GameHistory.createEntry(gameState, result);
+        const entries = GameHistory.load();
+        entries.unshift(entry);
+
+        // Halve the history, oldest games first, until it fits in storage
+        for (let count = Math.min(entries.length, GameHistory.MAX_ENTRIES); count > 0; count = Math.floor(count / 2)) {
+            try {
+                localStorage.setItem(GameHistory.STORAGE_KEY, JSON.stringify(entries.slice(0, count)));
+                break;
+            } catch (error) {
+                console.warn('Could not save the game history:', error);
+            }
+        }
+
+        return entry;
+    }
+}
+
+GameHistory.STORAGE_KEY = 'solitaire-history'; // localStorage key for the history
+GameHistory.MAX_ENTRIES = 500;                 // Games kept, the oldest are dropped first
+GameHistory.RESULTS = {                        // Result names shown in the history
+    won: 'Won',
+    lost: 'Lost',
+    abandoned: 'Abandoned'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameHistory;
+}
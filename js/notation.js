@@ -0,0 +1,231 @@
+/**
+ * GameNotation class for writing games down as text
+ * A game record has a header for each deal setting, then the moves played:
+ *
+ *   [Game "klondike"]
+ *   [Difficulty "medium"]
+ *   [Seed "123456"]
+ *   [Scoring "standard"]
+ *   [Result "won"]
+ *
+ *   D W>T3 T5[2]>T1 T1>F1 D
+ *
+ * A move names its source and target piles, with the number of cards in brackets
+ * when more than one moves; D uses the stock (a draw, a deal or a recycle).
+ * Replaying the moves on the deal from the seed and rules gives back the game
+ */
+class GameNotation {
+    /**
+     * Write a move from the move history, e.g. 'T5[2]>T1' or 'D'
+     * @param {Object} move - History entry (see GameState.commitMove)
+     */
+    static formatMove(move) {
+        if (!move.from || !move.to) return 'D'; // Draws, deals and recycles
+
+        const count = move.cards && move.cards.length > 1 ? `[${move.cards.length}]` : '';
+        return `${GameNotation.formatPile(move.from)}${count}>${GameNotation.formatPile(move.to)}`;
+    }
+
+    /**
+     * Write a pile, e.g. 'T3' for the third tableau column or 'W' for the waste
+     * @param {Object} pile - { area, index }
+     */
+    static formatPile(pile) {
+        const letter = Object.keys(GameNotation.AREAS).find(key => GameNotation.AREAS[key] === pile.area);
+        if (!letter) {
+            throw new Error(`Pile area "${pile.area}" has no notation`);
+        }
+
+        return GameNotation.NUMBERED_AREAS.includes(pile.area) ? `${letter}${pile.index + 1}` : letter;
+    }
+
+    /**
+     * Read a move
+     * @param {string} text - e.g. 'W>T3', 'T5[2]>T1' or 'D'
+     * @returns {Object} { draw: true } or { from, to, count }
+     */
+    static parseMove(text) {
+        if (text === 'D') return { draw: true };
+
+        const match = /^([A-Z])(\d*)(?:\[(\d+)\])?>([A-Z])(\d*)$/.exec(text);
+        if (!match) {
+            throw new Error(`"${text}" is not a move`);
+        }
+
+        return {
+            from: GameNotation.parsePile(match[1], match[2], text),
+            to: GameNotation.parsePile(match[4], match[5], text),
+            count: match[3] ? parseInt(match[3], 10) : 1
+        };
+    }
+
+    /**
+     * Read a pile from its letter and number
+     * @param {string} text - The whole move, for the error message
+     */
+    static parsePile(letter, number, text) {
+        const area = GameNotation.AREAS[letter];
+        const numbered = GameNotation.NUMBERED_AREAS.includes(area);
+
+        if (!area || numbered !== (number !== '') || number === '0') {
+            throw new Error(`"${text}" has an unknown pile`);
+        }
+
+        return { area: area, index: numbered ? parseInt(number, 10) - 1 : 0 };
+    }
+
+    /**
+     * Write the game record of a game: its deal settings and the moves that led
+     * to the current position (undone moves are left out)
+     * @param {GameState} gameState - Game to write down
+     */
+    static exportRecord(gameState) {
+        const headers = {
+            Version: GameNotation.VERSION,
+            Game: gameState.gameType,
+            Difficulty: gameState.difficulty,
+            Seed: gameState.seed,
+            Scoring: gameState.scoring
+        };
+
+        if (gameState.rules) {
+            headers.Rules = Object.keys(gameState.rules)
+                .map(name => `${name}=${gameState.rules[name]}`)
+                .join(' ');
+        }
+
+        headers.Result = gameState.gameWon ? 'won' : (gameState.gameLost ? 'lost' : 'unfinished');
+
+        const headerLines = Object.keys(headers).map(name => `[${name} "${headers[name]}"]`);
+        const moves = gameState.moveHistory.map(move => GameNotation.formatMove(move));
+
+        const record = headerLines.join('\n');
+        return moves.length > 0 ? `${record}\n\n${GameNotation.wrapMoves(moves)}\n` : `${record}\n`;
+    }
+
+    /**
+     * Join moves into lines of at most 80 characters
+     */
+    static wrapMoves(moves) {
+        const lines = [];
+        let line = '';
+
+        moves.forEach(move => {
+            if (line && line.length + move.length + 1 > 80) {
+                lines.push(line);
+                line = '';
+            }
+            line = line ? `${line} ${move}` : move;
+        });
+        if (line) lines.push(line);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Read a game record
+     * @param {string} text - Game record (see exportRecord)
+     * @returns {Object} { gameType, difficulty, seed, scoring, rules, moves } with the moves still as text
+     */
+    static parseRecord(text) {
+        if (typeof text !== 'string') {
+            throw new Error('A game record must be text');
+        }
+
+        const headers = {};
+        const moves = [];
+
+        text.split('\n').forEach(rawLine => {
+            const line = rawLine.trim();
+            const header = /^\[(\w+)\s+"([^"]*)"\]$/.exec(line);
+
+            if (header) {
+                headers[header[1]] = header[2];
+            } else if (line) {
+                moves.push(...line.split(/\s+/));
+            }
+        });
+
+        if (headers.Version && parseInt(headers.Version, 10) > GameNotation.VERSION) {
+            throw new Error(`Game records of version ${headers.Version} are not supported`);
+        }
+        if (!headers.Game || !VariantRegistry.variants[headers.Game]) {
+            throw new Error(`Unknown game "${headers.Game || ''}"`);
+        }
+        if (!/^\d+$/.test(headers.Seed || '')) {
+            throw new Error('The record has no deal number');
+        }
+
+        return {
+            gameType: headers.Game,
+            difficulty: headers.Difficulty || 'medium',
+            seed: parseInt(headers.Seed, 10),
+            scoring: headers.Scoring || 'standard',
+            rules: headers.Rules ? GameNotation.parseRules(headers.Rules) : null,
+            moves: moves
+        };
+    }
+
+    /**
+     * Read custom rules, e.g. 'drawCount=3 stockPasses=-1 winnableDeals=false'
+     */
+    static parseRules(text) {
+        const rules = {};
+
+        text.split(/\s+/).filter(Boolean).forEach(rule => {
+            const [name, value] = rule.split('=');
+            if (value === 'true' || value === 'false') {
+                rules[name] = value === 'true';
+            } else {
+                rules[name] = Number(value);
+            }
+        });
+
+        return rules;
+    }
+
+    /**
+     * Deal a game record's game and play its moves
+     * @param {string} text - Game record (see exportRecord)
+     * @returns {GameState} The game after the last move
+     */
+    static importRecord(text) {
+        const record = GameNotation.parseRecord(text);
+        const gameState = new GameState(record.gameType);
+        gameState.newGame(record.difficulty, record.gameType, record.seed, record.scoring, record.rules);
+
+        record.moves.forEach((moveText, index) => {
+            const move = GameNotation.parseMove(moveText);
+            const played = move.draw ?
+                gameState.drawFromStock() :
+                gameState.moveCards(move.from.area, move.from.index, move.to.area, move.to.index, move.count);
+
+            if (!played) {
+                throw new Error(`Move ${index + 1} (${moveText}) can't be played`);
+            }
+        });
+
+        return gameState;
+    }
+}
+
+GameNotation.VERSION = 1; // Newest game record version this code reads and writes
+
+// Pile letters used in moves
+GameNotation.AREAS = {
+    T: 'tableau',
+    F: 'foundation',
+    W: 'waste',
+    S: 'stock',
+    C: 'freecell',
+    B: 'board',     // Pyramid slots
+    R: 'reserve',   // Canfield reserve
+    X: 'discard'    // Pyramid's removed cards
+};
+
+GameNotation.NUMBERED_AREAS = ['tableau', 'foundation', 'freecell', 'board']; // Areas with more than one pile
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameNotation;
+}
@@ -0,0 +1,58 @@
+/**
+ * SeededRandom class providing a small deterministic pseudo-random number generator
+ * The same seed always produces the same sequence, which makes deals reproducible
+ * and lets players share a deal number to replay the exact same layout
+ */
+class SeededRandom {
+    /**
+     * Create a new generator
+     * @param {number} seed - Deal number used to initialise the generator
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0; // Original seed (unsigned 32-bit)
+        this.state = this.seed; // Internal generator state advanced on every call
+    }
+
+    /**
+     * Get the next pseudo-random number in the range [0, 1)
+     * Uses the mulberry32 algorithm: fast, small, and good enough for shuffling cards
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a pseudo-random integer from 0 (inclusive) to max (exclusive)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Generate a new random deal number for games started without one
+     * @param {number} maxSeed - Highest deal number to pick (some games have fewer deals)
+     */
+    static generateSeed(maxSeed = SeededRandom.MAX_SEED) {
+        return 1 + Math.floor(Math.random() * maxSeed);
+    }
+
+    /**
+     * Check if a value is a valid deal number
+     * @param {number} maxSeed - Highest deal number allowed
+     */
+    static isValidSeed(seed, maxSeed = SeededRandom.MAX_SEED) {
+        return Number.isInteger(seed) && seed >= 1 && seed <= maxSeed;
+    }
+}
+
+// Highest deal number handed out (keeps numbers short enough to read out loud)
+SeededRandom.MAX_SEED = 999999;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
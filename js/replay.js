@@ -0,0 +1,174 @@
+/**
+ * ReplayPlayer class for watching a recorded game
+ * A replay starts from the game as dealt and plays the replay log (see GameState.getReplay)
+ * one step at a time, forwards or backwards, on a GameState of its own
+ */
+class ReplayPlayer {
+    /**
+     * Set up a replay at its first step
+     * @param {Object} replay - Replay from GameState.getReplay
+     */
+    constructor(replay) {
+        this.replay = replay;         // Rules, deal and steps of the recorded game
+        this.steps = replay.steps;    // Moves, undos and redos in the order played
+        this.position = 0;            // Number of steps played so far
+        this.state = this.createState(); // Game shown by the replay
+    }
+
+    /**
+     * Create the game as it was dealt
+     */
+    createState() {
+        const state = new GameState(this.replay.gameType);
+
+        state.difficulty = this.replay.difficulty;
+        state.drawCount = this.replay.drawCount;
+        state.seed = this.replay.seed;
+        state.scoring = this.replay.scoring;
+        state.rules = this.replay.rules;
+        state.startTime = this.replay.startTime;
+        state.restoreSnapshot(this.replay.deal);
+        state.endTime = state.startTime; // The replay clock, moved on by every step
+
+        return state;
+    }
+
+    /**
+     * Get the number of steps in the replay
+     */
+    getLength() {
+        return this.steps.length;
+    }
+
+    /**
+     * Check if every step has been played
+     */
+    isAtEnd() {
+        return this.position >= this.steps.length;
+    }
+
+    /**
+     * Play the next step
+     * @returns {boolean} False at the end of the replay
+     */
+    stepForward() {
+        if (this.isAtEnd()) return false;
+
+        const step = this.steps[this.position];
+        this.state.applyChanges(this.getChanges(step), step.action === 'undo' ? 'before' : 'after');
+        this.position++;
+        this.updateClock();
+
+        return true;
+    }
+
+    /**
+     * Take back the last step played
+     * @returns {boolean} False at the start of the replay
+     */
+    stepBack() {
+        if (this.position === 0) return false;
+
+        this.position--;
+        const step = this.steps[this.position];
+        this.state.applyChanges(this.getChanges(step), step.action === 'undo' ? 'after' : 'before');
+        this.updateClock();
+
+        return true;
+    }
+
+    /**
+     * Get the changes a step applies: undo and redo steps point to the move they
+     * undo or redo (older replays repeat its changes)
+     */
+    getChanges(step) {
+        return step.changes || this.steps[step.step].changes;
+    }
+
+    /**
+     * Go back to the deal
+     */
+    restart() {
+        while (this.stepBack());
+    }
+
+    /**
+     * Show the time and move counter of the last step played
+     */
+    updateClock() {
+        const step = this.steps[this.position - 1];
+
+        this.state.moves = step ? step.moves : 0;
+        this.state.endTime = this.state.startTime + (step ? step.time : 0);
+    }
+
+    /**
+     * Get how long to wait before playing the next step: the time the player took,
+     * kept between a quarter second and two seconds, divided by the speed
+     * @param {number} speed - Playback speed, 1 for the recorded pace
+     */
+    getDelay(speed) {
+        const previous = this.steps[this.position - 1];
+        const next = this.steps[this.position];
+        const gap = next ? next.time - (previous ? previous.time : 0) : 0;
+
+        return Math.min(Math.max(gap, ReplayPlayer.MIN_DELAY), ReplayPlayer.MAX_DELAY) / speed;
+    }
+
+    /**
+     * Describe the last step played, e.g. "Undo" or "Draw stock"
+     */
+    getStepName() {
+        const step = this.steps[this.position - 1];
+        if (!step) return 'Deal';
+        if (step.action !== 'move') return step.action === 'undo' ? 'Undo' : 'Redo';
+
+        const name = (step.type || 'move').replace(/-/g, ' ');
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
+    /**
+     * Load the replays of recently finished games, most recent first
+     */
+    static loadRecent() {
+        try {
+            const saved = localStorage.getItem(ReplayPlayer.STORAGE_KEY);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Keep the replay of a finished game with the recent ones
+     * A game finished again after an undo replaces its earlier replay
+     * @param {Object} replay - Replay from GameState.getReplay
+     */
+    static saveRecent(replay) {
+        if (!replay) return;
+
+        const replays = ReplayPlayer.loadRecent().filter(saved => saved.startTime !== replay.startTime);
+        replays.unshift(replay);
+
+        // Drop the oldest replays until the rest fit in storage
+        for (let count = Math.min(replays.length, ReplayPlayer.MAX_SAVED); count > 0; count--) {
+            try {
+                localStorage.setItem(ReplayPlayer.STORAGE_KEY, JSON.stringify(replays.slice(0, count)));
+                return;
+            } catch (error) {
+                console.warn('Could not save replays:', error);
+            }
+        }
+    }
+}
+
+ReplayPlayer.STORAGE_KEY = 'solitaire-replays'; // localStorage key for recent replays
+ReplayPlayer.MAX_SAVED = 5;                     // Recent replays kept
+ReplayPlayer.MIN_DELAY = 250;                   // Shortest pause between steps at normal speed (ms)
+ReplayPlayer.MAX_DELAY = 2000;                  // Longest pause between steps at normal speed (ms)
+ReplayPlayer.SPEEDS = [0.5, 1, 2, 4];           // Playback speeds to choose from
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReplayPlayer;
+}
@@ -0,0 +1,360 @@
+/**
+ * Scoring schemes for Solitaire On Demand
+ * A scheme turns game events (card moves, stock use, completed sequences, winning)
+ * into a score. GameState passes every event to the scheme chosen for the game,
+ * so the same rules can be played with standard points, Vegas dollars or no score
+ */
+class ScoringScheme {
+    /**
+     * Create a scoring scheme
+     * @param {string} id - Identifier stored with saved games and statistics (e.g. 'windows')
+     * @param {string} name - Display name shown in the settings
+     */
+    constructor(id, name) {
+        this.id = id;     // Scheme identifier stored as GameState.scoring
+        this.name = name; // Human readable name
+    }
+
+    /**
+     * Check if the scheme can score a game of the given variant
+     * @param {SolitaireVariant} variant - Variant being played
+     * @param {GameState} state - Freshly dealt game (e.g. to read the draw count)
+     */
+    isAvailable(variant, state) {
+        return true;
+    }
+
+    /**
+     * Set the starting score of a freshly dealt game
+     */
+    start(state) {
+        state.score = 0;
+    }
+
+    /**
+     * Score a card move
+     * @param {Object} move - The move as recorded in the history (from, to, cards, flippedCard)
+     */
+    scoreMove(state, move) {
+    }
+
+    /**
+     * Score a use of the stock (a draw or deal)
+     * @param {boolean} recycled - Whether the waste was turned back into the stock first
+     */
+    scoreStockUse(state, recycled) {
+    }
+
+    /**
+     * Score completed K-A sequences (Spider, Scorpion)
+     */
+    scoreSequences(state, count) {
+    }
+
+    /**
+     * Score a variant-specific achievement (e.g. a TriPeaks run or a cleared peak)
+     */
+    scoreBonus(state, points) {
+    }
+
+    /**
+     * Score a won game
+     */
+    scoreWin(state) {
+    }
+
+    /**
+     * Get the score to show, including anything that changes with time
+     */
+    getScore(state) {
+        return state.score;
+    }
+
+    /**
+     * Format a score for display
+     */
+    formatScore(score) {
+        return `${score}`;
+    }
+
+    /**
+     * Get the seconds a game has been running (up to when it ended)
+     */
+    getElapsedSeconds(state) {
+        if (!state.startTime) return 0;
+        return Math.floor(((state.endTime || Date.now()) - state.startTime) / 1000);
+    }
+
+    /**
+     * Format an amount of money, e.g. -$52
+     */
+    static formatDollars(amount) {
+        return amount < 0 ? `-$${-amount}` : `$${amount}`;
+    }
+}
+
+/**
+ * Each game's own points: the variant scores moves and achievements, with a
+ * time bonus of up to 1000 for a win
+ */
+class StandardScoring extends ScoringScheme {
+    constructor() {
+        super('standard', 'Game default');
+    }
+
+    /**
+     * The variant scores its own moves (see SolitaireVariant.updateScore)
+     */
+    scoreMove(state, move) {
+        state.variant.updateScore(state, move.from.area, move.to.area, move.cards.length, move.to.index);
+    }
+
+    /**
+     * 100 for every completed sequence
+     */
+    scoreSequences(state, count) {
+        state.score += 100 * count; // Bonus for completing a sequence
+    }
+
+    /**
+     * Add the variant's bonus points
+     */
+    scoreBonus(state, points) {
+        state.score += points;
+    }
+
+    /**
+     * Add the time bonus for a win
+     */
+    scoreWin(state) {
+        state.score += this.calculateTimeBonus(state);
+    }
+
+    /**
+     * Calculate time bonus for winning: 1000 within two minutes, 10 less for every
+     * six seconds after that
+     */
+    calculateTimeBonus(state) {
+        if (!state.startTime || !state.endTime) return 0;
+
+        const gameTimeMinutes = (state.endTime - state.startTime) / (1000 * 60);
+        const maxBonus = 1000;
+        const minTime = 2; // 2 minutes for max bonus
+
+        if (gameTimeMinutes <= minTime) {
+            return maxBonus;
+        } else {
+            return Math.max(0, maxBonus - Math.floor((gameTimeMinutes - minTime) * 10));
+        }
+    }
+}
+
+/**
+ * Windows Standard scoring for games with foundations: 10 per foundation card,
+ * 5 per waste card played to the tableau and per tableau card turned over, -15 for
+ * taking a card off a foundation, -100 per recycle when drawing one card, -2 every
+ * 10 seconds, and a 700000 / seconds bonus for wins over 30 seconds. Never below 0
+ */
+class WindowsScoring extends ScoringScheme {
+    constructor() {
+        super('windows', 'Windows Standard');
+    }
+
+    /**
+     * Windows scoring needs foundations to score
+     */
+    isAvailable(variant, state) {
+        return variant.getLayout().foundations > 0;
+    }
+
+    /**
+     * Score foundation moves, waste plays and turned-over cards
+     */
+    scoreMove(state, move) {
+        const cardCount = move.cards.length;
+
+        if (move.to.area === 'foundation') {
+            state.score += 10 * cardCount;
+        } else if (move.from.area === 'waste' && move.to.area === 'tableau') {
+            state.score += 5;
+        } else if (move.from.area === 'foundation') {
+            state.score -= 15 * cardCount;
+        }
+
+        if (move.flippedCard) {
+            state.score += 5; // Turning over a tableau card
+        }
+    }
+
+    /**
+     * Recycling the waste costs 100 when drawing one card
+     */
+    scoreStockUse(state, recycled) {
+        if (recycled && state.drawCount === 1) {
+            state.score -= 100;
+        }
+    }
+
+    /**
+     * Add the bonus for a win that took more than 30 seconds
+     */
+    scoreWin(state) {
+        const seconds = this.getElapsedSeconds(state);
+        if (seconds > 30) {
+            state.score += Math.floor(700000 / seconds);
+        }
+    }
+
+    /**
+     * Take off 2 points for every 10 seconds played
+     */
+    getScore(state) {
+        const timePenalty = 2 * Math.floor(this.getElapsedSeconds(state) / 10);
+        return Math.max(0, state.score - timePenalty);
+    }
+}
+
+/**
+ * Vegas scoring in dollars, using the variant's Vegas rules (see SolitaireVariant.getVegasRules):
+ * the buy-in is paid up front and every foundation card pays out. The cumulative
+ * version carries each game's result into a bankroll kept with the statistics
+ */
+class VegasScoring extends ScoringScheme {
+    /**
+     * @param {boolean} cumulative - Whether results carry across games
+     */
+    constructor(id, name, cumulative) {
+        super(id, name);
+        this.cumulative = cumulative; // Add the result of every game to the bankroll
+    }
+
+    /**
+     * Vegas scoring needs the variant's Vegas rules
+     */
+    isAvailable(variant, state) {
+        return variant.getVegasRules(state) !== null;
+    }
+
+    /**
+     * Start at minus the buy-in
+     */
+    start(state) {
+        state.score = -state.variant.getVegasRules(state).buyIn;
+    }
+
+    /**
+     * Pay out for every card played to a foundation
+     */
+    scoreMove(state, move) {
+        const cardValue = state.variant.getVegasRules(state).cardValue;
+
+        if (move.to.area === 'foundation') {
+            state.score += cardValue * move.cards.length;
+        } else if (move.from.area === 'foundation') {
+            state.score -= cardValue * move.cards.length; // The payout is returned
+        }
+    }
+
+    /**
+     * Show the score in dollars
+     */
+    formatScore(score) {
+        return ScoringScheme.formatDollars(score);
+    }
+}
+
+/**
+ * Spider standard scoring: start at 500, -1 for every move or deal, and 100
+ * for every completed sequence
+ */
+class SpiderScoring extends ScoringScheme {
+    constructor() {
+        super('spider', 'Spider Standard');
+    }
+
+    /**
+     * Spider scoring needs completed sequences to score
+     */
+    isAvailable(variant, state) {
+        return !!variant.getLayout().completedSequences;
+    }
+
+    /**
+     * Start at 500
+     */
+    start(state) {
+        state.score = 500;
+    }
+
+    /**
+     * Every move costs a point
+     */
+    scoreMove(state, move) {
+        state.score--;
+    }
+
+    /**
+     * Every deal from the stock costs a point
+     */
+    scoreStockUse(state, recycled) {
+        state.score--;
+    }
+
+    /**
+     * 100 for every completed sequence
+     */
+    scoreSequences(state, count) {
+        state.score += 100 * count;
+    }
+}
+
+/**
+ * No scoring: the score stays at 0
+ */
+class NoScoring extends ScoringScheme {
+    constructor() {
+        super('none', 'No scoring');
+    }
+}
+
+/**
+ * Registry of the available scoring schemes
+ */
+class ScoringRegistry {
+    /**
+     * Register a scheme so it can be selected by its id
+     */
+    static register(scheme) {
+        ScoringRegistry.schemes[scheme.id] = scheme;
+    }
+
+    /**
+     * Get a scheme by id (falls back to the game's standard scoring for unknown ids)
+     */
+    static get(id) {
+        return ScoringRegistry.schemes[id] || ScoringRegistry.schemes.standard;
+    }
+
+    /**
+     * Get all registered schemes
+     */
+    static getAll() {
+        return Object.values(ScoringRegistry.schemes);
+    }
+}
+
+ScoringRegistry.schemes = {}; // Registered schemes by id
+
+ScoringRegistry.register(new StandardScoring());
+ScoringRegistry.register(new WindowsScoring());
+ScoringRegistry.register(new VegasScoring('vegas', 'Vegas', false));
+ScoringRegistry.register(new VegasScoring('vegas-cumulative', 'Vegas cumulative', true));
+ScoringRegistry.register(new SpiderScoring());
+ScoringRegistry.register(new NoScoring());
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ScoringScheme, StandardScoring, WindowsScoring, VegasScoring, SpiderScoring, NoScoring, ScoringRegistry
+    };
+}
@@ -0,0 +1,789 @@
+/**
+ * Solitaire solvers for Solitaire On Demand
+ * Used to generate deals that are proven to be winnable before they are handed to the player
+ * Searches are bounded by a node budget (never by time) so the same deal number
+ * always produces the same result on every device
+ */
+
+/**
+ * Klondike solver using a depth-first search with a transposition table
+ * Supports draw-1 and draw-3 stock rules with unlimited or limited passes through the
+ * stock. The solver knows the face-down cards, so a solution it finds proves that the
+ * deal can be won
+ */
+class KlondikeSolver {
+    /**
+     * Create a solver
+     * @param {Object} options - Solver options
+     * @param {number} options.drawCount - Cards drawn from stock at a time (1 or 3)
+     * @param {number} options.stockPasses - Passes allowed through the stock, or -1 for unlimited
+     * @param {number} options.maxNodes - Search budget (number of positions examined)
+     */
+    constructor(options = {}) {
+        this.drawCount = options.drawCount || 1; // Stock rule being solved
+        this.stockPasses = options.stockPasses || -1; // Passes allowed through the stock (-1 for unlimited)
+        this.maxNodes = options.maxNodes || 20000; // Maximum positions to examine before giving up
+        this.suits = ['hearts', 'diamonds', 'clubs', 'spades']; // Suit order used for card codes
+    }
+
+    /**
+     * Try to solve a Klondike position
+     * @param {Object} deal - Object with tableau, stock, waste and foundation arrays of Cards
+     *                        (and stockCycles, the passes already finished, for a game in progress)
+     * @returns {Object} { solved, exhausted, nodes } - exhausted is true when the budget ran out
+     */
+    solve(deal) {
+        const state = this.createState(deal);
+        this.nodes = 0;
+        this.visited = new Set();
+
+        const solved = this.search(state, 0);
+
+        return {
+            solved,
+            exhausted: !solved && this.nodes >= this.maxNodes,
+            nodes: this.nodes
+        };
+    }
+
+    /**
+     * Convert Card objects into the compact representation used by the search
+     * Cards are encoded as suitIndex * 13 + (rank - 1)
+     */
+    createState(deal) {
+        const encode = card => this.suits.indexOf(card.suit) * 13 + card.rank - 1;
+        const foundation = [0, 0, 0, 0];
+
+        (deal.foundation || []).forEach(pile => {
+            if (pile.length > 0) {
+                foundation[this.suits.indexOf(pile[0].suit)] = pile.length;
+            }
+        });
+
+        return {
+            tableau: deal.tableau.map(column => ({
+                down: column.filter(card => !card.faceUp).map(encode),
+                up: column.filter(card => card.faceUp).map(encode)
+            })),
+            stock: deal.stock.map(encode),
+            waste: (deal.waste || []).map(encode),
+            foundation,
+            cycles: deal.stockCycles || 0 // Times the waste has been turned back into the stock
+        };
+    }
+
+    /**
+     * Depth-first search from the given state
+     */
+    search(state, depth) {
+        if (this.nodes >= this.maxNodes || depth > 500) return false;
+        this.nodes++;
+
+        this.playSafeMoves(state);
+
+        if (this.isWon(state)) return true;
+
+        const key = this.getStateKey(state);
+        if (this.visited.has(key)) return false;
+        this.visited.add(key);
+
+        for (const move of this.generateMoves(state)) {
+            const next = this.applyMove(state, move);
+            if (this.search(next, depth + 1)) return true;
+            if (this.nodes >= this.maxNodes) return false;
+        }
+
+        return false;
+    }
+
+    /**
+     * A position is won once every card is face up and the stock and waste are empty
+     * (the remaining tableau can always be played off to the foundations)
+     */
+    isWon(state) {
+        if (state.stock.length > 0 || state.waste.length > 0) return false;
+        return state.tableau.every(column => column.down.length === 0);
+    }
+
+    /**
+     * Build a canonical key for a state (column order does not matter)
+     */
+    getStateKey(state) {
+        const columns = state.tableau
+            .map(column => column.down.join(',') + '/' + column.up.join(','))
+            .sort()
+            .join('|');
+        const cycles = this.stockPasses === -1 ? '' : state.cycles; // Only matters when the passes run out
+        return `${state.foundation.join(',')}#${columns}#${state.stock.join(',')}#${state.waste.join(',')}#${cycles}`;
+    }
+
+    /**
+     * Card helpers
+     */
+    rankOf(card) {
+        return card % 13 + 1;
+    }
+
+    suitOf(card) {
+        return Math.floor(card / 13);
+    }
+
+    isRed(card) {
+        return this.suitOf(card) < 2; // Hearts and diamonds
+    }
+
+    canPlaceOnFoundation(state, card) {
+        return state.foundation[this.suitOf(card)] === this.rankOf(card) - 1;
+    }
+
+    canPlaceOnCard(card, target) {
+        return this.rankOf(card) === this.rankOf(target) - 1 && this.isRed(card) !== this.isRed(target);
+    }
+
+    /**
+     * Check if moving a card to the foundation can never hurt
+     * (no card of the opposite colour could still need it as a tableau target)
+     */
+    isSafeFoundationMove(state, card) {
+        const rank = this.rankOf(card);
+        if (rank <= 2) return true;
+
+        const red = this.isRed(card);
+        for (let suit = 0; suit < 4; suit++) {
+            const oppositeColour = (suit < 2) !== red;
+            if (oppositeColour && state.foundation[suit] < rank - 1) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Play all safe foundation moves from the tableau and the top of the waste
+     */
+    playSafeMoves(state) {
+        let moved = true;
+
+        while (moved) {
+            moved = false;
+
+            for (const column of state.tableau) {
+                const top = column.up[column.up.length - 1];
+                if (top !== undefined && this.canPlaceOnFoundation(state, top) && this.isSafeFoundationMove(state, top)) {
+                    column.up.pop();
+                    state.foundation[this.suitOf(top)]++;
+                    this.flipColumn(column);
+                    moved = true;
+                }
+            }
+
+            const wasteTop = state.waste[state.waste.length - 1];
+            if (wasteTop !== undefined && this.canPlaceOnFoundation(state, wasteTop) && this.isSafeFoundationMove(state, wasteTop)) {
+                state.waste = state.waste.slice(0, -1); // Waste arrays are shared between positions
+                state.foundation[this.suitOf(wasteTop)]++;
+                moved = true;
+            }
+        }
+    }
+
+    /**
+     * Turn the next face-down card up when a column has no face-up cards left
+     */
+    flipColumn(column) {
+        if (column.up.length === 0 && column.down.length > 0) {
+            column.up.push(column.down.pop());
+        }
+    }
+
+    /**
+     * Check if the waste may be turned over for another pass, as the game allows
+     */
+    canRecycle(cycles) {
+        return this.stockPasses === -1 || cycles + 1 < this.stockPasses;
+    }
+
+    /**
+     * Find every card that can be brought to the top of the waste by drawing from the stock
+     * Each entry describes the stock, waste and passes used after the card has been reached
+     */
+    getReachableTalonCards(state) {
+        const reachable = [];
+        const seen = new Set();
+        let stock = state.stock.slice();
+        let waste = state.waste.slice();
+        let cycles = state.cycles;
+
+        const record = () => {
+            const card = waste[waste.length - 1];
+            if (card !== undefined && !seen.has(card)) {
+                seen.add(card);
+                reachable.push({ card, stock: stock.slice(), waste: waste.slice(0, -1), cycles });
+            }
+        };
+
+        record();
+
+        // Two full passes through the talon are enough to reach every card that can be reached
+        const totalCards = stock.length + waste.length;
+        const maxDraws = 2 * (Math.ceil(totalCards / this.drawCount) + 1);
+
+        for (let draw = 0; draw < maxDraws && totalCards > 0; draw++) {
+            if (stock.length === 0) {
+                if (!this.canRecycle(cycles)) break; // The last pass is over
+
+                // Recycle the waste back into the stock, then draw as the game does
+                stock = waste.reverse();
+                waste = [];
+                cycles++;
+            }
+
+            const count = Math.min(this.drawCount, stock.length);
+            for (let i = 0; i < count; i++) {
+                waste.push(stock.pop());
+            }
+
+            record();
+        }
+
+        return reachable;
+    }
+
+    /**
+     * Generate candidate moves, most promising first
+     */
+    generateMoves(state) {
+        const foundationMoves = [];
+        const revealMoves = [];
+        const talonMoves = [];
+        const otherMoves = [];
+        const talonCards = this.getReachableTalonCards(state);
+        const kingAvailable = state.tableau.some(column => column.down.length > 0 && this.rankOf(column.up[0]) === 13) ||
+            talonCards.some(entry => this.rankOf(entry.card) === 13);
+
+        // Tableau to foundation
+        state.tableau.forEach((column, col) => {
+            const top = column.up[column.up.length - 1];
+            if (top !== undefined && this.canPlaceOnFoundation(state, top)) {
+                foundationMoves.push({ type: 'tableau-to-foundation', from: col });
+            }
+        });
+
+        // Talon to foundation or tableau
+        talonCards.forEach(entry => {
+            if (this.canPlaceOnFoundation(state, entry.card)) {
+                foundationMoves.push({ type: 'talon-to-foundation', entry });
+            }
+
+            state.tableau.forEach((column, col) => {
+                const target = column.up[column.up.length - 1];
+                const fits = target === undefined ?
+                    column.down.length === 0 && this.rankOf(entry.card) === 13 :
+                    this.canPlaceOnCard(entry.card, target);
+                if (fits) {
+                    talonMoves.push({ type: 'talon-to-tableau', entry, to: col });
+                }
+            });
+        });
+
+        // Tableau to tableau
+        state.tableau.forEach((column, from) => {
+            for (let index = 0; index < column.up.length; index++) {
+                const card = column.up[index];
+                const movesWholeRun = index === 0;
+                const enablesFoundation = index > 0 && this.canPlaceOnFoundation(state, column.up[index - 1]);
+
+                // Partial runs are only worth moving when they free a card for the foundation
+                if (!movesWholeRun && !enablesFoundation) continue;
+
+                state.tableau.forEach((target, to) => {
+                    if (to === from) return;
+                    const targetCard = target.up[target.up.length - 1];
+
+                    if (targetCard === undefined) {
+                        // Only move a King to an empty column when it uncovers something
+                        if (target.down.length === 0 && this.rankOf(card) === 13 && (column.down.length > 0 || !movesWholeRun)) {
+                            revealMoves.push({ type: 'tableau-to-tableau', from, to, index, priority: column.down.length });
+                        }
+                    } else if (this.canPlaceOnCard(card, targetCard)) {
+                        const move = { type: 'tableau-to-tableau', from, to, index, priority: column.down.length };
+                        if (!movesWholeRun || column.down.length > 0) {
+                            revealMoves.push(move);
+                        } else if (kingAvailable) {
+                            // Emptying a column is only useful if a King can fill it
+                            otherMoves.push(move);
+                        }
+                    }
+                });
+            }
+        });
+
+        revealMoves.sort((a, b) => b.priority - a.priority);
+
+        return [...foundationMoves, ...revealMoves, ...talonMoves, ...otherMoves];
+    }
+
+    /**
+     * Apply a move to a copy of the state
+     */
+    applyMove(state, move) {
+        const next = {
+            tableau: state.tableau.map(column => ({ down: column.down.slice(), up: column.up.slice() })),
+            stock: state.stock,
+            waste: state.waste,
+            foundation: state.foundation.slice(),
+            cycles: state.cycles
+        };
+
+        switch (move.type) {
+            case 'tableau-to-foundation': {
+                const column = next.tableau[move.from];
+                const card = column.up.pop();
+                next.foundation[this.suitOf(card)]++;
+                this.flipColumn(column);
+                break;
+            }
+            case 'talon-to-foundation':
+                next.stock = move.entry.stock;
+                next.waste = move.entry.waste;
+                next.cycles = move.entry.cycles;
+                next.foundation[this.suitOf(move.entry.card)]++;
+                break;
+            case 'talon-to-tableau':
+                next.stock = move.entry.stock;
+                next.waste = move.entry.waste;
+                next.cycles = move.entry.cycles;
+                next.tableau[move.to].up.push(move.entry.card);
+                break;
+            case 'tableau-to-tableau': {
+                const column = next.tableau[move.from];
+                const cards = column.up.splice(move.index);
+                next.tableau[move.to].up.push(...cards);
+                this.flipColumn(column);
+                break;
+            }
+        }
+
+        return next;
+    }
+}
+
+/**
+ * Spider solver using a depth-first search with a transposition table
+ * Handles 1, 2 and 4 suit games, dealing one stock card per column (the last
+ * Spiderette deal covers only the first columns) and removing completed K-A
+ * sequences exactly as GameState does
+ */
+class SpiderSolver {
+    /**
+     * Create a solver
+     * @param {Object} options - Solver options
+     * @param {number} options.sequencesToWin - Completed sequences needed to win (4 for 1-suit, 8 otherwise)
+     * @param {number} options.maxNodes - Search budget (number of positions examined)
+     */
+    constructor(options = {}) {
+        this.sequencesToWin = options.sequencesToWin || 8; // Win condition used by GameState
+        this.maxNodes = options.maxNodes || 20000; // Maximum positions to examine before giving up
+        this.suits = ['hearts', 'diamonds', 'clubs', 'spades']; // Suit order used for card codes
+    }
+
+    /**
+     * Try to solve a Spider position
+     * @param {Object} deal - Object with tableau and stock arrays of Cards
+     * @param {number} completedSequences - Sequences already removed from the tableau
+     * @returns {Object} { solved, exhausted, nodes } - exhausted is true when the budget ran out
+     */
+    solve(deal, completedSequences = 0) {
+        const encode = card => this.suits.indexOf(card.suit) * 13 + card.rank - 1;
+        const state = {
+            tableau: deal.tableau.map(column => ({
+                down: column.filter(card => !card.faceUp).map(encode),
+                up: column.filter(card => card.faceUp).map(encode)
+            })),
+            stock: deal.stock.map(encode),
+            completed: completedSequences
+        };
+
+        this.nodes = 0;
+        this.visited = new Set();
+
+        const solved = this.search(state, 0);
+
+        return {
+            solved,
+            exhausted: !solved && this.nodes >= this.maxNodes,
+            nodes: this.nodes
+        };
+    }
+
+    /**
+     * Depth-first search from the given state
+     */
+    search(state, depth) {
+        if (this.nodes >= this.maxNodes || depth > 1000) return false;
+        this.nodes++;
+
+        if (state.completed >= this.sequencesToWin) return true;
+
+        const key = this.getStateKey(state);
+        if (this.visited.has(key)) return false;
+        this.visited.add(key);
+
+        for (const move of this.generateMoves(state)) {
+            const next = this.applyMove(state, move);
+            if (this.search(next, depth + 1)) return true;
+            if (this.nodes >= this.maxNodes) return false;
+        }
+
+        return false;
+    }
+
+    /**
+     * Build a canonical key for a state (column order does not matter, the stock
+     * is always dealt in the same order so only its size matters)
+     */
+    getStateKey(state) {
+        const columns = state.tableau
+            .map(column => column.down.length + '/' + column.up.join(','))
+            .sort()
+            .join('|');
+        return `${state.completed}#${state.stock.length}#${columns}`;
+    }
+
+    /**
+     * Card helpers
+     */
+    rankOf(card) {
+        return card % 13 + 1;
+    }
+
+    suitOf(card) {
+        return Math.floor(card / 13);
+    }
+
+    /**
+     * Find where the movable run (same suit, descending) at the bottom of a column starts
+     */
+    getRunStart(column) {
+        let start = column.up.length - 1;
+        while (start > 0) {
+            const above = column.up[start - 1];
+            const card = column.up[start];
+            if (this.suitOf(above) !== this.suitOf(card) || this.rankOf(above) !== this.rankOf(card) + 1) break;
+            start--;
+        }
+        return start;
+    }
+
+    /**
+     * Generate candidate moves, most promising first
+     */
+    generateMoves(state) {
+        const moves = [];
+        const hasEmptyColumn = state.tableau.some(column => column.up.length === 0);
+
+        state.tableau.forEach((column, from) => {
+            if (column.up.length === 0) return;
+
+            const start = this.getRunStart(column);
+            const card = column.up[start];
+            const runLength = column.up.length - start;
+            const reveals = start === 0 && column.down.length > 0;
+            const empties = start === 0 && column.down.length === 0;
+            const parent = start > 0 ? column.up[start - 1] : null;
+            const onRankParent = parent !== null && this.rankOf(parent) === this.rankOf(card) + 1;
+            let movedToEmpty = false;
+
+            state.tableau.forEach((target, to) => {
+                if (to === from) return;
+                const targetCard = target.up[target.up.length - 1];
+
+                if (targetCard === undefined) {
+                    // Moving a whole column into an empty one gains nothing, and one empty target is enough
+                    if (empties || movedToEmpty || target.down.length > 0) return;
+                    movedToEmpty = true;
+                    moves.push({ type: 'move', from, to, start, score: reveals ? 5 : -10 });
+                    return;
+                }
+
+                if (this.rankOf(targetCard) !== this.rankOf(card) + 1) return;
+
+                const sameSuit = this.suitOf(targetCard) === this.suitOf(card);
+
+                // Sliding a run from one off-suit parent to another off-suit parent gains nothing
+                if (onRankParent && !sameSuit) return;
+
+                let score = 0;
+                if (sameSuit) score += 20 + runLength;
+                if (reveals) score += 15 + (6 - column.down.length);
+                if (empties) score += 10;
+                moves.push({ type: 'move', from, to, start, score });
+            });
+        });
+
+        moves.sort((a, b) => b.score - a.score);
+
+        // Dealing is only allowed when every column has at least one card
+        if (state.stock.length > 0 && !hasEmptyColumn) {
+            moves.push({ type: 'deal' });
+        }
+
+        return moves;
+    }
+
+    /**
+     * Apply a move to a copy of the state
+     */
+    applyMove(state, move) {
+        const next = {
+            tableau: state.tableau.map(column => ({ down: column.down.slice(), up: column.up.slice() })),
+            stock: state.stock,
+            completed: state.completed
+        };
+
+        if (move.type === 'deal') {
+            const count = Math.min(state.stock.length, next.tableau.length);
+            next.stock = state.stock.slice(0, -count);
+            for (let i = 0; i < count; i++) {
+                next.tableau[i].up.push(state.stock[state.stock.length - 1 - i]);
+            }
+            next.tableau.forEach(column => this.removeCompletedSequence(next, column));
+        } else {
+            const source = next.tableau[move.from];
+            const target = next.tableau[move.to];
+            target.up.push(...source.up.splice(move.start));
+            this.flipColumn(source);
+            this.removeCompletedSequence(next, target);
+        }
+
+        return next;
+    }
+
+    /**
+     * Turn the next face-down card up when a column has no face-up cards left
+     */
+    flipColumn(column) {
+        if (column.up.length === 0 && column.down.length > 0) {
+            column.up.push(column.down.pop());
+        }
+    }
+
+    /**
+     * Remove a K-A same-suit sequence from the bottom of a column
+     */
+    removeCompletedSequence(state, column) {
+        const length = column.up.length;
+        if (length < 13 || this.rankOf(column.up[length - 1]) !== 1) return;
+        if (this.getRunStart(column) > length - 13) return;
+
+        column.up.splice(length - 13, 13);
+        state.completed++;
+        this.flipColumn(column);
+    }
+}
+
+/**
+ * Baker's Dozen solver using a depth-first search with a transposition table
+ * Every card is face up and there is no stock, so the search sees the whole game:
+ * a solution proves the position can be won, and a search that runs out of
+ * positions before its budget proves that it can't
+ */
+class BakersDozenSolver {
+    /**
+     * Create a solver
+     * @param {Object} options - Solver options
+     * @param {number} options.maxNodes - Search budget (number of positions examined)
+     */
+    constructor(options = {}) {
+        this.maxNodes = options.maxNodes || 20000; // Maximum positions to examine before giving up
+        this.suits = ['hearts', 'diamonds', 'clubs', 'spades']; // Suit order used for card codes
+    }
+
+    /**
+     * Try to solve a Baker's Dozen position
+     * @param {Object} deal - Object with tableau and foundation arrays of Cards
+     * @returns {Object} { solved, exhausted, nodes } - exhausted is true when the budget ran out
+     */
+    solve(deal) {
+        const encode = card => this.suits.indexOf(card.suit) * 13 + card.rank - 1;
+        const foundation = [0, 0, 0, 0];
+
+        (deal.foundation || []).forEach(pile => {
+            if (pile.length > 0) {
+                foundation[this.suitOf(encode(pile[0]))] = pile.length;
+            }
+        });
+
+        const state = {
+            tableau: deal.tableau.map(column => column.map(encode)),
+            foundation
+        };
+
+        this.nodes = 0;
+        this.visited = new Set();
+        this.depthLimitReached = false;
+
+        const solved = this.search(state, 0);
+
+        return {
+            solved,
+            exhausted: !solved && (this.nodes >= this.maxNodes || this.depthLimitReached),
+            nodes: this.nodes
+        };
+    }
+
+    /**
+     * Depth-first search from the given state
+     */
+    search(state, depth) {
+        if (this.nodes >= this.maxNodes) return false;
+        if (depth > 500) {
+            this.depthLimitReached = true; // The search is no longer complete
+            return false;
+        }
+        this.nodes++;
+
+        this.playSafeMoves(state);
+
+        if (state.foundation.every(count => count === 13)) return true;
+
+        const key = this.getStateKey(state);
+        if (this.visited.has(key)) return false;
+        this.visited.add(key);
+
+        for (const move of this.generateMoves(state)) {
+            const next = this.applyMove(state, move);
+            if (this.search(next, depth + 1)) return true;
+            if (this.nodes >= this.maxNodes) return false;
+        }
+
+        return false;
+    }
+
+    /**
+     * Build a canonical key for a state (empty columns can't be refilled, so column order does not matter)
+     */
+    getStateKey(state) {
+        return `${state.foundation.join(',')}#${state.tableau.map(column => column.join(',')).sort().join('|')}`;
+    }
+
+    /**
+     * Card helpers
+     */
+    rankOf(card) {
+        return card % 13 + 1;
+    }
+
+    suitOf(card) {
+        return Math.floor(card / 13);
+    }
+
+    canPlaceOnFoundation(state, card) {
+        return state.foundation[this.suitOf(card)] === this.rankOf(card) - 1;
+    }
+
+    /**
+     * Check if moving a card to the foundation can never hurt
+     * (every card that could still be built on it is already on the foundations)
+     */
+    isSafeFoundationMove(state, card) {
+        const rank = this.rankOf(card);
+        return rank <= 2 || state.foundation.every(count => count >= rank - 1);
+    }
+
+    /**
+     * Play all safe foundation moves
+     */
+    playSafeMoves(state) {
+        let moved = true;
+
+        while (moved) {
+            moved = false;
+
+            for (const column of state.tableau) {
+                const top = column[column.length - 1];
+                if (top !== undefined && this.canPlaceOnFoundation(state, top) && this.isSafeFoundationMove(state, top)) {
+                    column.pop();
+                    state.foundation[this.suitOf(top)]++;
+                    moved = true;
+                }
+            }
+        }
+    }
+
+    /**
+     * Check if a card sits above a lower card in its column (and so must move before that card can go home)
+     */
+    isBlocking(column, index) {
+        const rank = this.rankOf(column[index]);
+        for (let i = 0; i < index; i++) {
+            if (this.rankOf(column[i]) < rank) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Generate candidate moves, most promising first
+     * Moves that take a card off a lower card without putting it above another one come first
+     */
+    generateMoves(state) {
+        const moves = [];
+        const lowestRank = state.tableau.map(column =>
+            column.reduce((min, card) => Math.min(min, this.rankOf(card)), 14));
+
+        state.tableau.forEach((column, from) => {
+            const card = column[column.length - 1];
+            if (card === undefined) return;
+
+            const below = column[column.length - 2];
+            const freesFoundationCard = below !== undefined && this.canPlaceOnFoundation(state, below);
+            const wasBlocking = this.isBlocking(column, column.length - 1);
+            const columnSorted = column.every((_, index) => !this.isBlocking(column, index));
+
+            if (this.canPlaceOnFoundation(state, card)) {
+                moves.push({ type: 'foundation', from, score: 1000 });
+            }
+
+            const onParent = below !== undefined && this.rankOf(below) === this.rankOf(card) + 1;
+
+            state.tableau.forEach((target, to) => {
+                if (to === from) return;
+                const targetCard = target[target.length - 1];
+
+                // Empty columns can't be filled in Baker's Dozen
+                if (targetCard === undefined || this.rankOf(targetCard) !== this.rankOf(card) + 1) return;
+                const blocksTarget = lowestRank[to] < this.rankOf(card);
+                let score = (wasBlocking ? 100 : 0) - (blocksTarget ? 100 : 0);
+                if (freesFoundationCard) score += 500;
+
+                // Moves that are rarely useful are still tried (so a failed search is a proof), just last:
+                // sliding a card between two parents of the same rank, or out of a column that plays off by itself
+                if (onParent || columnSorted) score -= 200;
+                moves.push({ type: 'tableau', from, to, score });
+            });
+        });
+
+        return moves.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Apply a move to a copy of the state
+     */
+    applyMove(state, move) {
+        const next = {
+            tableau: state.tableau.map(column => column.slice()),
+            foundation: state.foundation.slice()
+        };
+
+        const card = next.tableau[move.from].pop();
+        if (move.type === 'foundation') {
+            next.foundation[this.suitOf(card)]++;
+        } else {
+            next.tableau[move.to].push(card);
+        }
+
+        return next;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { KlondikeSolver, SpiderSolver, BakersDozenSolver };
+}
@@ -96,6 +96,11 @@ class TVRemoteHandler {
                 return;
             }
 
+            // Let text fields (e.g. the deal number) keep Backspace for editing
+            if (event.key === 'Backspace' && this.isTextEntry(event.target)) {
+                return;
+            }
+
             const mappedKey = this.mapKeyboardToTV(event.key);
             if (mappedKey) {
                 event.preventDefault();
@@ -109,6 +114,10 @@ class TVRemoteHandler {
                 return;
             }
 
+            if (event.key === 'Backspace' && this.isTextEntry(event.target)) {
+                return;
+            }
+
             const mappedKey = this.mapKeyboardToTV(event.key);
             if (mappedKey) {
                 event.preventDefault();
@@ -119,6 +128,13 @@ class TVRemoteHandler {
         console.log('Keyboard fallback handler initialized');
     }
 
+    /**
+     * Check if an element accepts typed text (inputs other than checkboxes)
+     */
+    isTextEntry(element) {
+        return element && element.tagName === 'INPUT' && element.type !== 'checkbox';
+    }
+
     /**
      * Map keyboard keys to TV remote events
      */
@@ -136,6 +152,7 @@ class TVRemoteHandler {
             // Additional mappings for game functions
             'KeyH': 'play',    // H key for Hint (maps to Play button)
             'KeyU': 'rewind',  // U key for Undo (maps to Rewind button)  
+            'KeyY': 'fastforward', // Y key for Redo (maps to Fast-forward button)
             'KeyM': 'menu'     // M key for Menu (maps to Menu button)
         };
         return keyMap[key];
@@ -205,6 +222,9 @@ class TVRemoteHandler {
             case 'rewind':
                 this.handleRewind();
                 break;
+            case 'fastforward':
+                this.handleFastForward();
+                break;
         }
     }
 
@@ -500,6 +520,8 @@ class TVRemoteHandler {
                 break;
             case 'stats-screen':
             case 'settings-screen':
+            case 'deal-screen':
+            case 'custom-screen':
                 // In other screens, go back to main menu
                 this.navigateToMainMenu();
                 break;
@@ -615,6 +637,17 @@ class TVRemoteHandler {
         document.dispatchEvent(rewindEvent);
     }
 
+    /**
+     * Handle fast-forward button press (used for Redo function)
+     */
+    handleFastForward() {
+        // Emit custom fast-forward event for redo functionality
+        const fastForwardEvent = new CustomEvent('tvfastforward', {
+            detail: { source: 'remote' }
+        });
+        document.dispatchEvent(fastForwardEvent);
+    }
+
     /**
      * Handle long select press
      */
@@ -25,13 +25,17 @@ class UIManager {
         this.gameTimer = null;                        // Timer for game duration tracking
         this.animationQueue = [];                     // Queue of animations to play
         this.isAnimating = false;                     // Whether animations are currently playing
+        this.replay = null;                           // Replay being watched (see startReplay), or null
+        this.dailyCalendarMonth = null;               // Month shown in the daily calendar (first day), or null for this month
+        this.historyEntry = null;                     // Position of the game history entry shown, or null for the list
+        this.positionCheck = null;                    // Position last checked for a loss and the unwinnable indicator
         
         // Navigation state for keyboard/TV remote
         this.focusedElement = null;                   // Currently focused UI element
         this.keyboardNavigation = {
             currentColumn: 0,                         // Current column in tableau (0-6)
             currentRow: 0,                           // Current row within column
-            currentArea: 'tableau'                   // Current game area: tableau, foundation, stock, waste, controls
+            currentArea: 'tableau'                   // Current game area: tableau, foundation, stock, waste, freecell, controls
         };
         
         this.init(); // Initialize the UI system
@@ -61,30 +65,46 @@ class UIManager {
 
         // TV remote back button handler
         document.addEventListener('tvback', (event) => {
+            if (this.handleReplayKey(event, 'back')) return;
+            if (this.currentScreen === 'history-screen' && this.closeHistoryEntry()) {
+                event.stopImmediatePropagation(); // Back only closes the entry, the app mustn't leave the screen
+                return;
+            }
             this.handleBackButton();
         });
 
         // TV remote menu button handler
         document.addEventListener('tvmenu', (event) => {
+            if (this.handleReplayKey(event, 'back')) return;
             this.handleMenuButton();
         });
 
-        // TV remote play button handler (for Hint function)
+        // TV remote play button handler (play/pause in a replay)
+        // Otherwise Play presses the hint button (see app.js), which checks the hint settings
         document.addEventListener('tvplay', (event) => {
-            this.showHint();
+            this.handleReplayKey(event, 'play');
         });
 
-        // TV remote rewind button handler (for Undo function)
+        // TV remote rewind button handler (for Undo function, step back or slow down in a replay)
         document.addEventListener('tvrewind', (event) => {
+            if (this.handleReplayKey(event, 'rewind')) return;
             this.undoMove();
         });
 
+        // TV remote fast-forward button handler (for Redo function, step or speed up in a replay)
+        document.addEventListener('tvfastforward', (event) => {
+            if (this.handleReplayKey(event, 'fastforward')) return;
+            this.redoMove();
+        });
+
         // Card interaction handlers
         document.addEventListener('click', (event) => {
+            if (this.replay) return; // Cards can't be played during a replay
+            
             if (event.target.closest('.stock-pile')) {
                 this.handleStockClick();
-            } else if (event.target.closest('.tableau-column, .foundation-pile, .waste-pile')) {
-                this.handleAreaClick(event.target.closest('.tableau-column, .foundation-pile, .waste-pile'));
+            } else if (event.target.closest('.tableau-column, .foundation-pile, .waste-pile, .freecell-pile, .board-slot')) {
+                this.handleAreaClick(event.target.closest('.tableau-column, .foundation-pile, .waste-pile, .freecell-pile, .board-slot'));
             }
         });
 
@@ -124,6 +144,8 @@ class UIManager {
      * Handle game-specific navigation
      */
     handleGameNavigation(eventType) {
+        if (this.replay && this.handleReplayNavigation(eventType)) return;
+        
         switch (eventType) {
             case 'up':
                 this.navigateUp();
@@ -150,6 +172,16 @@ class UIManager {
             case 'menu':
                 this.handleMenuButton();
                 break;
+            case 'play':
+            case 'playpause':
+                this.tvRemote.handlePlay(); // Media keys raise the same events as on other screens
+                break;
+            case 'rewind':
+                this.tvRemote.handleRewind();
+                break;
+            case 'fastforward':
+                this.tvRemote.handleFastForward();
+                break;
         }
     }
 
@@ -165,7 +197,7 @@ class UIManager {
         const key = event.key.toLowerCase();
         
         // Prevent default for game keys
-        if (['arrowup', 'arrowdown', 'arrowleft', 'arrowright', 'enter', ' ', 'escape', 'h', 'u', 'n', 'a'].includes(key)) {
+        if (['arrowup', 'arrowdown', 'arrowleft', 'arrowright', 'enter', ' ', 'escape', 'h', 'u', 'y', 'n', 'a'].includes(key)) {
             event.preventDefault();
         }
 
@@ -206,6 +238,12 @@ class UIManager {
                     this.undoMove();
                 }
                 break;
+            case 'y':
+                if (event.ctrlKey || event.metaKey) {
+                    event.preventDefault();
+                    this.redoMove();
+                }
+                break;
             case 'n':
                 if (event.ctrlKey || event.metaKey) {
                     event.preventDefault();
@@ -227,6 +265,8 @@ class UIManager {
             case '5':
             case '6':
             case '7':
+            case '8':
+            case '9':
                 const column = parseInt(key) - 1;
                 this.selectTableauColumn(column);
                 break;
@@ -256,33 +296,18 @@ class UIManager {
                     nav.currentRow = Math.max(0, leftColumn.length - 1);
                 }
                 break;
-            case 'foundation':
-                if (nav.currentColumn > 0) {
-                    // Move within foundation piles
-                    nav.currentColumn--;
-                } else {
-                    // From leftmost foundation pile, go to waste area
-                    nav.currentArea = 'waste';
-                    nav.currentColumn = 0;
-                    nav.currentRow = 0;
-                }
-                break;
-            case 'stock':
-                // From stock, go to rightmost foundation pile
-                nav.currentArea = 'foundation';
-                nav.currentColumn = 3; // Rightmost foundation pile
-                nav.currentRow = 0;
-                break;
-            case 'waste':
-                // From waste, go to stock
-                nav.currentArea = 'stock';
-                nav.currentColumn = 0;
-                nav.currentRow = 0;
+            case 'board':
+                // Board cards are not in columns, so step to the nearest playable card
+                this.navigateBoard('left');
                 break;
             case 'controls':
-                // Move between control buttons (Hint, Undo, Menu)
+                // Move between control buttons (Hint, Undo, Redo, Menu)
                 nav.currentColumn = Math.max(0, nav.currentColumn - 1);
                 break;
+            default:
+                // Foundation, stock, waste and free cells: step along the top row (wrapping around)
+                this.stepTopRow(-1);
+                break;
         }
     }
 
@@ -295,43 +320,78 @@ class UIManager {
         
         switch (nav.currentArea) {
             case 'tableau':
-                if (nav.currentColumn < 6) {
+                if (nav.currentColumn < this.gameState.tableau.length - 1) {
                     nav.currentColumn++;
                     // Always focus on the last card in the new column (the selectable one)
                     const rightColumn = this.gameState.tableau[nav.currentColumn];
                     nav.currentRow = Math.max(0, rightColumn.length - 1);
                 }
                 break;
-            case 'foundation':
-                if (nav.currentColumn < 3) {
-                    // Move within foundation piles
-                    nav.currentColumn++;
-                } else {
-                    // From rightmost foundation pile, go to stock area
-                    nav.currentArea = 'stock';
-                    nav.currentColumn = 0;
-                    nav.currentRow = 0;
-                }
-                break;
-            case 'stock':
-                // From stock, go to waste
-                nav.currentArea = 'waste';
-                nav.currentColumn = 0;
-                nav.currentRow = 0;
-                break;
-            case 'waste':
-                // From waste, go to leftmost foundation pile
-                nav.currentArea = 'foundation';
-                nav.currentColumn = 0; // Leftmost foundation pile
-                nav.currentRow = 0;
+            case 'board':
+                // Board cards are not in columns, so step to the nearest playable card
+                this.navigateBoard('right');
                 break;
             case 'controls':
-                // Move between control buttons (Hint, Undo, Menu)
-                nav.currentColumn = Math.min(2, nav.currentColumn + 1);
+                // Move between control buttons (Hint, Undo, Redo, Menu)
+                nav.currentColumn = Math.min(3, nav.currentColumn + 1);
+                break;
+            default:
+                // Foundation, stock, waste and free cells: step along the top row (wrapping around)
+                this.stepTopRow(1);
                 break;
         }
     }
 
+    /**
+     * Move focus to the nearest element on one side of the focused board card
+     * @param {string} direction - 'left' or 'right'
+     */
+    navigateBoard(direction) {
+        const bestElement = this.findBestElementInDirection(this.getCurrentFocusElement(), direction);
+        if (bestElement) {
+            this.focusElementAndUpdateNavigation(bestElement);
+        }
+    }
+
+    /**
+     * Get the piles in the top row, in left-to-right order, for the current variant's layout
+     * @returns {Object[]} Locations as { area, index }
+     */
+    getTopRowSlots() {
+        const layout = this.gameState.variant.getLayout();
+        const slots = [];
+        
+        for (let i = 0; i < layout.foundations; i++) {
+            slots.push({ area: 'foundation', index: i });
+        }
+        if (layout.stock) slots.push({ area: 'stock', index: 0 });
+        if (layout.waste) slots.push({ area: 'waste', index: 0 });
+        if (layout.reserve) slots.push({ area: 'reserve', index: 0 });
+        for (let i = 0; i < layout.freeCells; i++) {
+            slots.push({ area: 'freecell', index: i });
+        }
+        
+        return slots;
+    }
+
+    /**
+     * Move focus one pile left or right along the top row
+     * @param {number} step - -1 for left, 1 for right
+     */
+    stepTopRow(step) {
+        const nav = this.keyboardNavigation;
+        const slots = this.getTopRowSlots();
+        if (slots.length === 0) return;
+        
+        const currentIndex = slots.findIndex(slot => 
+            slot.area === nav.currentArea && (slot.index === nav.currentColumn || slot.area === 'stock' || slot.area === 'waste'));
+        const next = slots[(Math.max(0, currentIndex) + step + slots.length) % slots.length];
+        
+        nav.currentArea = next.area;
+        nav.currentColumn = next.index;
+        nav.currentRow = 0;
+    }
+
     /**
      * Navigate up in current area using distance-based navigation when possible
      */
@@ -396,10 +456,10 @@ class UIManager {
                 nav.currentRow = 0;
                 break;
             case 'foundation':
-                // From foundation, go to control buttons (Hint, Undo, Menu)
+                // From foundation, go to control buttons (Hint, Undo, Redo, Menu)
                 nav.currentArea = 'controls';
-                // Map foundation column to control button (0-3 foundation -> 0-2 controls)
-                nav.currentColumn = Math.min(nav.currentColumn, 2);
+                // Map foundation column to control button (0-3 foundation -> 0-3 controls)
+                nav.currentColumn = Math.min(nav.currentColumn, 3);
                 nav.currentRow = 0;
                 break;
             case 'stock':
@@ -414,6 +474,24 @@ class UIManager {
                 nav.currentColumn = 1; // Go to Undo button
                 nav.currentRow = 0;
                 break;
+            case 'reserve':
+                // From the reserve, go to control buttons
+                nav.currentArea = 'controls';
+                nav.currentColumn = 3; // Go to Menu button
+                nav.currentRow = 0;
+                break;
+            case 'freecell':
+                // From a free cell, go to the control buttons
+                nav.currentArea = 'controls';
+                nav.currentColumn = Math.min(nav.currentColumn, 3);
+                nav.currentRow = 0;
+                break;
+            case 'board':
+                // From the board, go to the control buttons
+                nav.currentArea = 'controls';
+                nav.currentColumn = 0;
+                nav.currentRow = 0;
+                break;
             case 'controls':
                 // Stay in controls, can't go higher (this is the top area)
                 break;
@@ -438,7 +516,7 @@ class UIManager {
                 // From foundation, go to tableau below it
                 nav.currentArea = 'tableau';
                 // Map foundation piles to tableau columns (0-3 foundation -> 0-6 tableau)
-                nav.currentColumn = Math.min(nav.currentColumn + 3, 6);
+                nav.currentColumn = Math.min(nav.currentColumn + 3, this.gameState.tableau.length - 1);
                 const column = this.gameState.tableau[nav.currentColumn];
                 nav.currentRow = Math.max(0, column.length - 1);
                 break;
@@ -446,17 +524,35 @@ class UIManager {
                 // In tableau, stay in tableau (no vertical movement within columns)
                 break;
             case 'stock':
+                if (this.gameState.foundation.length === 0) break; // Nothing below (e.g. TriPeaks)
                 // From stock (menu area), go to foundation area
                 nav.currentArea = 'foundation';
                 nav.currentColumn = 0; // Go to first foundation pile
                 nav.currentRow = 0;
                 break;
             case 'waste':
+                if (this.gameState.foundation.length === 0) break; // Nothing below (e.g. TriPeaks)
                 // From waste (menu area), go to foundation area
                 nav.currentArea = 'foundation';
                 nav.currentColumn = 1; // Go to second foundation pile
                 nav.currentRow = 0;
                 break;
+            case 'reserve': {
+                // From the reserve, go to the tableau below it
+                nav.currentArea = 'tableau';
+                nav.currentColumn = Math.min(2, this.gameState.tableau.length - 1);
+                const column = this.gameState.tableau[nav.currentColumn];
+                nav.currentRow = Math.max(0, column.length - 1);
+                break;
+            }
+            case 'freecell': {
+                // From a free cell, go to the tableau column below it
+                nav.currentArea = 'tableau';
+                nav.currentColumn = Math.min(nav.currentColumn + 4, this.gameState.tableau.length - 1);
+                const column = this.gameState.tableau[nav.currentColumn];
+                nav.currentRow = Math.max(0, column.length - 1);
+                break;
+            }
         }
     }
 
@@ -475,15 +571,20 @@ class UIManager {
                 }
                 return columnElement;
             case 'foundation':
-                const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
-                return document.querySelector(`[data-suit="${suits[nav.currentColumn]}"]`);
+                return this.getElementForMove({ area: 'foundation', index: nav.currentColumn });
             case 'stock':
                 return document.querySelector('.stock-pile');
             case 'waste':
                 return document.querySelector('.waste-pile');
+            case 'reserve':
+                return document.querySelector('.reserve-pile');
+            case 'freecell':
+                return this.getElementForMove({ area: 'freecell', index: nav.currentColumn });
+            case 'board':
+                return this.getElementForMove({ area: 'board', index: nav.currentColumn });
             case 'controls':
-                // Control buttons: 0=Hint, 1=Undo, 2=Menu
-                const controlButtons = ['hint-btn', 'undo-btn', 'menu-btn'];
+                // Control buttons: 0=Hint, 1=Undo, 2=Redo, 3=Menu
+                const controlButtons = ['hint-btn', 'undo-btn', 'redo-btn', 'menu-btn'];
                 return document.getElementById(controlButtons[nav.currentColumn]);
             default:
                 return null;
@@ -507,6 +608,18 @@ class UIManager {
             if (element === currentElement) continue;
             
             const rect = element.getBoundingClientRect();
+            
+            // Board cards overlap their neighbours (e.g. the rows of a pyramid), so edge gaps
+            // can't tell them apart - compare card centres instead
+            if (currentElement.matches('.board-slot') || element.matches('.board-slot')) {
+                const distance = this.calculateCenterDistance(currentRect, rect, direction);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    bestCandidate = element;
+                }
+                continue;
+            }
+            
             let isInDirection = false;
             
             // Check if element is in the correct direction
@@ -538,6 +651,24 @@ class UIManager {
         return bestCandidate;
     }
 
+    /**
+     * Distance between the centres of two elements along a direction
+     * Movement across the direction counts double so cards straight ahead win over diagonals
+     * @returns {number} Distance, or Infinity if the element is not in that direction
+     */
+    calculateCenterDistance(fromRect, toRect, direction) {
+        const dx = (toRect.left + toRect.width / 2) - (fromRect.left + fromRect.width / 2);
+        const dy = (toRect.top + toRect.height / 2) - (fromRect.top + fromRect.height / 2);
+        const vertical = direction === 'up' || direction === 'down';
+        const sign = direction === 'up' || direction === 'left' ? -1 : 1;
+        
+        const along = (vertical ? dy : dx) * sign;
+        const across = Math.abs(vertical ? dx : dy);
+        
+        if (along < 1) return Infinity; // Not in that direction
+        return along + across * 2;
+    }
+
     /**
      * Get all focusable game elements (cards, piles, etc.)
      */
@@ -545,7 +676,7 @@ class UIManager {
         const elements = [];
         
         // Add tableau columns and cards
-        for (let col = 0; col < 7; col++) {
+        for (let col = 0; col < this.gameState.tableau.length; col++) {
             const columnElement = document.querySelector(`[data-column="${col}"]`);
             if (columnElement) {
                 elements.push(columnElement);
@@ -555,13 +686,7 @@ class UIManager {
         }
         
         // Add foundation piles
-        const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
-        for (const suit of suits) {
-            const foundationElement = document.querySelector(`[data-suit="${suit}"]`);
-            if (foundationElement) {
-                elements.push(foundationElement);
-            }
-        }
+        elements.push(...document.querySelectorAll('.foundation-pile'));
         
         // Add stock and waste piles
         const stockElement = document.querySelector('.stock-pile');
@@ -569,6 +694,16 @@ class UIManager {
         if (stockElement) elements.push(stockElement);
         if (wasteElement) elements.push(wasteElement);
         
+        // Add the reserve pile (Canfield-style variants)
+        const reserveElement = document.querySelector('.reserve-pile');
+        if (reserveElement) elements.push(reserveElement);
+        
+        // Add free cells (FreeCell-style variants)
+        elements.push(...document.querySelectorAll('.freecell-pile'));
+        
+        // Add playable board cards (Pyramid-style variants); covered cards can't be selected
+        elements.push(...document.querySelectorAll('.board-slot.exposed'));
+        
         return elements.filter(el => {
             const style = window.getComputedStyle(el);
             return style.display !== 'none' && style.visibility !== 'hidden';
@@ -583,8 +718,15 @@ class UIManager {
             case 'game-screen':
                 this.showScreen('main-menu');
                 break;
+            case 'history-screen':
+                if (!this.closeHistoryEntry()) {
+                    this.showScreen('main-menu');
+                }
+                break;
             case 'stats-screen':
             case 'settings-screen':
+            case 'deal-screen':
+            case 'custom-screen':
                 this.showScreen('main-menu');
                 break;
             case 'main-menu':
@@ -619,6 +761,11 @@ class UIManager {
      * Show screen by ID and manage screen transitions
      */
     showScreen(screenId) {
+        // Leaving the game screen ends a replay
+        if (this.replay && screenId !== 'game-screen') {
+            this.stopReplay();
+        }
+        
         // Hide all screens
         document.querySelectorAll('.screen').forEach(screen => {
             screen.classList.remove('active');
@@ -640,9 +787,15 @@ class UIManager {
                 case 'stats-screen':
                     this.updateStatsDisplay();
                     break;
+                case 'history-screen':
+                    this.renderHistoryList();
+                    break;
                 case 'settings-screen':
                     this.loadSettings();
                     break;
+                case 'custom-screen':
+                    this.setupCustomScreen();
+                    break;
             }
             
             // Refresh TV remote navigation for new screen
@@ -663,13 +816,10 @@ class UIManager {
             this.keyboardNavigation.currentArea = 'tableau';
             this.keyboardNavigation.currentColumn = column;
             this.keyboardNavigation.currentRow = Math.max(0, this.gameState.tableau[column].length - 1);
-        } else if (element.matches('[data-suit]')) {
+        } else if (element.matches('.foundation-pile')) {
             // Foundation pile
-            const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
-            const suit = element.dataset.suit;
-            const column = suits.indexOf(suit);
             this.keyboardNavigation.currentArea = 'foundation';
-            this.keyboardNavigation.currentColumn = column;
+            this.keyboardNavigation.currentColumn = parseInt(element.dataset.foundation);
             this.keyboardNavigation.currentRow = 0;
         } else if (element.matches('.stock-pile')) {
             // Stock pile
@@ -681,6 +831,21 @@ class UIManager {
             this.keyboardNavigation.currentArea = 'waste';
             this.keyboardNavigation.currentColumn = 0;
             this.keyboardNavigation.currentRow = 0;
+        } else if (element.matches('.reserve-pile')) {
+            // Reserve pile
+            this.keyboardNavigation.currentArea = 'reserve';
+            this.keyboardNavigation.currentColumn = 0;
+            this.keyboardNavigation.currentRow = 0;
+        } else if (element.matches('.freecell-pile')) {
+            // Free cell
+            this.keyboardNavigation.currentArea = 'freecell';
+            this.keyboardNavigation.currentColumn = parseInt(element.dataset.cell);
+            this.keyboardNavigation.currentRow = 0;
+        } else if (element.matches('.board-slot')) {
+            // Board card
+            this.keyboardNavigation.currentArea = 'board';
+            this.keyboardNavigation.currentColumn = parseInt(element.dataset.slot);
+            this.keyboardNavigation.currentRow = 0;
         } else if (element.matches('.card')) {
             // Individual card - find its parent column
             const columnElement = element.closest('[data-column]');
@@ -713,7 +878,7 @@ class UIManager {
      * Select specific tableau column
      */
     selectTableauColumn(column) {
-        if (column >= 0 && column < 7) {
+        if (column >= 0 && column < this.gameState.tableau.length) {
             this.keyboardNavigation.currentArea = 'tableau';
             this.keyboardNavigation.currentColumn = column;
             this.keyboardNavigation.currentRow = Math.max(0, this.gameState.tableau[column].length - 1);
@@ -740,8 +905,17 @@ class UIManager {
             case 'waste':
                 this.handleWasteClick();
                 break;
+            case 'reserve':
+                this.handleReserveClick();
+                break;
+            case 'freecell':
+                this.handleFreeCellClick(nav.currentColumn);
+                break;
+            case 'board':
+                this.handleBoardClick(nav.currentColumn);
+                break;
             case 'controls':
-                // Activate control buttons: 0=Hint, 1=Undo, 2=Menu
+                // Activate control buttons: 0=Hint, 1=Undo, 2=Redo, 3=Menu
                 switch (nav.currentColumn) {
                     case 0: // Hint button
                         this.showHint();
@@ -749,7 +923,10 @@ class UIManager {
                     case 1: // Undo button
                         this.undoMove();
                         break;
-                    case 2: // Menu button
+                    case 2: // Redo button
+                        this.redoMove();
+                        break;
+                    case 3: // Menu button
                         this.showScreen('main-menu');
                         break;
                 }
@@ -787,8 +964,7 @@ class UIManager {
                 }
                 break;
             case 'foundation':
-                const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
-                focusElement = document.querySelector(`[data-suit="${suits[nav.currentColumn]}"]`);
+                focusElement = this.getElementForMove({ area: 'foundation', index: nav.currentColumn });
                 break;
             case 'stock':
                 focusElement = document.querySelector('.stock-pile');
@@ -796,9 +972,20 @@ class UIManager {
             case 'waste':
                 focusElement = document.querySelector('.waste-pile');
                 break;
+            case 'reserve':
+                focusElement = document.querySelector('.reserve-pile');
+                break;
+            case 'freecell':
+                focusElement = this.getElementForMove({ area: 'freecell', index: nav.currentColumn });
+                break;
+            case 'board':
+                // The focused card may just have been removed - move to the nearest playable one
+                nav.currentColumn = this.getNearestExposedSlot(nav.currentColumn);
+                focusElement = this.getElementForMove({ area: 'board', index: nav.currentColumn });
+                break;
             case 'controls':
-                // Control buttons: 0=Hint, 1=Undo, 2=Menu
-                const controlButtons = ['hint-btn', 'undo-btn', 'menu-btn'];
+                // Control buttons: 0=Hint, 1=Undo, 2=Redo, 3=Menu
+                const controlButtons = ['hint-btn', 'undo-btn', 'redo-btn', 'menu-btn'];
                 focusElement = document.getElementById(controlButtons[nav.currentColumn]);
                 break;
         }
@@ -809,6 +996,32 @@ class UIManager {
         }
     }
 
+    /**
+     * Find the playable board card closest to a board slot
+     * @returns {number} Slot index (the given slot if it is playable or nothing is)
+     */
+    getNearestExposedSlot(index) {
+        const variant = this.gameState.variant;
+        if (variant.isBoardCardExposed(this.gameState, index)) return index;
+        
+        const slots = variant.getBoardSlots();
+        const from = slots[index];
+        let nearest = index;
+        let nearestDistance = Infinity;
+        
+        slots.forEach((slot, slotIndex) => {
+            if (!variant.isBoardCardExposed(this.gameState, slotIndex)) return;
+            
+            const distance = Math.abs(slot.x - from.x) + Math.abs(slot.y - from.y) * 2;
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = slotIndex;
+            }
+        });
+        
+        return nearest;
+    }
+
     /**
      * Handle action button clicks
      */
@@ -819,9 +1032,45 @@ class UIManager {
                 const gameType = element.dataset.gameType || 'klondike';
                 this.startNewGame(difficulty, gameType);
                 break;
+            case 'daily-challenge':
+                this.startDailyChallenge(element.dataset.gameType);
+                break;
+            case 'daily-month':
+                this.changeDailyMonth(parseInt(element.dataset.step, 10));
+                break;
+            case 'play-deal':
+                this.showScreen('deal-screen');
+                break;
+            case 'start-deal':
+                this.startDealFromInput();
+                break;
+            case 'custom-game':
+                this.showScreen('custom-screen');
+                break;
+            case 'start-custom':
+                this.startCustomGame();
+                break;
+            case 'save-custom':
+                this.saveCustomPreset();
+                break;
+            case 'delete-custom':
+                this.deleteCustomPreset();
+                break;
             case 'stats':
                 this.showScreen('stats-screen');
                 break;
+            case 'history':
+                this.showScreen('history-screen');
+                break;
+            case 'history-entry':
+                this.showHistoryEntry(parseInt(element.dataset.entry, 10));
+                break;
+            case 'history-replay-deal':
+                this.replayHistoryDeal();
+                break;
+            case 'history-close':
+                this.closeHistoryEntry();
+                break;
             case 'settings':
                 this.showScreen('settings-screen');
                 break;
@@ -831,6 +1080,24 @@ class UIManager {
             case 'new-game-same':
                 this.startNewGame(this.gameState.difficulty, this.gameState.gameType);
                 break;
+            case 'watch-replay':
+                this.watchReplay(element.dataset.replay);
+                break;
+            case 'replay-play':
+                this.toggleReplayPlayback();
+                break;
+            case 'replay-back':
+                this.stepReplay(-1);
+                break;
+            case 'replay-forward':
+                this.stepReplay(1);
+                break;
+            case 'replay-speed':
+                this.changeReplaySpeed(1, true);
+                break;
+            case 'replay-exit':
+                this.exitReplay();
+                break;
             default:
                 console.log('Unknown action:', action);
         }
@@ -841,85 +1108,334 @@ class UIManager {
      * Initialize keyboard navigation for game screen
      */
     initializeKeyboardNavigation() {
-        // Start with the first tableau column, focusing on the last (selectable) card
         const firstColumn = this.gameState.tableau[0];
-        this.keyboardNavigation = {
-            currentColumn: 0,
-            currentRow: Math.max(0, firstColumn.length - 1),
-            currentArea: 'tableau'
-        };
+        
+        if (firstColumn) {
+            // Start with the first tableau column, focusing on the last (selectable) card
+            this.keyboardNavigation = {
+                currentColumn: 0,
+                currentRow: Math.max(0, firstColumn.length - 1),
+                currentArea: 'tableau'
+            };
+        } else {
+            // Board layouts (e.g. Pyramid) start on the bottom-right playable card
+            this.keyboardNavigation = {
+                currentColumn: this.gameState.board.length - 1,
+                currentRow: 0,
+                currentArea: 'board'
+            };
+            this.keyboardNavigation.currentColumn = this.getNearestExposedSlot(this.keyboardNavigation.currentColumn);
+        }
         this.updateKeyboardFocus();
     }
 
     /**
      * Start a new game
-     */
-    startNewGame(difficulty, gameType = 'klondike') {
-        // Create new game state with the specified game type
+     * @param {string} difficulty - 'easy', 'medium', 'hard' or a custom preset key
+     * @param {string} gameType - Variant id, e.g. 'klondike' or 'spider'
+     * @param {number} seed - Deal number to replay (a new random deal is used if omitted)
+     * @param {string} daily - Date of the Daily Challenge being started ('YYYY-MM-DD')
+     * @param {Object} rules - Deal rules to use instead of the difficulty's (to deal a game from the history again)
+     */
+    startNewGame(difficulty, gameType = 'klondike', seed = null, daily = null, rules = null) {
+        if (this.replay) {
+            this.stopReplay(); // Back to the real game before it is replaced
+        }
+        
+        // The game being replaced counts as abandoned unless it was finished
+        this.abandonGame();
+        
+        if (!this.difficultyManager.setDifficulty(difficulty)) {
+            difficulty = 'medium'; // e.g. a custom preset that has since been deleted
+            this.difficultyManager.setDifficulty(difficulty);
+        }
+        
+        // Custom presets bring their own deal rules and scoring
+        const current = this.difficultyManager.getCurrentDifficulty();
+        const scoring = current.custom ? current.features.scoring : this.getSettings().scoring;
+        
+        // Create new game state with the specified game type (dailies have their own deal rules)
+        const dealRules = daily ? DailyChallenge.RULES : (rules || this.difficultyManager.getCustomRules());
         this.gameState = new GameState(gameType);
-        this.difficultyManager.setDifficulty(difficulty);
-        this.gameState.newGame(difficulty, gameType);
+        this.gameState.newGame(difficulty, gameType, seed, scoring, dealRules);
+        this.gameState.daily = daily;
+        this.recordGameStart();
         
-        // Update UI for game type
-        this.setupGameTypeUI(gameType);
+        // Update UI for the variant's layout
+        this.setupGameTypeUI(this.gameState.variant);
         
-        // Update difficulty display
-        const difficultyName = this.difficultyManager.getCurrentDifficulty().name;
-        const gameTypeName = gameType === 'spider' ? 'Spider' : 'Klondike';
-        document.getElementById('difficulty-display').textContent = `${gameTypeName} ${difficultyName}`;
+        // Update difficulty and deal number display
+        this.updateDifficultyDisplay();
         
         this.showScreen('game-screen');
         this.updateGameDisplay();
     }
 
     /**
-     * Setup UI for specific game type
+     * Start today's Daily Challenge deal of a game
+     * @param {string} gameType - 'klondike' or 'spider'
+     */
+    startDailyChallenge(gameType) {
+        const today = DailyChallenge.getDateKey();
+        this.startNewGame(DailyChallenge.DIFFICULTY, gameType, DailyChallenge.getSeed(today, gameType), today);
+    }
+
+    /**
+     * Start the deal entered on the deal screen
+     */
+    startDealFromInput() {
+        const seedInput = document.getElementById('deal-seed-input');
+        const gameSelect = document.getElementById('deal-game-select');
+        const seed = parseInt(seedInput.value, 10);
+        
+        // Option values are "gameType:difficulty", e.g. "spider:easy"
+        const [gameType, difficulty] = gameSelect.value.split(':');
+        const maxSeed = VariantRegistry.get(gameType).getMaxSeed();
+        
+        if (!SeededRandom.isValidSeed(seed, maxSeed)) {
+            this.showMessage(`Please enter a deal number between 1 and ${maxSeed}.`);
+            return;
+        }
+        
+        this.startNewGame(difficulty, gameType, seed);
+    }
+
+    /**
+     * Fill the custom game screen: the variants, the saved presets and the rules
+     * of the current preset (or of Medium when there is none yet)
+     */
+    setupCustomScreen() {
+        const gameSelect = document.getElementById('custom-game-select');
+        gameSelect.innerHTML = '';
+        VariantRegistry.getAll().forEach(variant => {
+            gameSelect.add(new Option(variant.name, variant.id));
+        });
+        
+        const presets = this.difficultyManager.getCustomPresets();
+        const presetSelect = document.getElementById('custom-preset');
+        presetSelect.innerHTML = '';
+        presetSelect.add(new Option('New preset', ''));
+        Object.entries(presets).forEach(([key, preset]) => {
+            presetSelect.add(new Option(preset.name, key));
+        });
+        
+        // Start from the current game's custom rules, saved or not
+        const current = this.difficultyManager.getCurrentDifficulty();
+        this.showCustomPreset(current.custom ? this.difficultyManager.currentDifficulty : '');
+    }
+
+    /**
+     * Show a preset's rules on the custom game screen
+     * @param {string} key - Custom preset key (or the unsaved custom rules' key), or '' for a
+     *                       new preset starting from Medium's rules
+     */
+    showCustomPreset(key) {
+        const preset = this.difficultyManager.getAllDifficulties()[key];
+        const medium = this.difficultyManager.getAllDifficulties().medium;
+        const features = preset ? preset.features : medium.features;
+        const saved = Boolean(this.difficultyManager.getCustomPresets()[key]);
+        
+        document.getElementById('custom-preset').value = saved ? key : '';
+        document.getElementById('custom-name').value = saved ? preset.name : '';
+        document.getElementById('custom-game-select').value = preset ? preset.gameType : this.gameState.gameType;
+        document.getElementById('custom-draw-count').value = preset ? preset.drawCount : medium.drawCount;
+        document.getElementById('custom-stock-passes').value = features.stockPasses ?? -1;
+        document.getElementById('custom-winnable').checked = features.winnableDeals;
+        document.getElementById('custom-hints').checked = features.showHints;
+        document.getElementById('custom-auto-complete').checked = features.autoComplete;
+        document.getElementById('custom-undo-limit').value = features.undoLimit;
+        document.getElementById('custom-scoring').value = features.scoring || this.getSettings().scoring;
+        document.getElementById('custom-spider-suits').value = features.spiderSuits || 2;
+        this.updateCustomRuleOptions();
+    }
+
+    /**
+     * Only offer winnable deals for games whose solver can deal them
+     */
+    updateCustomRuleOptions() {
+        const variant = VariantRegistry.get(document.getElementById('custom-game-select').value);
+        const winnable = document.getElementById('custom-winnable');
+        const available = Boolean(variant && variant.hasWinnableDeals());
+        
+        winnable.disabled = !available;
+        if (!available) winnable.checked = false;
+        this.tvRemote.refresh(); // Disabled options can't be focused
+    }
+
+    /**
+     * Read the rules chosen on the custom game screen
+     * @returns {Object} Preset options (see DifficultyManager.saveCustomPreset)
+     */
+    getCustomOptions() {
+        return {
+            gameType: document.getElementById('custom-game-select').value,
+            drawCount: parseInt(document.getElementById('custom-draw-count').value, 10),
+            stockPasses: parseInt(document.getElementById('custom-stock-passes').value, 10),
+            winnableDeals: document.getElementById('custom-winnable').checked,
+            showHints: document.getElementById('custom-hints').checked,
+            autoComplete: document.getElementById('custom-auto-complete').checked,
+            undoLimit: parseInt(document.getElementById('custom-undo-limit').value, 10),
+            scoring: document.getElementById('custom-scoring').value,
+            spiderSuits: parseInt(document.getElementById('custom-spider-suits').value, 10)
+        };
+    }
+
+    /**
+     * Save the custom game screen's rules under the entered name, asking before
+     * replacing a preset with the same name
+     * @returns {string|null} Difficulty key of the saved preset, null when nothing was saved
+     */
+    saveCustomPreset() {
+        const name = document.getElementById('custom-name').value.trim() || 'Custom';
+        const existing = this.difficultyManager.findCustomPreset(name);
+        if (existing && !confirm(`Replace the saved preset "${name}"?`)) {
+            return null;
+        }
+        
+        const key = this.difficultyManager.saveCustomPreset(name, this.getCustomOptions(), existing);
+        this.setupCustomScreen();
+        this.showCustomPreset(key);
+        this.showMessage(`Saved the preset "${name}".`);
+        return key;
+    }
+
+    /**
+     * Delete the preset chosen on the custom game screen
+     */
+    deleteCustomPreset() {
+        const key = document.getElementById('custom-preset').value;
+        if (!key) return;
+        
+        this.difficultyManager.deleteCustomPreset(key);
+        this.setupCustomScreen();
+    }
+
+    /**
+     * Start a game with the custom game screen's rules
+     * The chosen preset is used when its rules are unchanged; nothing is saved
+     */
+    startCustomGame() {
+        const options = this.getCustomOptions();
+        const presetKey = document.getElementById('custom-preset').value;
+        const key = this.difficultyManager.matchesCustomPreset(presetKey, options) ?
+            presetKey : this.difficultyManager.setUnsavedCustomRules(options);
+        
+        this.startNewGame(key, options.gameType);
+    }
+
+    /**
+     * Update the game type, difficulty and deal number shown in the game header
+     */
+    updateDifficultyDisplay() {
+        const variant = this.gameState.variant;
+        const current = this.difficultyManager.getCurrentDifficulty();
+        const difficultyName = (!current.custom && variant.getDifficultyName(this.gameState.difficulty)) ||
+            current.name;
+        document.getElementById('difficulty-display').textContent = this.gameState.daily ?
+            `${variant.name} Daily ${DailyChallenge.parseDateKey(this.gameState.daily).toLocaleDateString()}` :
+            `${variant.name} ${difficultyName}`;
+        const dealLabel = this.gameState.seed ? `Deal #${this.gameState.seed}` : 'Deal #-';
+        document.getElementById('deal-number').textContent = 
+            this.gameState.dealVerified ? `${dealLabel} ✓ Winnable` : dealLabel;
+    }
+
+    /**
+     * Setup UI for a solitaire variant
+     * Builds the tableau columns and shows only the piles the variant's layout uses
+     * @param {SolitaireVariant} variant - Variant being played
      */
-    setupGameTypeUI(gameType) {
+    setupGameTypeUI(variant) {
+        const layout = variant.getLayout();
+        
         // Add/remove CSS classes for game type
-        document.body.classList.remove('spider-mode', 'klondike-mode');
-        document.body.classList.add(`${gameType}-mode`);
-        
-        if (gameType === 'spider') {
-            // Update tableau for 10 columns
-            this.setupSpiderTableau();
-            // Hide completed sequences display
-            this.renderCompletedSequences();
-        } else {
-            // Reset to 7 columns for Klondike
-            this.setupKlondikeTableau();
+        VariantRegistry.getAll().forEach(other => document.body.classList.remove(`${other.id}-mode`));
+        document.body.classList.add(`${variant.id}-mode`);
+        
+        // Hide piles the variant does not use
+        document.body.classList.toggle('no-foundation', layout.foundations === 0);
+        document.body.classList.toggle('no-stock', !layout.stock);
+        document.body.classList.toggle('no-waste', !layout.waste);
+        document.body.classList.toggle('has-board', !!layout.board);
+        document.body.classList.toggle('has-reserve', !!layout.reserve);
+        
+        this.setupTableau(layout.tableauColumns);
+        this.setupFoundations(layout.foundations);
+        this.setupFreeCells(layout.freeCells);
+        this.setupBoard(variant.getBoardSlots());
+        this.renderCompletedSequences();
+    }
+
+    /**
+     * Create the foundation pile elements
+     * Suit markers repeat every four piles, so two-deck games get two piles per suit
+     * @param {number} pileCount - Number of foundation piles in the layout
+     */
+    setupFoundations(pileCount) {
+        const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
+        const foundationArea = document.querySelector('.foundation-area');
+        foundationArea.innerHTML = '';
+        
+        for (let i = 0; i < pileCount; i++) {
+            const pile = document.createElement('div');
+            pile.className = 'foundation-pile';
+            pile.dataset.foundation = i;
+            pile.dataset.suit = suits[i % suits.length];
+            pile.dataset.area = 'foundation';
+            foundationArea.appendChild(pile);
         }
     }
 
     /**
-     * Setup tableau for Spider solitaire (10 columns)
+     * Create the free cell elements (empty for variants without free cells)
+     * @param {number} cellCount - Number of free cells in the layout
      */
-    setupSpiderTableau() {
-        const tableauArea = document.querySelector('.tableau-area');
-        tableauArea.innerHTML = '';
+    setupFreeCells(cellCount) {
+        const freeCellArea = document.querySelector('.freecell-area');
+        freeCellArea.innerHTML = '';
         
-        // Create 10 columns for Spider
-        for (let i = 0; i < 10; i++) {
-            const column = document.createElement('div');
-            column.className = 'tableau-column';
-            column.dataset.column = i;
-            column.dataset.area = 'tableau';
-            tableauArea.appendChild(column);
+        for (let i = 0; i < cellCount; i++) {
+            const cell = document.createElement('div');
+            cell.className = 'freecell-pile';
+            cell.dataset.cell = i;
+            cell.dataset.area = 'freecell';
+            freeCellArea.appendChild(cell);
         }
+    }
+
+    /**
+     * Create the board slot elements (empty for variants without a board)
+     * Slots are positioned from the variant's half-card (x) and row (y) coordinates
+     * @param {Object[]} slots - Board slots from the variant
+     */
+    setupBoard(slots) {
+        const boardArea = document.querySelector('.board-area');
+        boardArea.innerHTML = '';
         
-        // Update navigation limits
-        this.keyboardNavigation.maxColumns = 9; // 0-9 for Spider
+        slots.forEach((slot, index) => {
+            const slotElement = document.createElement('div');
+            slotElement.className = 'board-slot';
+            slotElement.dataset.slot = index;
+            slotElement.dataset.area = 'board';
+            slotElement.style.setProperty('--slot-x', slot.x);
+            slotElement.style.setProperty('--slot-y', slot.y);
+            slotElement.style.zIndex = slot.y + 1; // Lower rows overlap the rows above
+            boardArea.appendChild(slotElement);
+        });
+        
+        // Size the board to fit its slots
+        boardArea.style.setProperty('--board-columns', slots.reduce((max, slot) => Math.max(max, slot.x + 2), 0));
+        boardArea.style.setProperty('--board-rows', slots.reduce((max, slot) => Math.max(max, slot.y), 0));
     }
 
     /**
-     * Setup tableau for Klondike solitaire (7 columns)
+     * Create the tableau column elements
+     * @param {number} columnCount - Number of tableau columns in the layout
      */
-    setupKlondikeTableau() {
+    setupTableau(columnCount) {
         const tableauArea = document.querySelector('.tableau-area');
         tableauArea.innerHTML = '';
         
-        // Create 7 columns for Klondike
-        for (let i = 0; i < 7; i++) {
+        for (let i = 0; i < columnCount; i++) {
             const column = document.createElement('div');
             column.className = 'tableau-column';
             column.dataset.column = i;
@@ -928,16 +1444,23 @@ class UIManager {
         }
         
         // Update navigation limits
-        this.keyboardNavigation.maxColumns = 6; // 0-6 for Klondike
+        this.keyboardNavigation.maxColumns = columnCount - 1;
     }
 
     /**
-     * Render completed sequences for Spider solitaire
+     * Render completed sequences (Spider-style variants)
      */
     renderCompletedSequences() {
-        if (this.gameState.gameType !== 'spider') return;
-        
         let sequencesContainer = document.getElementById('completed-sequences');
+        
+        if (!this.gameState.variant.getLayout().completedSequences) {
+            // Remove the display left over from a previous game
+            if (sequencesContainer) {
+                sequencesContainer.remove();
+            }
+            return;
+        }
+        
         if (!sequencesContainer) {
             sequencesContainer = document.createElement('div');
             sequencesContainer.id = 'completed-sequences';
@@ -964,6 +1487,9 @@ class UIManager {
         this.renderFoundation();
         this.renderStock();
         this.renderWaste();
+        this.renderReserve();
+        this.renderFreeCells();
+        this.renderBoard();
         this.updateGameDisplay();
     }
 
@@ -971,7 +1497,7 @@ class UIManager {
      * Render tableau columns
      */
     renderTableau() {
-        const columnCount = this.gameState.tableau.length; // 7 for Klondike, 10 for Spider
+        const columnCount = this.gameState.tableau.length; // Set by the variant's layout
         
         for (let col = 0; col < columnCount; col++) {
             const column = this.gameState.tableau[col];
@@ -1004,26 +1530,17 @@ class UIManager {
             });
         }
         
-        // Render completed sequences for Spider
-        if (this.gameState.gameType === 'spider') {
-            this.renderCompletedSequences();
-        }
+        // Render completed sequences (only shown by variants that use them)
+        this.renderCompletedSequences();
     }
 
     /**
      * Render foundation piles
      */
     renderFoundation() {
-        // Skip foundation rendering for Spider solitaire
-        if (this.gameState.gameType === 'spider') {
-            return;
-        }
-        
-        const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
-        
-        for (let i = 0; i < 4; i++) {
+        for (let i = 0; i < this.gameState.foundation.length; i++) {
             const pile = this.gameState.foundation[i];
-            const pileElement = document.querySelector(`[data-suit="${suits[i]}"]`);
+            const pileElement = this.getElementForMove({ area: 'foundation', index: i });
             
             if (!pileElement) continue; // Skip if element doesn't exist
             
@@ -1061,8 +1578,16 @@ class UIManager {
         } else {
             stockElement.classList.remove('has-cards');
         }
-    }
-
+        
+        // Show the passes left when they are limited
+        const passesLeft = this.gameState.variant.getStockPassesLeft(this.gameState);
+        if (passesLeft === null) {
+            delete stockElement.dataset.passes;
+        } else {
+            stockElement.dataset.passes = passesLeft === 1 ? '1 pass left' : `${passesLeft} passes left`;
+        }
+    }
+
     /**
      * Render waste pile
      */
@@ -1100,6 +1625,67 @@ class UIManager {
         }
     }
 
+    /**
+     * Render the reserve pile: the top card and a count of the cards left
+     */
+    renderReserve() {
+        const reserveElement = document.querySelector('.reserve-pile');
+        const reserve = this.gameState.reserve || [];
+        
+        reserveElement.innerHTML = '';
+        reserveElement.dataset.count = reserve.length;
+        
+        if (reserve.length > 0) {
+            const cardElement = reserve[reserve.length - 1].createElement();
+            cardElement.addEventListener('click', () => {
+                this.handleReserveClick();
+            });
+            reserveElement.appendChild(cardElement);
+        }
+    }
+
+    /**
+     * Render free cells
+     */
+    renderFreeCells() {
+        if (!this.gameState.freeCells) return;
+        
+        this.gameState.freeCells.forEach((cell, index) => {
+            const cellElement = this.getElementForMove({ area: 'freecell', index });
+            if (!cellElement) return;
+            
+            cellElement.innerHTML = '';
+            if (cell.length > 0) {
+                cellElement.appendChild(cell[0].createElement());
+            }
+        });
+    }
+
+    /**
+     * Render board slots, marking the cards that are uncovered and playable
+     */
+    renderBoard() {
+        const variant = this.gameState.variant;
+        
+        this.gameState.board.forEach((slot, index) => {
+            const slotElement = this.getElementForMove({ area: 'board', index });
+            if (!slotElement) return;
+            
+            const exposed = variant.isBoardCardExposed(this.gameState, index);
+            slotElement.innerHTML = '';
+            slotElement.classList.toggle('empty', slot.length === 0);
+            slotElement.classList.toggle('exposed', exposed);
+            
+            if (slot.length > 0) {
+                const cardElement = slot[slot.length - 1].createElement();
+                if (!exposed) {
+                    cardElement.classList.add('covered');
+                }
+                slotElement.appendChild(cardElement);
+            }
+        });
+    }
+
     /**
      * Handle tableau card click
      */
@@ -1112,6 +1698,7 @@ class UIManager {
         if (this.selectedCards.length === 0) {
             // Select cards from this position to end of column
             this.selectCards('tableau', column, cardIndex);
+            this.playDirectMove();
         } else {
             // Try to move selected cards here
             this.attemptMove('tableau', column);
@@ -1122,11 +1709,27 @@ class UIManager {
      * Handle foundation pile click
      */
     handleFoundationClick(foundationIndex) {
-        // Foundation piles are only drop targets, not selectable
-        if (this.selectedCards.length === 1) {
-            this.attemptMove('foundation', foundationIndex);
+        const pile = this.gameState.foundation[foundationIndex];
+        
+        if (this.selectedCards.length > 0) {
+            if (this.selectedCards.length === 1) {
+                this.attemptMove('foundation', foundationIndex);
+            }
+        } else if (pile.length > 0 && this.canPlayFromFoundation(foundationIndex)) {
+            this.selectCards('foundation', foundationIndex, pile.length - 1);
         }
-        // Don't allow selecting cards from foundation piles
+    }
+
+    /**
+     * Check if a foundation's top card can be played back onto the tableau
+     * (e.g. Klondike; most games keep foundation cards where they are)
+     */
+    canPlayFromFoundation(foundationIndex) {
+        const pile = this.gameState.foundation[foundationIndex];
+        const cards = pile.slice(-1);
+        
+        return this.gameState.tableau.some((column, index) =>
+            this.gameState.isValidMove(cards, 'foundation', 'tableau', column, foundationIndex, index));
     }
 
     /**
@@ -1137,6 +1740,63 @@ class UIManager {
         
         if (this.selectedCards.length === 0) {
             this.selectCards('waste', 0, this.gameState.waste.length - 1);
+            this.playDirectMove();
+        } else if (this.selectedSource.area !== 'waste') {
+            // Some variants play onto the waste (e.g. Pyramid pairs)
+            this.attemptMove('waste', 0);
+        }
+    }
+
+    /**
+     * Handle reserve pile click
+     * The reserve is never a drop target, so a click always selects its top card
+     */
+    handleReserveClick() {
+        if (this.gameState.reserve.length === 0) return;
+        
+        this.selectCards('reserve', 0, this.gameState.reserve.length - 1);
+    }
+
+    /**
+     * Handle board card click
+     * The first playable card clicked is selected, the second is the move target
+     */
+    handleBoardClick(slotIndex) {
+        if (!this.gameState.variant.isBoardCardExposed(this.gameState, slotIndex)) return; // Covered cards can't be played
+        
+        if (this.selectedCards.length > 0) {
+            this.attemptMove('board', slotIndex);
+        } else {
+            this.selectCards('board', slotIndex, 0);
+            this.playDirectMove();
+        }
+    }
+
+    /**
+     * Play the selected card straight away when the variant has a single-click move for it
+     * (e.g. removing a King in Pyramid)
+     */
+    playDirectMove() {
+        const source = this.selectedSource;
+        const target = this.gameState.variant.getDirectMove(this.gameState, source.area, source.index);
+        
+        if (target) {
+            this.attemptMove(target.area, target.index);
+        }
+    }
+
+    /**
+     * Handle free cell click
+     * An empty cell (or any cell while cards are selected) is a drop target,
+     * otherwise the card in the cell is selected
+     */
+    handleFreeCellClick(cellIndex) {
+        const cell = this.gameState.freeCells[cellIndex];
+        
+        if (this.selectedCards.length > 0) {
+            this.attemptMove('freecell', cellIndex);
+        } else if (cell.length > 0) {
+            this.selectCards('freecell', cellIndex, 0);
         }
     }
 
@@ -1147,34 +1807,15 @@ class UIManager {
         this.clearSelection();
         
         if (this.gameState.drawFromStock()) {
-            this.renderStock();
-            this.renderWaste();
+            // Some variants deal from the stock onto the tableau, so redraw everything
+            this.renderGameBoard();
             
-            // For Spider solitaire, also update the tableau since cards are dealt there
-            if (this.gameState.gameType === 'spider') {
-                this.renderTableau();
+            if (this.gameState.gameLost) {
+                this.handleGameLoss();
             }
-            
-            this.updateGameDisplay();
         } else {
             // Provide feedback when stock can't be dealt from
-            if (this.gameState.gameType === 'spider') {
-                // Check specific Spider solitaire conditions
-                if (this.gameState.stock.length < 10) {
-                    this.showMessage('Not enough cards in stock to deal (need 10 cards).');
-                } else {
-                    // Check for empty columns
-                    const emptyColumns = this.gameState.tableau.filter(col => col.length === 0).length;
-                    if (emptyColumns > 0) {
-                        this.showMessage('Cannot deal from stock while there are empty columns. Fill all columns first.');
-                    } else {
-                        this.showMessage('Cannot deal from stock at this time.');
-                    }
-                }
-            } else {
-                // Klondike solitaire - no cards available
-                this.showMessage('No more cards in stock.');
-            }
+            this.showMessage(this.gameState.variant.getStockBlockedMessage(this.gameState));
         }
     }
 
@@ -1187,6 +1828,10 @@ class UIManager {
             if (this.gameState.tableau[column].length === 0) {
                 this.attemptMove('tableau', column);
             }
+        } else if (element.classList.contains('freecell-pile')) {
+            this.handleFreeCellClick(parseInt(element.dataset.cell));
+        } else if (element.classList.contains('board-slot')) {
+            this.handleBoardClick(parseInt(element.dataset.slot));
         }
     }
 
@@ -1218,6 +1863,31 @@ class UIManager {
             if (topCard) {
                 topCard.classList.add('selected');
             }
+        } else if (area === 'foundation') {
+            const pile = this.gameState.foundation[index];
+            this.selectedCards = [pile[pile.length - 1]];
+            
+            // Highlight selected card
+            const cardElement = this.getElementForMove({ area, index }).querySelector('.card:last-child');
+            if (cardElement) {
+                cardElement.classList.add('selected');
+            }
+        } else if (area === 'reserve') {
+            this.selectedCards = [this.gameState.reserve[this.gameState.reserve.length - 1]];
+            
+            // Highlight selected card
+            const cardElement = document.querySelector('.reserve-pile .card');
+            if (cardElement) {
+                cardElement.classList.add('selected');
+            }
+        } else if (area === 'freecell' || area === 'board') {
+            this.selectedCards = [...this.gameState.getCardArray(area, index)];
+            
+            // Highlight selected card
+            const cardElement = this.getElementForMove({ area, index }).querySelector('.card');
+            if (cardElement) {
+                cardElement.classList.add('selected');
+            }
         }
         
         this.updateSelectedCardsDisplay();
@@ -1248,9 +1918,11 @@ class UIManager {
                 this.offerAutoComplete();
             }
             
-            // Check for game win
+            // Check for game win or loss
             if (this.gameState.gameWon) {
                 this.handleGameWin();
+            } else if (this.gameState.gameLost) {
+                this.handleGameLoss();
             }
         }
         
@@ -1314,12 +1986,30 @@ class UIManager {
         }, 300);
     }
 
+    /**
+     * Show the score, or the bankroll under Vegas cumulative scoring
+     */
+    updateScoreDisplay() {
+        const scheme = this.gameState.getScoringScheme();
+        document.getElementById('score').textContent = scheme.cumulative ?
+            `Bankroll: ${scheme.formatScore(this.getVegasBankroll())}` :
+            `Score: ${scheme.formatScore(this.gameState.getScore())}`;
+    }
+
     /**
      * Update game display (score, moves, time)
      */
     updateGameDisplay() {
         document.getElementById('moves-counter').textContent = `Moves: ${this.gameState.moves}`;
-        document.getElementById('score').textContent = `Score: ${this.gameState.score}`;
+        this.updateScoreDisplay();
+        
+        // Extra status from the variant (hidden when there is none)
+        const variantStatus = this.gameState.variant.getStatusText(this.gameState);
+        const statusElement = document.getElementById('variant-status');
+        statusElement.textContent = variantStatus || '';
+        statusElement.style.display = variantStatus ? '' : 'none';
+        
+        this.schedulePositionCheck();
         
         // Update timer
         if (this.gameState.startTime) {
@@ -1330,6 +2020,43 @@ class UIManager {
         this.updateButtonStates();
     }
 
+    /**
+     * Check the position once the player has stayed on it for a moment: a stuck game is
+     * lost, and an open-information game (e.g. Baker's Dozen) the variant's solver proves
+     * can no longer be won shows the unwinnable indicator. Both searches are too slow to
+     * run on every move, auto-complete step or imported move. The indicator counts as
+     * help, so it follows the hint setting
+     */
+    schedulePositionCheck() {
+        const indicator = document.getElementById('unwinnable-indicator');
+        const gameState = this.gameState;
+        const step = gameState.replayLog.length; // Every move, draw, undo and redo adds a step
+        
+        const check = this.positionCheck;
+        if (check && check.gameState === gameState && check.step === step) return; // Same position
+        
+        clearTimeout(check && check.timer);
+        this.positionCheck = { gameState, step, timer: null };
+        indicator.style.display = 'none';
+        
+        if (this.replay || !gameState.startTime || gameState.isFinished()) return;
+        
+        this.positionCheck.timer = setTimeout(() => {
+            if (this.gameState !== gameState || gameState.replayLog.length !== step || this.replay) return; // Moved on meanwhile
+            if (this.currentScreen !== 'game-screen') {
+                this.positionCheck = null; // Check again when the game is back on screen
+                return;
+            }
+            
+            if (gameState.checkStuck()) {
+                this.updateButtonStates();
+                this.handleGameLoss();
+            } else if (gameState.variant.isOpenInformation() && this.difficultyManager.canShowHints()) {
+                indicator.style.display = gameState.variant.checkWinnable(gameState) === false ? '' : 'none';
+            }
+        }, UIManager.POSITION_CHECK_DELAY);
+    }
+
     /**
      * Update button states based on game state and difficulty
      */
@@ -1346,9 +2073,13 @@ class UIManager {
         }
         
         // Undo button
-        const canUndo = this.gameState.moveHistory.length > 0 && 
-                       this.difficultyManager.canUndo(this.gameState.moves);
+        const finished = this.gameState.isFinished(); // Nothing is taken back once the game is over
+        const canUndo = this.gameState.moveHistory.length > 0 && !finished &&
+                       this.difficultyManager.canUndo(this.gameState.undoCount);
         undoBtn.disabled = !canUndo;
+        
+        // Redo button
+        document.getElementById('redo-btn').disabled = this.gameState.redoStack.length === 0 || finished;
     }
 
     /**
@@ -1360,6 +2091,7 @@ class UIManager {
         this.gameTimer = setInterval(() => {
             if (this.gameState.startTime && !this.gameState.gameWon) {
                 document.getElementById('timer').textContent = this.gameState.getFormattedTime();
+                this.updateScoreDisplay(); // Some schemes score the time taken
             }
         }, 1000);
     }
@@ -1378,11 +2110,12 @@ class UIManager {
      * Handle hint button click
      */
     showHint() {
-        if (!this.difficultyManager.canShowHints()) return;
+        if (this.replay || !this.difficultyManager.canShowHints()) return;
         
         const hint = this.difficultyManager.hintSystem.getBestMove(this.gameState);
         
         if (hint) {
+            this.gameState.hintsUsed++;
             this.highlightHint(hint);
         } else {
             this.showMessage('No moves available. Try drawing from the stock pile.');
@@ -1410,6 +2143,17 @@ class UIManager {
             targetElement.classList.add('hint-highlight');
         }
         
+        // Highlight the rest of the run the move starts (TriPeaks chains are board slots)
+        if (hint.chain && hint.chain.length > 1) {
+            hint.chain.forEach(index => {
+                const chainElement = this.getElementForMove({ area: 'board', index });
+                if (chainElement) {
+                    chainElement.classList.add('hint-highlight');
+                }
+            });
+            this.showMessage(`Play ${hint.chain.length} cards in a row`, 3000);
+        }
+        
         // Remove highlights after a few seconds
         setTimeout(() => {
             document.querySelectorAll('.hint-highlight').forEach(el => {
@@ -1426,12 +2170,17 @@ class UIManager {
             case 'tableau':
                 return document.querySelector(`[data-column="${location.index}"]`);
             case 'foundation':
-                const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
-                return document.querySelector(`[data-suit="${suits[location.index]}"]`);
+                return document.querySelector(`.foundation-pile[data-foundation="${location.index}"]`);
             case 'waste':
                 return document.querySelector('.waste-pile');
             case 'stock':
                 return document.querySelector('.stock-pile');
+            case 'reserve':
+                return document.querySelector('.reserve-pile');
+            case 'freecell':
+                return document.querySelector(`.freecell-pile[data-cell="${location.index}"]`);
+            case 'board':
+                return document.querySelector(`.board-slot[data-slot="${location.index}"]`);
             default:
                 return null;
         }
@@ -1441,12 +2190,32 @@ class UIManager {
      * Handle undo button click
      */
     undoMove() {
+        if (this.replay || this.gameState.isFinished()) return; // The result is already recorded
+        
+        if (!this.difficultyManager.canUndo(this.gameState.undoCount)) {
+            const limit = this.difficultyManager.getUndoLimit();
+            this.showMessage(`Undo limit reached (${limit} undos allowed in this difficulty).`);
+            return;
+        }
+        
         if (this.gameState.undoLastMove()) {
             this.renderGameBoard();
             this.updateGameDisplay();
         }
     }
 
+    /**
+     * Redo the last undone move
+     */
+    redoMove() {
+        if (this.replay || this.gameState.isFinished()) return;
+        
+        if (this.gameState.redoMove()) {
+            this.renderGameBoard();
+            this.updateGameDisplay();
+        }
+    }
+
     /**
      * Offer auto-complete
      */
@@ -1483,17 +2252,47 @@ class UIManager {
      * Handle game win
      */
     handleGameWin() {
+        this.showGameOver('Congratulations!', 'You won the game!');
+    }
+
+    /**
+     * Handle a lost game (the variant found no way to continue)
+     */
+    handleGameLoss() {
+        this.showGameOver('Game Over', 'No more moves are possible.');
+    }
+
+    /**
+     * Record the finished game and show the game over modal
+     */
+    showGameOver(title, message) {
         this.stopGameTimer();
         
         const stats = this.gameState.getGameStats();
         
         // Update modal content
+        document.getElementById('game-over-title').textContent = title;
+        document.getElementById('game-over-message').textContent = message;
         document.getElementById('final-time').textContent = this.gameState.getFormattedTime();
         document.getElementById('final-moves').textContent = stats.moves;
-        document.getElementById('final-score').textContent = stats.score;
+        document.getElementById('final-score').textContent = this.gameState.getScoringScheme().formatScore(stats.score);
         
-        // Save statistics
-        this.saveGameStats(stats);
+        // Save statistics and the history entry (once, even if the game over modal comes back) and the replay
+        if (!this.gameState.statsRecorded) {
+            this.saveGameStats(stats);
+            GameHistory.record(this.gameState, this.gameState.gameWon ? 'won' : 'lost');
+            this.gameState.statsRecorded = true;
+        }
+        this.settleVegasBankroll();
+        ReplayPlayer.saveRecent(this.gameState.getReplay());
+        
+        // A won daily counts towards its best time, move count and streak
+        if (this.gameState.daily && this.gameState.gameWon) {
+            DailyChallenge.recordWin(this.gameState);
+            const streak = DailyChallenge.getStreak(this.gameState.gameType);
+            document.getElementById('game-over-message').textContent =
+                `${message} Daily streak: ${streak} ${streak === 1 ? 'day' : 'days'}.`;
+        }
         
         // Show modal
         document.getElementById('game-over-modal').classList.add('active');
@@ -1505,21 +2304,489 @@ class UIManager {
     }
 
     /**
-     * Update statistics display
+     * Update statistics display for the game and difficulty picked in the selector
      */
     updateStatsDisplay() {
-        const stats = this.loadGameStats();
+        const allStats = this.loadGameStats();
+        const filter = this.renderStatsFilter(allStats);
+        const stats = filter === 'all' ? allStats : allStats.byGame[filter];
         
         document.getElementById('games-played').textContent = stats.gamesPlayed;
         document.getElementById('games-won').textContent = stats.gamesWon;
+        document.getElementById('games-lost').textContent = stats.gamesLost;
+        document.getElementById('games-abandoned').textContent = stats.gamesAbandoned;
         
-        const winRate = stats.gamesPlayed > 0 ? 
-            Math.round((stats.gamesWon / stats.gamesPlayed) * 100) : 0;
+        // The game still being played doesn't count against the win rate
+        const gamesFinished = stats.gamesWon + stats.gamesLost + stats.gamesAbandoned;
+        const winRate = gamesFinished > 0 ? 
+            Math.round((stats.gamesWon / gamesFinished) * 100) : 0;
         document.getElementById('win-rate').textContent = `${winRate}%`;
         
+        document.getElementById('current-streak').textContent = stats.currentStreak;
+        document.getElementById('longest-streak').textContent = stats.longestStreak;
         document.getElementById('avg-time').textContent = this.formatTime(stats.averageTime);
         document.getElementById('best-time').textContent = 
             stats.bestTime > 0 ? this.formatTime(stats.bestTime) : '--:--';
+        document.getElementById('fewest-moves').textContent = stats.fewestMoves > 0 ? stats.fewestMoves : '-';
+        
+        // Scores from different schemes don't compare, so each scheme keeps its own best
+        const bestScores = Object.keys(stats.bestScores)
+            .map(scoring => ScoringRegistry.get(scoring).formatScore(stats.bestScores[scoring]));
+        document.getElementById('best-score').textContent = bestScores.length > 0 ? bestScores.join(' · ') : '-';
+        
+        document.getElementById('vegas-bankroll').textContent = ScoringScheme.formatDollars(allStats.vegasBankroll);
+        
+        this.renderDailyStats();
+        this.renderReplayList();
+    }
+
+    /**
+     * Show each daily's streak and today's result, and the calendar of past dailies
+     */
+    renderDailyStats() {
+        const today = DailyChallenge.getDateKey();
+        
+        DailyChallenge.GAMES.forEach(gameType => {
+            const result = DailyChallenge.getResult(today, gameType);
+            const streak = DailyChallenge.getStreak(gameType);
+            
+            document.getElementById(`daily-${gameType}-streak`).textContent =
+                `${streak} ${streak === 1 ? 'day' : 'days'}`;
+            document.getElementById(`daily-${gameType}-today`).textContent = result ?
+                `✓ ${this.formatTime(result.bestTime)} · ${result.bestMoves} moves` : 'Not won yet';
+        });
+        
+        this.renderDailyCalendar();
+    }
+
+    /**
+     * Draw a month of the daily calendar, marking the dailies won on each day
+     * (K for Klondike, S for Spider)
+     */
+    renderDailyCalendar() {
+        const now = new Date();
+        if (!this.dailyCalendarMonth) {
+            this.dailyCalendarMonth = new Date(now.getFullYear(), now.getMonth(), 1); // First day of the month shown
+        }
+        
+        const month = this.dailyCalendarMonth;
+        const results = DailyChallenge.loadResults();
+        const today = DailyChallenge.getDateKey(now);
+        
+        document.getElementById('daily-month-title').textContent =
+            month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        document.getElementById('daily-next-month').disabled =
+            month.getFullYear() === now.getFullYear() && month.getMonth() === now.getMonth();
+        
+        const grid = document.getElementById('daily-calendar');
+        grid.innerHTML = '';
+        
+        ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].forEach(name => {
+            const header = document.createElement('div');
+            header.className = 'daily-weekday';
+            header.textContent = name;
+            grid.appendChild(header);
+        });
+        
+        // Blank cells before the first of the month
+        for (let i = 0; i < month.getDay(); i++) {
+            grid.appendChild(document.createElement('div'));
+        }
+        
+        const dayCount = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+        for (let day = 1; day <= dayCount; day++) {
+            const dateKey = DailyChallenge.getDateKey(new Date(month.getFullYear(), month.getMonth(), day));
+            const marks = DailyChallenge.GAMES
+                .filter(gameType => DailyChallenge.getResult(dateKey, gameType, results))
+                .map(gameType => VariantRegistry.get(gameType).name.charAt(0));
+            
+            const cell = document.createElement('div');
+            cell.className = 'daily-day';
+            cell.classList.toggle('today', dateKey === today);
+            cell.classList.toggle('future', dateKey > today);
+            cell.classList.toggle('won', marks.length > 0);
+            cell.innerHTML = `<span class="daily-date">${day}</span><span class="daily-marks">${marks.join(' ')}</span>`;
+            grid.appendChild(cell);
+        }
+    }
+
+    /**
+     * Show another month in the daily calendar
+     * @param {number} step - -1 for the month before, 1 for the month after
+     */
+    changeDailyMonth(step) {
+        const month = this.dailyCalendarMonth;
+        this.dailyCalendarMonth = new Date(month.getFullYear(), month.getMonth() + step, 1);
+        this.renderDailyCalendar();
+    }
+
+    /**
+     * List the replays of recently finished games on the statistics screen
+     */
+    renderReplayList() {
+        const list = document.getElementById('replay-list');
+        list.innerHTML = '';
+        
+        const replays = ReplayPlayer.loadRecent();
+        if (replays.length === 0) {
+            list.innerHTML = '<p class="replay-empty">Finished games can be watched here.</p>';
+            return;
+        }
+        
+        replays.forEach((replay, index) => {
+            const variant = VariantRegistry.get(replay.gameType);
+            const result = replay.gameWon ? 'Won' : 'Lost';
+            const date = new Date(replay.startTime).toLocaleDateString();
+            
+            const button = document.createElement('button');
+            button.className = 'menu-btn focusable';
+            button.dataset.action = 'watch-replay';
+            button.dataset.replay = index;
+            button.textContent = `${variant.name} · ${result} · ${this.formatTime(replay.endTime - replay.startTime)} · ${date}`;
+            list.appendChild(button);
+        });
+    }
+
+    /**
+     * Fill the game history screen with a button for each game, most recent first
+     */
+    renderHistoryList() {
+        const list = document.getElementById('history-list');
+        list.innerHTML = '';
+        this.closeHistoryEntry();
+        
+        const entries = GameHistory.load();
+        if (entries.length === 0) {
+            list.innerHTML = '<p class="replay-empty">Games you finish or abandon are listed here.</p>';
+            return;
+        }
+        
+        entries.forEach((entry, index) => {
+            const date = new Date(entry.date).toLocaleDateString();
+            const name = this.getStatsLabel(`${entry.gameType}/${entry.difficulty}`);
+            
+            const button = document.createElement('button');
+            button.className = 'menu-btn focusable';
+            button.dataset.action = 'history-entry';
+            button.dataset.entry = index;
+            button.textContent = `${date} · ${name}${entry.daily ? ' Daily' : ''} · ` +
+                `${GameHistory.RESULTS[entry.result]} · ${this.formatTime(entry.time)} · ${entry.moves} moves`;
+            list.appendChild(button);
+        });
+    }
+
+    /**
+     * Show the details of a game from the history, with the option to deal it again
+     * @param {number} index - Position in the history (see GameHistory.load)
+     */
+    showHistoryEntry(index) {
+        const entry = GameHistory.load()[index];
+        if (!entry) return;
+        
+        const date = new Date(entry.date);
+        
+        document.getElementById('history-detail-title').textContent =
+            this.getStatsLabel(`${entry.gameType}/${entry.difficulty}`) + (entry.daily ? ` Daily ${entry.daily}` : '');
+        document.getElementById('history-date').textContent =
+            `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+        document.getElementById('history-seed').textContent = entry.seed ? `#${entry.seed}` : '-';
+        document.getElementById('history-result').textContent = GameHistory.RESULTS[entry.result];
+        document.getElementById('history-time').textContent = this.formatTime(entry.time);
+        document.getElementById('history-moves').textContent = entry.moves;
+        document.getElementById('history-score').textContent = ScoringRegistry.get(entry.scoring).formatScore(entry.score);
+        document.getElementById('history-hints').textContent = entry.hintsUsed;
+        document.getElementById('history-undos').textContent = entry.undosUsed;
+        
+        this.historyEntry = index;
+        document.getElementById('history-screen').classList.add('show-detail');
+        
+        this.tvRemote.refresh();
+        this.tvRemote.focusElement('[data-action="history-replay-deal"]');
+    }
+
+    /**
+     * Go back from a game's details to the history list, focusing the game's button
+     * @returns {boolean} False if the list was already shown
+     */
+    closeHistoryEntry() {
+        if (this.historyEntry === null) return false;
+        
+        const index = this.historyEntry;
+        this.historyEntry = null;
+        document.getElementById('history-screen').classList.remove('show-detail');
+        
+        this.tvRemote.refresh();
+        this.tvRemote.focusElement(`[data-action="history-entry"][data-entry="${index}"]`);
+        return true;
+    }
+
+    /**
+     * Deal the game shown from the history again, with the same game, difficulty,
+     * deal number and deal rules (a past Daily Challenge is played as a normal game)
+     */
+    replayHistoryDeal() {
+        const entry = GameHistory.load()[this.historyEntry];
+        if (!entry) return;
+        
+        this.startNewGame(entry.difficulty, entry.gameType, entry.seed, null, entry.rules);
+    }
+
+    /**
+     * Watch a replay: a recent one from the statistics screen, or the game just finished
+     * @param {string} index - Position in the recent replays (see ReplayPlayer.loadRecent),
+     *                         or undefined for the current game
+     */
+    watchReplay(index) {
+        const fromStats = index !== undefined;
+        const replay = fromStats ? ReplayPlayer.loadRecent()[index] : this.gameState.getReplay();
+        
+        if (!replay) {
+            this.showMessage('No replay was recorded for this game.');
+            return;
+        }
+        
+        document.getElementById('game-over-modal').classList.remove('active');
+        this.startReplay(replay, fromStats ? 'stats-screen' : 'game-over');
+    }
+
+    /**
+     * Show a replay on the game screen, with the replay controls in place of the game's
+     * The game in progress is kept aside and comes back when the replay ends
+     * @param {Object} replay - Replay from GameState.getReplay
+     * @param {string} returnTo - Screen to go back to, or 'game-over' for the game over modal
+     */
+    startReplay(replay, returnTo) {
+        if (this.replay) this.stopReplay();
+        
+        const player = new ReplayPlayer(replay);
+        this.replay = {
+            player: player,
+            gameState: this.gameState,  // Game to restore afterwards
+            returnTo: returnTo,
+            playing: false,
+            speedIndex: ReplayPlayer.SPEEDS.indexOf(1),
+            timer: null
+        };
+        
+        this.gameState = player.state;
+        this.clearSelection();
+        this.setupGameTypeUI(player.state.variant);
+        document.getElementById('game-screen').classList.add('replay-mode');
+        
+        const variant = player.state.variant;
+        const difficulty = this.difficultyManager.getAllDifficulties()[replay.difficulty];
+        const difficultyName = variant.getDifficultyName(replay.difficulty) ||
+            (difficulty ? difficulty.name : 'Custom'); // The custom preset may have been deleted
+        document.getElementById('difficulty-display').textContent = `Replay: ${variant.name} ${difficultyName}`;
+        document.getElementById('deal-number').textContent = replay.seed ? `Deal #${replay.seed}` : 'Deal #-';
+        
+        this.showScreen('game-screen');
+        this.stopGameTimer(); // The replay has its own clock
+        this.renderReplay();
+        this.playReplay();
+    }
+
+    /**
+     * Handle a TV remote media or back key during a replay
+     * Play toggles playback; rewind and fast-forward step while paused and change
+     * the speed while playing; back and menu leave the replay
+     * @returns {boolean} Whether the replay used the key (other listeners are skipped)
+     */
+    handleReplayKey(event, key) {
+        if (!this.replay) return false;
+        
+        event.stopImmediatePropagation(); // The app's own handlers would act on the game
+        
+        switch (key) {
+            case 'play':
+                this.toggleReplayPlayback();
+                break;
+            case 'rewind':
+                this.replay.playing ? this.changeReplaySpeed(-1) : this.stepReplay(-1);
+                break;
+            case 'fastforward':
+                this.replay.playing ? this.changeReplaySpeed(1) : this.stepReplay(1);
+                break;
+            case 'back':
+                this.exitReplay();
+                break;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Handle the D-pad during a replay: left/right step, up/down change the speed,
+     * select plays or pauses
+     * @returns {boolean} Whether the key was handled (media keys are left to their events)
+     */
+    handleReplayNavigation(eventType) {
+        switch (eventType) {
+            case 'left':
+                this.stepReplay(-1);
+                break;
+            case 'right':
+                this.stepReplay(1);
+                break;
+            case 'up':
+                this.changeReplaySpeed(1);
+                break;
+            case 'down':
+                this.changeReplaySpeed(-1);
+                break;
+            case 'select':
+                this.toggleReplayPlayback();
+                break;
+            case 'back':
+            case 'menu':
+                this.exitReplay();
+                break;
+            default:
+                return false;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Play the replay from where it is, or from the start once it has ended
+     */
+    playReplay() {
+        const replay = this.replay;
+        if (replay.player.isAtEnd()) {
+            replay.player.restart();
+        }
+        
+        replay.playing = true;
+        this.scheduleReplayStep();
+        this.renderReplay();
+    }
+
+    /**
+     * Pause the replay
+     */
+    pauseReplay() {
+        clearTimeout(this.replay.timer);
+        this.replay.timer = null;
+        this.replay.playing = false;
+        this.renderReplay();
+    }
+
+    /**
+     * Play or pause the replay
+     */
+    toggleReplayPlayback() {
+        if (!this.replay) return;
+        
+        if (this.replay.playing) {
+            this.pauseReplay();
+        } else {
+            this.playReplay();
+        }
+    }
+
+    /**
+     * Wait for the next step's turn, then play it
+     */
+    scheduleReplayStep() {
+        const replay = this.replay;
+        const speed = ReplayPlayer.SPEEDS[replay.speedIndex];
+        
+        clearTimeout(replay.timer);
+        replay.timer = setTimeout(() => {
+            replay.player.stepForward();
+            
+            if (replay.player.isAtEnd()) {
+                this.pauseReplay();
+            } else {
+                this.scheduleReplayStep();
+                this.renderReplay();
+            }
+        }, replay.player.getDelay(speed));
+    }
+
+    /**
+     * Pause and step through the replay one move at a time
+     * @param {number} direction - 1 for the next step, -1 for the one before
+     */
+    stepReplay(direction) {
+        if (!this.replay) return;
+        
+        if (this.replay.playing) {
+            this.pauseReplay();
+        }
+        
+        if (direction > 0) {
+            this.replay.player.stepForward();
+        } else {
+            this.replay.player.stepBack();
+        }
+        this.renderReplay();
+    }
+
+    /**
+     * Change the playback speed
+     * @param {number} direction - 1 for faster, -1 for slower
+     * @param {boolean} wrap - Go round from the fastest speed to the slowest (the speed button)
+     */
+    changeReplaySpeed(direction, wrap = false) {
+        if (!this.replay) return;
+        
+        const count = ReplayPlayer.SPEEDS.length;
+        const index = this.replay.speedIndex + direction;
+        this.replay.speedIndex = wrap ? (index + count) % count : Math.max(0, Math.min(count - 1, index));
+        
+        if (this.replay.playing) {
+            this.scheduleReplayStep(); // Wait for the next step at the new speed
+        }
+        this.renderReplay();
+    }
+
+    /**
+     * Show the replay's game and its progress
+     */
+    renderReplay() {
+        const replay = this.replay;
+        const player = replay.player;
+        
+        this.renderGameBoard();
+        
+        document.getElementById('replay-play-btn').textContent = replay.playing ? 'Pause' : 'Play';
+        document.getElementById('replay-speed-btn').textContent = `Speed ${ReplayPlayer.SPEEDS[replay.speedIndex]}×`;
+        document.getElementById('replay-progress').textContent =
+            `${player.getStepName()} · ${player.position}/${player.getLength()}`;
+    }
+
+    /**
+     * End the replay and go back to where it was started from
+     */
+    exitReplay() {
+        if (!this.replay) return;
+        
+        const returnTo = this.replay.returnTo;
+        this.stopReplay();
+        
+        if (returnTo === 'game-over') {
+            this.showScreen('game-screen');
+            this.stopGameTimer(); // The game has ended
+            document.getElementById('game-over-modal').classList.add('active');
+        } else {
+            this.showScreen(returnTo);
+        }
+    }
+
+    /**
+     * Stop the replay and bring back the game that was kept aside
+     */
+    stopReplay() {
+        clearTimeout(this.replay.timer);
+        this.gameState = this.replay.gameState;
+        this.replay = null;
+        
+        document.getElementById('game-screen').classList.remove('replay-mode');
+        this.setupGameTypeUI(this.gameState.variant);
+        this.updateDifficultyDisplay();
+        this.renderGameBoard();
     }
 
     /**
@@ -1533,42 +2800,184 @@ class UIManager {
     }
 
     /**
-     * Save game statistics
+     * Fill the statistics selector with "All games" and every game and difficulty played
+     * @returns {string} The selected entry: 'all' or a byGame key
      */
-    saveGameStats(gameStats) {
-        const stats = this.loadGameStats();
+    renderStatsFilter(stats) {
+        const select = document.getElementById('stats-filter');
+        const selected = select.value || 'all';
+        
+        select.innerHTML = '<option value="all">All games</option>';
+        Object.keys(stats.byGame).sort().forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = this.getStatsLabel(key);
+            select.appendChild(option);
+        });
+        
+        select.value = stats.byGame[selected] ? selected : 'all';
+        return select.value;
+    }
+
+    /**
+     * Name a game and difficulty for the statistics selector and the history, e.g. 'Spider 4-Suit'
+     * @param {string} key - byGame key, 'gameType/difficulty'
+     */
+    getStatsLabel(key) {
+        const [gameType, difficulty] = key.split('/');
+        const variant = VariantRegistry.get(gameType);
+        const preset = this.difficultyManager.getAllDifficulties()[difficulty];
+        const difficultyName = (preset && !preset.custom && variant.getDifficultyName(difficulty)) ||
+            (preset ? preset.name : 'Custom'); // The custom preset may have been deleted
         
-        stats.gamesPlayed++;
+        return `${variant.name} ${difficultyName}`;
+    }
+
+    /**
+     * Create empty statistics for all games or for one game and difficulty
+     */
+    createStatsRecord() {
+        return {
+            gamesPlayed: 0,    // Games dealt, counted when they start
+            gamesWon: 0,
+            gamesLost: 0,
+            gamesAbandoned: 0, // Unfinished games left for another one
+            currentStreak: 0,  // Wins in a row up to the last game
+            longestStreak: 0,
+            totalTime: 0,
+            averageTime: 0,
+            bestTime: 0,       // Fastest win (ms), 0 before the first win
+            fewestMoves: 0,    // Fewest moves in a win, 0 before the first win
+            bestScores: {}     // Best score by scoring scheme id
+        };
+    }
+
+    /**
+     * Add a finished game to a statistics record (it was counted as played when it started)
+     * @param {Object} record - Record from createStatsRecord
+     * @param {Object} gameStats - The game's statistics (see GameState.getGameStats)
+     */
+    addGameToStats(record, gameStats) {
         if (gameStats.gameWon) {
-            stats.gamesWon++;
+            record.gamesWon++;
+            record.currentStreak++;
+            record.longestStreak = Math.max(record.longestStreak, record.currentStreak);
             
-            if (stats.bestTime === 0 || gameStats.gameTime < stats.bestTime) {
-                stats.bestTime = gameStats.gameTime;
+            if (record.bestTime === 0 || gameStats.gameTime < record.bestTime) {
+                record.bestTime = gameStats.gameTime;
+            }
+            if (record.fewestMoves === 0 || gameStats.moves < record.fewestMoves) {
+                record.fewestMoves = gameStats.moves;
             }
+        } else {
+            record.gamesLost++;
+            record.currentStreak = 0;
+        }
+        
+        const bestScore = record.bestScores[gameStats.scoring];
+        if (bestScore === undefined || gameStats.score > bestScore) {
+            record.bestScores[gameStats.scoring] = gameStats.score;
+        }
+        
+        // Update average time of the games won or lost
+        record.totalTime += gameStats.gameTime;
+        record.averageTime = record.totalTime / (record.gamesWon + record.gamesLost);
+    }
+
+    /**
+     * Save game statistics, for all games and for the game's type and difficulty
+     */
+    saveGameStats(gameStats) {
+        this.updateGameStats(gameStats.gameType, gameStats.difficulty, record => this.addGameToStats(record, gameStats));
+    }
+
+    /**
+     * Change the saved statistics of all games and of one game and difficulty
+     * @param {Function} update - Called with each of the two records
+     */
+    updateGameStats(gameType, difficulty, update) {
+        const stats = this.loadGameStats();
+        const key = `${gameType}/${difficulty}`;
+        
+        if (!stats.byGame[key]) {
+            stats.byGame[key] = this.createStatsRecord();
         }
         
-        // Update average time
-        stats.totalTime += gameStats.gameTime;
-        stats.averageTime = stats.totalTime / stats.gamesPlayed;
+        update(stats);
+        update(stats.byGame[key]);
         
         localStorage.setItem('solitaire-stats', JSON.stringify(stats));
     }
 
+    /**
+     * Count a newly dealt game as played
+     */
+    recordGameStart(gameState = this.gameState) {
+        this.updateGameStats(gameState.gameType, gameState.difficulty, record => record.gamesPlayed++);
+    }
+
+    /**
+     * Leave a game for another one: an unfinished game counts as abandoned, which
+     * ends the win streak, and a Vegas-cumulative one forfeits its buy-in
+     * @param {GameState} gameState - Game being left (a saved game that wasn't resumed, or the current one)
+     */
+    abandonGame(gameState = this.gameState) {
+        this.settleVegasBankroll(gameState);
+        
+        if (!gameState.startTime || gameState.gameWon || gameState.gameLost || gameState.statsRecorded) return;
+        
+        this.updateGameStats(gameState.gameType, gameState.difficulty, record => {
+            record.gamesAbandoned++;
+            record.currentStreak = 0;
+        });
+        GameHistory.record(gameState, 'abandoned');
+        gameState.statsRecorded = true;
+    }
+
+    /**
+     * Get the Vegas bankroll including the game in progress
+     */
+    getVegasBankroll() {
+        const bankroll = this.loadGameStats().vegasBankroll;
+        return this.gameState.bankrollSettled ? bankroll : bankroll + this.gameState.getScore();
+    }
+
+    /**
+     * Add a Vegas-cumulative game's winnings (or losses) to the bankroll
+     * Runs when the game ends or is abandoned for a new one; each game is settled once
+     */
+    settleVegasBankroll(gameState = this.gameState) {
+        if (!gameState.getScoringScheme().cumulative || gameState.bankrollSettled) return;
+        
+        const stats = this.loadGameStats();
+        stats.vegasBankroll += gameState.getScore();
+        localStorage.setItem('solitaire-stats', JSON.stringify(stats));
+        
+        gameState.bankrollSettled = true;
+    }
+
     /**
      * Load game statistics
      */
     loadGameStats() {
         const defaultStats = {
-            gamesPlayed: 0,
-            gamesWon: 0,
-            totalTime: 0,
-            averageTime: 0,
-            bestTime: 0
+            ...this.createStatsRecord(),
+            vegasBankroll: 0, // Vegas cumulative winnings and losses, in dollars
+            byGame: {}        // Statistics by 'gameType/difficulty'
         };
         
         try {
             const saved = localStorage.getItem('solitaire-stats');
-            return saved ? { ...defaultStats, ...JSON.parse(saved) } : defaultStats;
+            if (!saved) return defaultStats;
+            
+            const parsed = JSON.parse(saved);
+            if (parsed.gamesLost === undefined) {
+                parsed.gamesLost = (parsed.gamesPlayed || 0) - (parsed.gamesWon || 0); // Saved before losses were counted
+            }
+            Object.keys(parsed.byGame || {}).forEach(key => {
+                parsed.byGame[key] = { ...this.createStatsRecord(), ...parsed.byGame[key] }; // Saved before abandoned games were counted
+            });
+            return { ...defaultStats, ...parsed };
         } catch (error) {
             return defaultStats;
         }
@@ -1581,7 +2990,8 @@ class UIManager {
         const defaultSettings = {
             autoComplete: true,
             showHints: true,
-            soundEffects: true
+            soundEffects: true,
+            scoring: 'standard' // Scoring scheme id (see ScoringRegistry)
         };
         
         try {
@@ -1592,10 +3002,12 @@ class UIManager {
             const autoCompleteEl = document.getElementById('auto-complete');
             const showHintsEl = document.getElementById('show-hints');
             const soundEffectsEl = document.getElementById('sound-effects');
+            const scoringEl = document.getElementById('scoring');
             
             if (autoCompleteEl) autoCompleteEl.checked = settings.autoComplete;
             if (showHintsEl) showHintsEl.checked = settings.showHints;
             if (soundEffectsEl) soundEffectsEl.checked = settings.soundEffects;
+            if (scoringEl) scoringEl.value = settings.scoring;
             
             return settings;
         } catch (error) {
@@ -1610,7 +3022,8 @@ class UIManager {
         const settings = {
             autoComplete: document.getElementById('auto-complete')?.checked || false,
             showHints: document.getElementById('show-hints')?.checked || false,
-            soundEffects: document.getElementById('sound-effects')?.checked || false
+            soundEffects: document.getElementById('sound-effects')?.checked || false,
+            scoring: document.getElementById('scoring')?.value || 'standard'
         };
         
         localStorage.setItem('solitaire-settings', JSON.stringify(settings));
@@ -1688,13 +3101,7 @@ class UIManager {
      * Get rank name for display
      */
     getRankName(rank) {
-        switch (parseInt(rank)) {
-            case 1: return 'Ace';
-            case 11: return 'Jack';
-            case 12: return 'Queen';
-            case 13: return 'King';
-            default: return rank;
-        }
+        return new Card(parseInt(rank), null).getRankName(true);
     }
 
     /**
@@ -1841,6 +3248,8 @@ class UIManager {
     }
 }
 
+UIManager.POSITION_CHECK_DELAY = 500; // Milliseconds on a position before it is checked for a loss or for being unwinnable
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = UIManager;
@@ -0,0 +1,200 @@
+/**
+ * Baker's Dozen solitaire rules
+ * All 52 cards are dealt face up into thirteen columns of four, with Kings moved to
+ * the bottom of their column. Columns build down regardless of suit, one card at a
+ * time, and empty columns can never be filled. There is no stock, so the whole game
+ * is visible and the solver can tell when a position can no longer be won
+ */
+class BakersDozenVariant extends SolitaireVariant {
+    constructor() {
+        super('bakersdozen', "Baker's Dozen");
+        this.lastCheck = { key: null, result: null }; // Solver result for the last position checked
+    }
+
+    /**
+     * Baker's Dozen layout: 13 columns and 4 foundations, no stock or waste
+     */
+    getLayout() {
+        return {
+            tableauColumns: 13,
+            foundations: 4,
+            stock: false,
+            waste: false,
+            freeCells: 0,
+            board: false,
+            completedSequences: false
+        };
+    }
+
+    /**
+     * No rule depends on which column a card is in
+     */
+    areColumnsInterchangeable(state) {
+        return true;
+    }
+
+    /**
+     * Deal thirteen columns of four cards (Easy deals are proven winnable by the solver)
+     */
+    deal(state, deck, difficulty) {
+        const deal = state.getRule('winnableDeals', difficulty === 'easy') ?
+            deck.createSolvableBakersDozenDeal() : deck.dealBakersDozen();
+        state.tableau = deal.tableau;
+        state.foundation = deal.foundation;
+        state.dealVerified = deal.verified || false;
+    }
+
+    /**
+     * Easy deals (and custom winnable deals) come from the Baker's Dozen solver
+     */
+    hasWinnableDeals() {
+        return true;
+    }
+
+    /**
+     * Every card is dealt face up and there is no stock
+     */
+    isOpenInformation() {
+        return true;
+    }
+
+    /**
+     * Baker's Dozen move rules: one card at a time, to a foundation or onto a
+     * column card one rank higher of any suit. Empty columns stay empty and
+     * foundation cards are never played back
+     */
+    isValidMove(state, cards, fromArea, toArea, targetCards) {
+        if (cards.length !== 1 || fromArea === 'foundation') return false;
+
+        if (toArea === 'foundation') {
+            return this.canPlaceOnFoundation(state, cards[0], targetCards);
+        } else if (toArea === 'tableau') {
+            return targetCards.length > 0 && cards[0].canPlaceOnAnySuit(targetCards[targetCards.length - 1]);
+        }
+
+        return false;
+    }
+
+    /**
+     * Game is won when all foundation piles have 13 cards
+     */
+    isWon(state) {
+        const totalFoundationCards = state.foundation.reduce((sum, pile) => sum + pile.length, 0);
+        return totalFoundationCards === 52;
+    }
+
+    /**
+     * Auto-complete is possible once every column runs downward in rank,
+     * because the lowest remaining card is then always on top of a pile
+     */
+    canAutoComplete(state) {
+        return state.tableau.every(column =>
+            column.every((card, index) => index === 0 || card.rank < column[index - 1].rank));
+    }
+
+    /**
+     * Run the solver on the current position
+     * The result is kept for the position, which may be asked about again (e.g. after an undo and redo)
+     */
+    checkWinnable(state) {
+        const key = JSON.stringify([state.tableau, state.foundation]);
+
+        if (key !== this.lastCheck.key) {
+            const result = new BakersDozenSolver({ maxNodes: 5000 }).solve(state); // Small budget: this runs on the page's main thread
+            this.lastCheck = {
+                key,
+                result: result.solved ? true : (result.exhausted ? null : false) // Running out of budget proves nothing
+            };
+        }
+
+        return this.lastCheck.result;
+    }
+
+    /**
+     * Find available Baker's Dozen moves
+     */
+    findMoves(state) {
+        const moves = [];
+
+        state.tableau.forEach((column, fromCol) => {
+            if (column.length === 0) return;
+
+            const topCard = column[column.length - 1];
+
+            // Check moves to the foundations
+            for (let foundIndex = 0; foundIndex < state.foundation.length; foundIndex++) {
+                if (this.canPlaceOnFoundation(state, topCard, state.foundation[foundIndex])) {
+                    moves.push({
+                        type: 'tableau-to-foundation',
+                        from: { area: 'tableau', index: fromCol },
+                        to: { area: 'foundation', index: foundIndex },
+                        card: topCard,
+                        priority: 10 // High priority for foundation moves
+                    });
+                    break; // One foundation target is enough
+                }
+            }
+
+            // A card already resting on a card it could be built on only shuffles between
+            // columns unless it frees the card below it
+            const cardBelow = column.length > 1 ? column[column.length - 2] : null;
+            const onParent = cardBelow !== null && topCard.canPlaceOnAnySuit(cardBelow);
+
+            // Check moves to the other columns
+            state.tableau.forEach((toColumn, toCol) => {
+                if (toCol === fromCol || toColumn.length === 0) return;
+                if (!topCard.canPlaceOnAnySuit(toColumn[toColumn.length - 1])) return;
+
+                let priority = onParent ? 1 : 3; // Base priority for tableau moves
+
+                // Higher priority if it frees a card for the foundations
+                if (cardBelow && state.canMoveToAnyFoundation(cardBelow)) {
+                    priority += 4;
+                }
+
+                moves.push({
+                    type: 'tableau-to-tableau',
+                    from: { area: 'tableau', index: fromCol },
+                    to: { area: 'tableau', index: toCol },
+                    card: topCard,
+                    priority: priority
+                });
+            });
+        });
+
+        return moves;
+    }
+
+    /**
+     * Baker's Dozen analysis: foundation progress and Aces buried under other cards
+     */
+    analyze(state, analysis) {
+        state.tableau.forEach(column => {
+            for (let i = 0; i < column.length - 1; i++) {
+                if (column[i].rank === 1) {
+                    analysis.buriedAces++;
+                }
+            }
+        });
+
+        const totalFoundationCards = state.foundation.reduce((sum, pile) => sum + pile.length, 0);
+        analysis.foundationProgress = (totalFoundationCards / 52) * 100;
+
+        if (analysis.buriedAces > 0) {
+            analysis.suggestions.push("Dig out the buried Aces - every card above them needs a home first");
+        }
+
+        if (analysis.emptyColumns > 0) {
+            analysis.suggestions.push("Empty columns can't be refilled, so plan where each card will go");
+        }
+
+        return analysis;
+    }
+}
+
+VariantRegistry.register(new BakersDozenVariant());
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BakersDozenVariant;
+}
@@ -0,0 +1,298 @@
+/**
+ * Canfield solitaire rules
+ * A 13-card reserve, four tableau piles and four foundations. The first foundation
+ * card is dealt face up and sets the base rank every foundation starts from; suits
+ * then build up from it, wrapping from King to Ace. Tableau piles build down in
+ * alternating colours (Ace wraps to King), empty piles are refilled from the
+ * reserve, and the stock is drawn three at a time with unlimited passes
+ */
+class CanfieldVariant extends KlondikeVariant {
+    constructor() {
+        super('canfield', 'Canfield');
+    }
+
+    /**
+     * Canfield layout: 4 tableau piles, 4 foundations, stock, waste and reserve
+     */
+    getLayout() {
+        return {
+            tableauColumns: 4,
+            foundations: 4,
+            stock: true,
+            waste: true,
+            freeCells: 0,
+            board: false,
+            reserve: true,
+            completedSequences: false
+        };
+    }
+
+    /**
+     * Create empty piles plus the reserve
+     */
+    createLayout(state) {
+        super.createLayout(state);
+        state.reserve = [];             // Reserve pile, only the top card is playable
+        state.foundationBaseRank = 1;   // Rank every foundation starts with
+    }
+
+    /**
+     * Deal a Canfield game; the first foundation card sets the base rank
+     */
+    deal(state, deck, difficulty) {
+        state.drawCount = state.getRule('drawCount', 3);
+
+        const deal = deck.dealCanfield();
+        state.tableau = deal.tableau;
+        state.foundation = deal.foundation;
+        state.reserve = deal.reserve;
+        state.stock = deal.stock;
+        state.waste = deal.waste;
+        state.foundationBaseRank = deal.foundation[0][0].rank;
+    }
+
+    /**
+     * Klondike's Vegas scoring doesn't apply to Canfield
+     */
+    getVegasRules(state) {
+        return null;
+    }
+
+    /**
+     * Show the foundation base rank and the cards left in the reserve
+     */
+    getStatusText(state) {
+        const baseName = new Card(state.foundationBaseRank, null).getRankName(true);
+        return `Base: ${baseName} · Reserve: ${state.reserve.length}`;
+    }
+
+    /**
+     * The reserve is addressed as area 'reserve'
+     */
+    getCardArray(state, area, index) {
+        return area === 'reserve' ? state.reserve : null;
+    }
+
+    /**
+     * Foundations start at the deal's base rank
+     */
+    canPlaceOnFoundation(state, card, foundationCards) {
+        return card.canPlaceOnFoundation(foundationCards, state.foundationBaseRank);
+    }
+
+    /**
+     * Check if a card can be built on a tableau card: alternating colours,
+     * one rank lower, with a King allowed on an Ace. Any card fills an empty pile
+     */
+    canBuildOn(card, targetCard) {
+        if (!targetCard) return true;
+
+        return card.isRed() !== targetCard.isRed() &&
+               card.rank % 13 === targetCard.rank - 1; // King (13) wraps below Ace (1)
+    }
+
+    /**
+     * Check if cards form a tableau run (each card built on the one before it)
+     */
+    isCanfieldRun(cards) {
+        return cards.every((card, index) => index === 0 || this.canBuildOn(card, cards[index - 1]));
+    }
+
+    /**
+     * Canfield move rules: single cards to the foundations from the base rank up,
+     * runs to the tableau, and nothing onto the reserve or back off a foundation
+     */
+    isValidMove(state, cards, fromArea, toArea, targetCards) {
+        if (cards.length === 0 || fromArea === 'foundation') return false;
+
+        const movingCard = cards[0]; // The bottom card being moved
+
+        if (toArea === 'foundation') {
+            return cards.length === 1 && this.canPlaceOnFoundation(state, movingCard, targetCards);
+        } else if (toArea === 'tableau') {
+            const targetCard = targetCards.length > 0 ? targetCards[targetCards.length - 1] : null;
+            return this.isCanfieldRun(cards) && this.canBuildOn(movingCard, targetCard);
+        }
+
+        return false;
+    }
+
+    /**
+     * Refill empty tableau piles from the reserve and turn up the next reserve card
+     */
+    afterMove(state, move) {
+        state.tableau.forEach(column => {
+            if (column.length === 0 && state.reserve.length > 0) {
+                const card = state.reserve.pop();
+                card.faceUp = true;
+                column.push(card);
+            }
+        });
+
+        if (state.reserve.length > 0) {
+            state.reserve[state.reserve.length - 1].faceUp = true;
+        }
+    }
+
+    /**
+     * Every card played out of the reserve is progress too
+     */
+    getProgress(state) {
+        return super.getProgress(state) - state.reserve.length;
+    }
+
+    /**
+     * Auto-complete is possible once the reserve, stock and waste are empty and every
+     * pile runs downward in foundation order, so the next card needed is always on top
+     */
+    canAutoComplete(state) {
+        if (state.reserve.length > 0 || state.stock.length > 0 || state.waste.length > 0) return false;
+
+        const order = card => (card.rank - state.foundationBaseRank + 13) % 13; // Position after the base rank
+        return state.tableau.every(column =>
+            column.every((card, index) => index === 0 || order(card) < order(column[index - 1])));
+    }
+
+    /**
+     * Auto-complete plays from the tableau, the waste and the reserve
+     */
+    getAutoCompleteSources(state) {
+        return [...super.getAutoCompleteSources(state), { area: 'reserve', index: 0 }];
+    }
+
+    /**
+     * Find available Canfield moves
+     */
+    findMoves(state) {
+        const moves = [];
+
+        // Top cards that can be played: tableau piles, waste and reserve
+        const sources = state.tableau.map((column, index) => ({ area: 'tableau', index, cards: column }));
+        sources.push({ area: 'waste', index: 0, cards: state.waste });
+        sources.push({ area: 'reserve', index: 0, cards: state.reserve });
+
+        // Check moves to the foundations
+        sources.forEach(source => {
+            if (source.cards.length === 0) return;
+
+            const topCard = source.cards[source.cards.length - 1];
+            for (let foundIndex = 0; foundIndex < state.foundation.length; foundIndex++) {
+                if (this.canPlaceOnFoundation(state, topCard, state.foundation[foundIndex])) {
+                    moves.push({
+                        type: `${source.area}-to-foundation`,
+                        from: { area: source.area, index: source.index },
+                        to: { area: 'foundation', index: foundIndex },
+                        card: topCard,
+                        priority: source.area === 'waste' ? 9 : 10 // High priority for foundation moves
+                    });
+                    break; // One foundation target is enough
+                }
+            }
+        });
+
+        // Check moves from the reserve and the waste to the tableau
+        sources.filter(source => source.area !== 'tableau' && source.cards.length > 0).forEach(source => {
+            const topCard = source.cards[source.cards.length - 1];
+
+            state.tableau.forEach((column, col) => {
+                const targetCard = column.length > 0 ? column[column.length - 1] : null;
+                if (!this.canBuildOn(topCard, targetCard)) return;
+
+                moves.push({
+                    type: `${source.area}-to-tableau`,
+                    from: { area: source.area, index: 0 },
+                    to: { area: 'tableau', index: col },
+                    card: topCard,
+                    priority: source.area === 'reserve' ? 7 : 5 // Emptying the reserve is the key to Canfield
+                });
+            });
+        });
+
+        // Check moves between tableau piles
+        for (let fromCol = 0; fromCol < state.tableau.length; fromCol++) {
+            const fromColumn = state.tableau[fromCol];
+
+            for (let startIndex = 0; startIndex < fromColumn.length; startIndex++) {
+                if (!this.isCanfieldRun(fromColumn.slice(startIndex))) continue;
+
+                // Splitting a run just shuffles it between piles, unless it uncovers a card
+                // that can go to a foundation
+                const movingCard = fromColumn[startIndex];
+                const cardBelow = startIndex > 0 ? fromColumn[startIndex - 1] : null;
+                const splitsRun = cardBelow !== null && this.canBuildOn(movingCard, cardBelow);
+                if (splitsRun && !state.canMoveToAnyFoundation(cardBelow)) continue;
+
+                for (let toCol = 0; toCol < state.tableau.length; toCol++) {
+                    if (toCol === fromCol) continue;
+
+                    const toColumn = state.tableau[toCol];
+                    const targetCard = toColumn.length > 0 ? toColumn[toColumn.length - 1] : null;
+
+                    // Moving a whole pile into an empty one changes nothing
+                    if (targetCard === null && startIndex === 0) continue;
+                    if (!this.canBuildOn(movingCard, targetCard)) continue;
+
+                    moves.push({
+                        type: 'tableau-to-tableau',
+                        from: { area: 'tableau', index: fromCol },
+                        to: { area: 'tableau', index: toCol },
+                        card: movingCard,
+                        cardCount: fromColumn.length - startIndex,
+                        priority: (startIndex === 0 || splitsRun) ? 6 : 3 // Emptying a pile brings in a reserve card
+                    });
+                }
+            }
+        }
+
+        // Check if stock can be drawn
+        if (state.stock.length > 0 || (state.waste.length > 0 && this.canRecycleStock(state))) {
+            moves.push({
+                type: 'draw-stock',
+                from: { area: 'stock', index: 0 },
+                to: { area: 'waste', index: 0 },
+                priority: 1 // Low priority, only suggest if no other moves
+            });
+        }
+
+        return moves;
+    }
+
+    /**
+     * Canfield analysis: foundation progress and reserve size
+     */
+    analyze(state, analysis) {
+        const totalFoundationCards = state.foundation.reduce((sum, pile) => sum + pile.length, 0);
+        analysis.foundationProgress = (totalFoundationCards / 52) * 100;
+
+        if (state.reserve.length > 0) {
+            analysis.suggestions.push(`Play the ${state.reserve.length} reserve cards first - empty piles refill from the reserve`);
+        }
+
+        return analysis;
+    }
+
+    /**
+     * Save the reserve and the foundation base rank
+     */
+    serialize(state) {
+        return {
+            reserve: state.reserve.map(card => card.toJSON()),
+            foundationBaseRank: state.foundationBaseRank
+        };
+    }
+
+    /**
+     * Restore the reserve and the foundation base rank
+     */
+    deserialize(state, data) {
+        state.reserve = (data.reserve || []).map(cardData => Card.fromJSON(cardData));
+        state.foundationBaseRank = data.foundationBaseRank || 1;
+    }
+}
+
+VariantRegistry.register(new CanfieldVariant());
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CanfieldVariant;
+}
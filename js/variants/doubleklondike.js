@@ -0,0 +1,66 @@
+/**
+ * Double Klondike solitaire rules
+ * Klondike played with two decks: nine columns of one to nine cards and eight
+ * foundations, two for each suit. Easy draws one card at a time, Medium three,
+ * and Hard draws three with the low cards buried
+ */
+class DoubleKlondikeVariant extends KlondikeVariant {
+    constructor() {
+        super('doubleklondike', 'Double Klondike');
+    }
+
+    /**
+     * Double Klondike layout: 9 columns, 8 foundations, stock and waste
+     */
+    getLayout() {
+        return {
+            tableauColumns: 9,
+            foundations: 8,
+            stock: true,
+            waste: true,
+            freeCells: 0,
+            board: false,
+            completedSequences: false
+        };
+    }
+
+    /**
+     * Deal nine Klondike columns from two decks (45 cards, 59 left in the stock)
+     */
+    deal(state, deck, difficulty) {
+        state.drawCount = state.getRule('drawCount', difficulty === 'easy' ? 1 : 3);
+
+        deck.createSpiderDeck(4); // Two full decks
+        const deal = deck.deal(9, 8);
+
+        if (difficulty === 'hard') {
+            deck.buryImportantCards(deal.tableau, deal.stock);
+        }
+
+        state.tableau = deal.tableau;
+        state.foundation = deal.foundation;
+        state.stock = deal.stock;
+        state.waste = deal.waste;
+    }
+
+    /**
+     * The Klondike solver only handles a single deck, so two-deck deals are never proven winnable
+     */
+    hasWinnableDeals() {
+        return false;
+    }
+
+    /**
+     * Vegas scoring is only defined for the single-deck game
+     */
+    getVegasRules(state) {
+        return null;
+    }
+}
+
+VariantRegistry.register(new DoubleKlondikeVariant());
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DoubleKlondikeVariant;
+}
@@ -0,0 +1,215 @@
+/**
+ * Forty Thieves solitaire rules
+ * Two decks: ten columns of four face-up cards and eight foundations built up by
+ * suit from Ace to King. Columns build down in suit, only one card moves at a time,
+ * any card can fill an empty column, and the stock is turned one card at a time
+ * with a single pass
+ */
+class FortyThievesVariant extends SolitaireVariant {
+    constructor() {
+        super('fortythieves', 'Forty Thieves');
+    }
+
+    /**
+     * Forty Thieves layout: 10 columns, 8 foundations, stock and waste
+     */
+    getLayout() {
+        return {
+            tableauColumns: 10,
+            foundations: 8,
+            stock: true,
+            waste: true,
+            freeCells: 0,
+            board: false,
+            completedSequences: false
+        };
+    }
+
+    /**
+     * No rule depends on which column a card is in
+     */
+    areColumnsInterchangeable(state) {
+        return true;
+    }
+
+    /**
+     * Deal ten columns of four cards from two decks
+     */
+    deal(state, deck, difficulty) {
+        state.drawCount = 1;
+
+        const deal = deck.dealFortyThieves();
+        state.tableau = deal.tableau;
+        state.foundation = deal.foundation;
+        state.stock = deal.stock;
+        state.waste = deal.waste;
+    }
+
+    /**
+     * Check if a card can be built on a tableau card: same suit, one rank lower.
+     * Any card fills an empty column
+     */
+    canBuildOn(card, targetCard) {
+        return !targetCard || (card.suit === targetCard.suit && card.rank === targetCard.rank - 1);
+    }
+
+    /**
+     * Forty Thieves move rules: one card at a time, to a foundation or onto a column;
+     * a card played to a foundation stays there
+     */
+    isValidMove(state, cards, fromArea, toArea, targetCards) {
+        if (cards.length !== 1 || fromArea === 'foundation') return false;
+
+        if (toArea === 'foundation') {
+            return this.canPlaceOnFoundation(state, cards[0], targetCards);
+        } else if (toArea === 'tableau') {
+            const targetCard = targetCards.length > 0 ? targetCards[targetCards.length - 1] : null;
+            return this.canBuildOn(cards[0], targetCard);
+        }
+
+        return false;
+    }
+
+    /**
+     * Turn the next stock card onto the waste (there is only one pass)
+     */
+    drawFromStock(state) {
+        if (state.stock.length === 0) {
+            return false;
+        }
+
+        const card = state.stock.pop();
+        card.faceUp = true;
+        state.waste.push(card);
+
+        state.recordMove({
+            type: 'draw-stock',
+            count: 1
+        });
+
+        return true;
+    }
+
+    /**
+     * Game is won when all eight foundation piles have 13 cards
+     */
+    isWon(state) {
+        const totalFoundationCards = state.foundation.reduce((sum, pile) => sum + pile.length, 0);
+        return totalFoundationCards === 104;
+    }
+
+    /**
+     * Auto-complete is possible once the stock and waste are empty and every column
+     * runs downward in rank, because the lowest remaining card is then always on top of a pile
+     */
+    canAutoComplete(state) {
+        if (state.stock.length > 0 || state.waste.length > 0) return false;
+
+        return state.tableau.every(column =>
+            column.every((card, index) => index === 0 || card.rank <= column[index - 1].rank)); // Two decks: equal ranks can be stacked
+    }
+
+    /**
+     * Find available Forty Thieves moves
+     */
+    findMoves(state) {
+        const moves = [];
+
+        // Top cards that can be played: every column and the waste
+        const sources = state.tableau.map((column, index) => ({ area: 'tableau', index, cards: column }));
+        sources.push({ area: 'waste', index: 0, cards: state.waste });
+
+        sources.forEach(source => {
+            if (source.cards.length === 0) return;
+
+            const topCard = source.cards[source.cards.length - 1];
+
+            // Check moves to the foundations
+            for (let foundIndex = 0; foundIndex < state.foundation.length; foundIndex++) {
+                if (this.canPlaceOnFoundation(state, topCard, state.foundation[foundIndex])) {
+                    moves.push({
+                        type: `${source.area}-to-foundation`,
+                        from: { area: source.area, index: source.index },
+                        to: { area: 'foundation', index: foundIndex },
+                        card: topCard,
+                        priority: source.area === 'waste' ? 9 : 10 // High priority for foundation moves
+                    });
+                    break; // One foundation target is enough
+                }
+            }
+
+            // Skip column cards already resting on a card they could be built on -
+            // moving them elsewhere only shuffles them between columns
+            const cardBelow = source.area === 'tableau' && source.cards.length > 1 ? source.cards[source.cards.length - 2] : null;
+            if (cardBelow && this.canBuildOn(topCard, cardBelow)) return;
+
+            // Check moves to the other columns
+            state.tableau.forEach((column, col) => {
+                if (source.area === 'tableau' && col === source.index) return;
+
+                const targetCard = column.length > 0 ? column[column.length - 1] : null;
+
+                // Moving a column's only card into an empty column changes nothing
+                if (targetCard === null && source.area === 'tableau' && source.cards.length === 1) return;
+                if (!this.canBuildOn(topCard, targetCard)) return;
+
+                let priority = source.area === 'waste' ? 5 : 3; // Base priority for column moves
+
+                // Higher priority if it empties a column
+                if (source.area === 'tableau' && source.cards.length === 1) {
+                    priority += 2;
+                }
+
+                // Empty columns are scarce - filling one is a last resort
+                if (targetCard === null) {
+                    priority = 2;
+                }
+
+                moves.push({
+                    type: `${source.area}-to-tableau`,
+                    from: { area: source.area, index: source.index },
+                    to: { area: 'tableau', index: col },
+                    card: topCard,
+                    priority: priority
+                });
+            });
+        });
+
+        // Check if stock can be drawn
+        if (state.stock.length > 0) {
+            moves.push({
+                type: 'draw-stock',
+                from: { area: 'stock', index: 0 },
+                to: { area: 'waste', index: 0 },
+                priority: 1 // Low priority, only suggest if no other moves
+            });
+        }
+
+        return moves;
+    }
+
+    /**
+     * Forty Thieves analysis: foundation progress and empty columns
+     */
+    analyze(state, analysis) {
+        const totalFoundationCards = state.foundation.reduce((sum, pile) => sum + pile.length, 0);
+        analysis.foundationProgress = (totalFoundationCards / 104) * 100;
+
+        if (analysis.emptyColumns > 0) {
+            analysis.suggestions.push("Save empty columns for cards that unblock a suit");
+        }
+
+        if (state.stock.length === 0 && state.waste.length > 0) {
+            analysis.suggestions.push("The stock is used up - only the waste card is left to play");
+        }
+
+        return analysis;
+    }
+}
+
+VariantRegistry.register(new FortyThievesVariant());
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FortyThievesVariant;
+}
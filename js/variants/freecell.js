@@ -0,0 +1,314 @@
+/**
+ * FreeCell solitaire rules
+ * All 52 cards are dealt face up into eight columns. Four free cells each hold one
+ * card, tableau columns build down in alternating colours, and any card can fill an
+ * empty column. Deal numbers follow the classic Microsoft FreeCell deals 1-32000
+ */
+class FreeCellVariant extends SolitaireVariant {
+    constructor() {
+        super('freecell', 'FreeCell');
+    }
+
+    /**
+     * FreeCell layout: 8 columns, 4 foundations, 4 free cells and no stock
+     */
+    getLayout() {
+        return {
+            tableauColumns: 8,
+            foundations: 4,
+            stock: false,
+            waste: false,
+            freeCells: 4,
+            completedSequences: false
+        };
+    }
+
+    /**
+     * No rule depends on which column a card is in
+     */
+    areColumnsInterchangeable(state) {
+        return true;
+    }
+
+    /**
+     * Microsoft FreeCell numbered its deals 1-32000
+     */
+    getMaxSeed() {
+        return 32000;
+    }
+
+    /**
+     * Pick a random deal, skipping #11982 (the only unwinnable deal in 1-32000)
+     */
+    generateSeed() {
+        let seed;
+        do {
+            seed = super.generateSeed();
+        } while (seed === FreeCellVariant.UNWINNABLE_DEAL);
+        return seed;
+    }
+
+    /**
+     * Create empty piles plus the free cells
+     */
+    createLayout(state) {
+        super.createLayout(state);
+        state.freeCells = Array.from({ length: this.getLayout().freeCells }, () => []); // Each cell holds at most one card
+    }
+
+    /**
+     * Deal the Microsoft FreeCell layout for the game's deal number
+     */
+    deal(state, deck, difficulty) {
+        const deal = deck.dealFreeCell(state.seed);
+        state.tableau = deal.tableau;
+        state.foundation = deal.foundation;
+
+        // Every Microsoft deal except #11982 is known to be winnable
+        state.dealVerified = state.seed !== FreeCellVariant.UNWINNABLE_DEAL;
+    }
+
+    /**
+     * Every card is dealt face up and there is no stock
+     */
+    isOpenInformation() {
+        return true;
+    }
+
+    /**
+     * Free cells are addressed as area 'freecell' with the cell index
+     */
+    getCardArray(state, area, index) {
+        return area === 'freecell' ? state.freeCells[index] : null;
+    }
+
+    /**
+     * Get the largest run that can be moved at once (a "supermove")
+     * Each empty free cell adds one card and each empty column doubles the total
+     * @param {boolean} toEmptyColumn - Whether the run is moving into an empty column
+     */
+    getMaxMovableCards(state, toEmptyColumn = false) {
+        const emptyCells = state.freeCells.filter(cell => cell.length === 0).length;
+        let emptyColumns = state.tableau.filter(column => column.length === 0).length;
+        if (toEmptyColumn) {
+            emptyColumns--; // The target column can't also be used as temporary space
+        }
+        return (emptyCells + 1) * Math.pow(2, Math.max(0, emptyColumns));
+    }
+
+    /**
+     * FreeCell move rules: single cards to foundations and free cells,
+     * alternating-colour runs on the tableau limited by the supermove size.
+     * As in Microsoft FreeCell, cards on the foundations stay there
+     */
+    isValidMove(state, cards, fromArea, toArea, targetCards) {
+        if (cards.length === 0 || fromArea === 'foundation') return false;
+
+        const movingCard = cards[0]; // The bottom card being moved
+
+        switch (toArea) {
+            case 'foundation':
+                return cards.length === 1 && movingCard.canPlaceOnFoundation(targetCards);
+            case 'freecell':
+                return cards.length === 1 && targetCards.length === 0;
+            case 'tableau': {
+                const targetCard = targetCards.length > 0 ? targetCards[targetCards.length - 1] : null;
+                if (!this.isAlternatingRun(cards)) return false;
+                if (cards.length > this.getMaxMovableCards(state, targetCard === null)) return false;
+
+                // Any card can fill an empty column
+                return targetCard === null || movingCard.canPlaceOnTableau(targetCard);
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Game is won when all foundation piles have 13 cards
+     */
+    isWon(state) {
+        const totalFoundationCards = state.foundation.reduce((sum, pile) => sum + pile.length, 0);
+        return totalFoundationCards === 52;
+    }
+
+    /**
+     * Auto-complete is possible once every column runs downward in rank,
+     * because the lowest remaining card is then always on top of a pile
+     */
+    canAutoComplete(state) {
+        return state.tableau.every(column =>
+            column.every((card, index) => index === 0 || card.rank < column[index - 1].rank));
+    }
+
+    /**
+     * Auto-complete plays from the tableau and the free cells
+     */
+    getAutoCompleteSources(state) {
+        return [
+            ...state.tableau.map((column, index) => ({ area: 'tableau', index })),
+            ...state.freeCells.map((cell, index) => ({ area: 'freecell', index }))
+        ];
+    }
+
+    /**
+     * Find available FreeCell moves
+     */
+    findMoves(state) {
+        const moves = [];
+        const emptyCell = state.freeCells.findIndex(cell => cell.length === 0);
+
+        // Check moves from tableau and free cells to foundation
+        const addFoundationMoves = (area, index, card, type, priority) => {
+            for (let foundIndex = 0; foundIndex < state.foundation.length; foundIndex++) {
+                if (card.canPlaceOnFoundation(state.foundation[foundIndex])) {
+                    moves.push({
+                        type,
+                        from: { area, index },
+                        to: { area: 'foundation', index: foundIndex },
+                        card,
+                        priority
+                    });
+                    return; // One foundation target is enough
+                }
+            }
+        };
+
+        state.tableau.forEach((column, col) => {
+            if (column.length > 0) {
+                addFoundationMoves('tableau', col, column[column.length - 1], 'tableau-to-foundation', 10);
+            }
+        });
+
+        state.freeCells.forEach((cell, index) => {
+            if (cell.length > 0) {
+                addFoundationMoves('freecell', index, cell[0], 'freecell-to-foundation', 9);
+            }
+        });
+
+        // Check moves from free cells back to the tableau
+        state.freeCells.forEach((cell, index) => {
+            if (cell.length === 0) return;
+
+            const card = cell[0];
+            for (let col = 0; col < state.tableau.length; col++) {
+                const column = state.tableau[col];
+                const targetCard = column.length > 0 ? column[column.length - 1] : null;
+
+                if (targetCard === null || card.canPlaceOnTableau(targetCard)) {
+                    moves.push({
+                        type: 'freecell-to-tableau',
+                        from: { area: 'freecell', index },
+                        to: { area: 'tableau', index: col },
+                        card,
+                        priority: targetCard ? 6 : 2 // Freeing a cell is good, filling a column less so
+                    });
+                }
+            }
+        });
+
+        // Check moves between tableau columns
+        for (let fromCol = 0; fromCol < state.tableau.length; fromCol++) {
+            const fromColumn = state.tableau[fromCol];
+
+            for (let startIndex = 0; startIndex < fromColumn.length; startIndex++) {
+                const run = fromColumn.slice(startIndex);
+                if (!this.isAlternatingRun(run)) continue;
+
+                const movingCard = fromColumn[startIndex];
+                for (let toCol = 0; toCol < state.tableau.length; toCol++) {
+                    if (toCol === fromCol) continue;
+
+                    const toColumn = state.tableau[toCol];
+                    const targetCard = toColumn.length > 0 ? toColumn[toColumn.length - 1] : null;
+
+                    // Moving a whole column into an empty one changes nothing
+                    if (targetCard === null && startIndex === 0) continue;
+                    if (run.length > this.getMaxMovableCards(state, targetCard === null)) continue;
+
+                    if (targetCard === null || movingCard.canPlaceOnTableau(targetCard)) {
+                        let priority = targetCard ? 4 : 2; // Prefer building on cards over filling columns
+
+                        // Higher priority if it empties a column
+                        if (startIndex === 0) {
+                            priority += 2;
+                        }
+
+                        moves.push({
+                            type: 'tableau-to-tableau',
+                            from: { area: 'tableau', index: fromCol },
+                            to: { area: 'tableau', index: toCol },
+                            card: movingCard,
+                            cardCount: run.length,
+                            priority: priority
+                        });
+                    }
+                }
+            }
+        }
+
+        // Parking a card in a free cell is always possible while one is empty
+        if (emptyCell !== -1) {
+            state.tableau.forEach((column, col) => {
+                if (column.length > 0) {
+                    moves.push({
+                        type: 'tableau-to-freecell',
+                        from: { area: 'tableau', index: col },
+                        to: { area: 'freecell', index: emptyCell },
+                        card: column[column.length - 1],
+                        priority: 1 // Low priority, only suggest if no other moves
+                    });
+                }
+            });
+        }
+
+        return moves;
+    }
+
+    /**
+     * FreeCell analysis: foundation progress and free cell usage
+     */
+    analyze(state, analysis) {
+        const totalFoundationCards = state.foundation.reduce((sum, pile) => sum + pile.length, 0);
+        analysis.foundationProgress = (totalFoundationCards / 52) * 100;
+
+        const emptyCells = state.freeCells.filter(cell => cell.length === 0).length;
+
+        if (emptyCells === 0) {
+            analysis.suggestions.push("All free cells are full - play cards out of them before parking more");
+        }
+
+        if (analysis.emptyColumns > 0) {
+            analysis.suggestions.push("Empty columns double the number of cards you can move at once");
+        }
+
+        return analysis;
+    }
+
+    /**
+     * Save the free cells
+     */
+    serialize(state) {
+        return {
+            freeCells: state.freeCells.map(cell => cell.map(card => card.toJSON()))
+        };
+    }
+
+    /**
+     * Restore the free cells
+     */
+    deserialize(state, data) {
+        state.freeCells = data.freeCells ?
+            data.freeCells.map(cell => cell.map(cardData => Card.fromJSON(cardData))) :
+            Array.from({ length: this.getLayout().freeCells }, () => []);
+    }
+}
+
+FreeCellVariant.UNWINNABLE_DEAL = 11982; // The only Microsoft deal in 1-32000 with no solution
+
+VariantRegistry.register(new FreeCellVariant());
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FreeCellVariant;
+}
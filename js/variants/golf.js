@@ -0,0 +1,200 @@
+/**
+ * Golf solitaire rules
+ * Seven columns of five face-up cards. The top card of any column can be played
+ * onto the waste if it is one rank above or below the waste card, and the stock
+ * turns one card at a time with a single pass. Short games make it a quick-play
+ * mode: the game is won when every column is cleared and lost once the stock is
+ * empty with nothing left to play
+ */
+class GolfVariant extends SolitaireVariant {
+    constructor() {
+        super('golf', 'Golf');
+    }
+
+    /**
+     * Golf layout: 7 columns with stock and waste, no foundations
+     */
+    getLayout() {
+        return {
+            tableauColumns: 7,
+            foundations: 0,
+            stock: true,
+            waste: true,
+            freeCells: 0,
+            board: false,
+            completedSequences: false
+        };
+    }
+
+    /**
+     * No rule depends on which column a card is in
+     */
+    areColumnsInterchangeable(state) {
+        return true;
+    }
+
+    /**
+     * Deal seven columns of five cards and turn the first waste card
+     */
+    deal(state, deck, difficulty) {
+        state.drawCount = 1;
+
+        const deal = deck.dealGolf();
+        state.tableau = deal.tableau;
+        state.foundation = deal.foundation;
+        state.stock = deal.stock;
+        state.waste = deal.waste;
+    }
+
+    /**
+     * Show how many cards are left in the columns (the classic Golf score)
+     */
+    getStatusText(state) {
+        return `Cards left: ${this.countTableauCards(state)}`;
+    }
+
+    /**
+     * Count the cards still in the columns
+     */
+    countTableauCards(state) {
+        return state.tableau.reduce((sum, column) => sum + column.length, 0);
+    }
+
+    /**
+     * Check if a card can be played on the waste card
+     * Easy wraps King to Ace, Medium stops at the King and Hard allows nothing on a King
+     */
+    canPlayOnWaste(card, wasteCard, difficulty) {
+        if (difficulty === 'hard' && wasteCard.rank === 13) return false; // A King ends the run
+
+        const difference = Math.abs(card.rank - wasteCard.rank);
+        return difference === 1 || (difficulty === 'easy' && difference === 12); // 12 = King next to Ace
+    }
+
+    /**
+     * Golf move rules: the top card of a column goes to the waste
+     */
+    isValidMove(state, cards, fromArea, toArea, targetCards, fromIndex, toIndex) {
+        if (cards.length !== 1 || fromArea !== 'tableau' || toArea !== 'waste') return false;
+        if (targetCards.length === 0) return false;
+
+        return this.canPlayOnWaste(cards[0], targetCards[targetCards.length - 1], state.difficulty);
+    }
+
+    /**
+     * Column cards play straight to the waste
+     */
+    getDirectMove(state, fromArea, fromIndex) {
+        return fromArea === 'tableau' ? { area: 'waste', index: 0 } : null;
+    }
+
+    /**
+     * Turn the next stock card onto the waste (there is only one pass)
+     */
+    drawFromStock(state) {
+        if (state.stock.length === 0) {
+            return false;
+        }
+
+        const card = state.stock.pop();
+        card.faceUp = true;
+        state.waste.push(card);
+
+        state.recordMove({
+            type: 'draw-stock',
+            count: 1
+        });
+
+        return true;
+    }
+
+    /**
+     * 5 points per card played, plus 10 for every stock card left when the columns are cleared
+     */
+    updateScore(state, fromArea, toArea, cardCount, toIndex) {
+        state.score += 5;
+
+        if (this.countTableauCards(state) === 0) {
+            state.score += 10 * state.stock.length; // Bonus for finishing "under par"
+        }
+    }
+
+    /**
+     * Game is won when every column has been cleared
+     */
+    isWon(state) {
+        return this.countTableauCards(state) === 0;
+    }
+
+    /**
+     * Every card cleared from the columns is progress
+     */
+    getProgress(state) {
+        return -this.countTableauCards(state);
+    }
+
+    /**
+     * Game is lost when the stock is empty and no column card can be played
+     */
+    isLost(state) {
+        return state.stock.length === 0 && this.findMoves(state).length === 0;
+    }
+
+    /**
+     * Find available Golf moves
+     * Cards from taller columns come first, since they unblock more of the tableau
+     */
+    findMoves(state) {
+        const moves = [];
+
+        if (state.waste.length > 0) {
+            const wasteCard = state.waste[state.waste.length - 1];
+
+            state.tableau.forEach((column, col) => {
+                if (column.length === 0) return;
+
+                const topCard = column[column.length - 1];
+                if (this.canPlayOnWaste(topCard, wasteCard, state.difficulty)) {
+                    moves.push({
+                        type: 'tableau-to-waste',
+                        from: { area: 'tableau', index: col },
+                        to: { area: 'waste', index: 0 },
+                        card: topCard,
+                        priority: 4 + column.length
+                    });
+                }
+            });
+        }
+
+        if (state.stock.length > 0) {
+            moves.push({
+                type: 'draw-stock',
+                from: { area: 'stock', index: 0 },
+                to: { area: 'waste', index: 0 },
+                priority: 1 // Low priority, only suggest if no other moves
+            });
+        }
+
+        return moves;
+    }
+
+    /**
+     * Golf analysis: how much of the tableau has been cleared
+     */
+    analyze(state, analysis) {
+        analysis.foundationProgress = ((35 - this.countTableauCards(state)) / 35) * 100;
+
+        if (analysis.availableMoves > 2) {
+            analysis.suggestions.push("Look for the play that leaves another playable card on top");
+        }
+
+        return analysis;
+    }
+}
+
+VariantRegistry.register(new GolfVariant());
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GolfVariant;
+}
@@ -0,0 +1,344 @@
+/**
+ * Klondike solitaire rules
+ * Seven tableau columns built down in alternating colours, four foundations built up
+ * by suit from Ace to King, and a stock that is drawn one or three cards at a time
+ */
+class KlondikeVariant extends SolitaireVariant {
+    constructor(id = 'klondike', name = 'Klondike') {
+        super(id, name);
+    }
+
+    /**
+     * Deal a Klondike game
+     * Easy deals (or custom rules asking for winnable deals) are proven winnable by the
+     * solver within the game's passes through the stock, Hard deals bury the low cards
+     */
+    deal(state, deck, difficulty) {
+        state.drawCount = state.getRule('drawCount', difficulty === 'hard' ? 3 : 1);
+
+        let deal;
+        if (state.getRule('winnableDeals', difficulty === 'easy')) {
+            deal = deck.createSolvableDeal(state.drawCount, this.getStockPasses(state));
+        } else if (difficulty === 'hard') {
+            deal = deck.createHardDeal();
+        } else { // medium
+            deal = deck.deal();
+        }
+
+        state.tableau = deal.tableau;
+        state.foundation = deal.foundation;
+        state.stock = deal.stock;
+        state.waste = deal.waste;
+        state.dealVerified = deal.verified || false;
+    }
+
+    /**
+     * Easy deals (and custom winnable deals) come from the Klondike solver
+     */
+    hasWinnableDeals() {
+        return true;
+    }
+
+    /**
+     * No rule depends on which column a card is in
+     */
+    areColumnsInterchangeable(state) {
+        return true;
+    }
+
+    /**
+     * Vegas scoring: $52 to play, $5 per foundation card, and one pass through
+     * the stock when drawing one card (three passes when drawing three)
+     */
+    getVegasRules(state) {
+        return {
+            buyIn: 52,
+            cardValue: 5,
+            passes: state.drawCount === 3 ? 3 : 1
+        };
+    }
+
+    /**
+     * Get the number of passes allowed through the stock: set by custom rules,
+     * limited by Vegas scoring, and otherwise unlimited
+     * @returns {number} Number of passes, or -1 for unlimited
+     */
+    getStockPasses(state) {
+        const vegas = state.getVegasRules();
+        return state.getRule('stockPasses', vegas ? vegas.passes : -1);
+    }
+
+    /**
+     * Show the current pass through the stock when the passes are limited
+     */
+    getStatusText(state) {
+        const passes = this.getStockPasses(state);
+        return passes !== -1 ? `Pass: ${state.stockCycles + 1}/${passes}` : null;
+    }
+
+    /**
+     * Klondike move rules: one card at a time to the foundations, alternating-colour
+     * sequences on the tableau, and only Kings on empty columns. A foundation's top card
+     * may come back down onto the tableau (scored as a penalty)
+     */
+    isValidMove(state, cards, fromArea, toArea, targetCards) {
+        if (cards.length === 0) return false;
+
+        const movingCard = cards[0]; // The bottom card being moved
+
+        if (toArea === 'foundation') {
+            // Foundation rules: same suit, ascending rank, only one card at a time
+            if (cards.length > 1) return false;
+            return movingCard.canPlaceOnFoundation(targetCards);
+        } else if (toArea === 'tableau') {
+            // Multiple card moves must form a valid Klondike sequence
+            const targetCard = targetCards.length > 0 ? targetCards[targetCards.length - 1] : null;
+            return this.isValidKlondikeSequence(cards) && movingCard.canPlaceOnTableau(targetCard);
+        }
+
+        return false;
+    }
+
+    /**
+     * Check if cards form a valid Klondike sequence (alternating colors, descending order)
+     */
+    isValidKlondikeSequence(cards) {
+        return this.isAlternatingRun(cards);
+    }
+
+    /**
+     * Draw cards from stock to waste pile, recycling the waste when the stock is empty
+     */
+    drawFromStock(state) {
+        if (state.stock.length === 0) {
+            // Recycle waste pile back to stock
+            if (state.waste.length === 0 || !this.canRecycleStock(state)) {
+                return false; // No cards to draw
+            }
+
+            state.stock = [...state.waste].reverse();
+            state.waste = [];
+            state.stockCycles++;
+
+            // Reset face-up state for recycled cards
+            state.stock.forEach(card => card.faceUp = false);
+
+            state.recordMove({
+                type: 'recycle-stock',
+                stockCycles: state.stockCycles
+            });
+        }
+
+        // Draw the specified number of cards
+        const cardsToDraw = Math.min(state.drawCount, state.stock.length);
+        for (let i = 0; i < cardsToDraw; i++) {
+            const card = state.stock.pop();
+            card.faceUp = true;
+            state.waste.push(card);
+        }
+
+        state.recordMove({
+            type: 'draw-stock',
+            count: cardsToDraw
+        });
+
+        return true;
+    }
+
+    /**
+     * Explain why the stock could not be used
+     */
+    getStockBlockedMessage(state) {
+        if (state.waste.length > 0 && !this.canRecycleStock(state)) {
+            return 'No passes through the stock left.';
+        }
+        return super.getStockBlockedMessage(state);
+    }
+
+    /**
+     * Game is won when all foundation piles have 13 cards
+     */
+    isWon(state) {
+        const totalFoundationCards = state.foundation.reduce((sum, pile) => sum + pile.length, 0);
+        return totalFoundationCards === state.foundation.length * 13;
+    }
+
+    /**
+     * Auto-complete is possible once every tableau card is face up and the stock is empty
+     */
+    canAutoComplete(state) {
+        const allFaceUp = state.tableau.every(column => column.every(card => card.faceUp));
+
+        // Also check if waste pile is empty or only has cards that can go to foundation
+        const wasteCanComplete = state.waste.length === 0 ||
+            state.waste.every(card => state.canMoveToAnyFoundation(card));
+
+        return allFaceUp && wasteCanComplete && state.stock.length === 0;
+    }
+
+    /**
+     * Find available Klondike moves
+     */
+    findMoves(state) {
+        const moves = [];
+
+        // Check moves from tableau to foundation
+        for (let col = 0; col < state.tableau.length; col++) {
+            const column = state.tableau[col];
+            if (column.length > 0) {
+                const topCard = column[column.length - 1];
+                if (topCard.faceUp) {
+                    for (let foundIndex = 0; foundIndex < state.foundation.length; foundIndex++) {
+                        if (topCard.canPlaceOnFoundation(state.foundation[foundIndex])) {
+                            moves.push({
+                                type: 'tableau-to-foundation',
+                                from: { area: 'tableau', index: col },
+                                to: { area: 'foundation', index: foundIndex },
+                                card: topCard,
+                                priority: 10 // High priority for foundation moves
+                            });
+                        }
+                    }
+                }
+            }
+        }
+
+        if (state.waste.length > 0) {
+            const topCard = state.waste[state.waste.length - 1];
+
+            // Check moves from waste to foundation
+            for (let foundIndex = 0; foundIndex < state.foundation.length; foundIndex++) {
+                if (topCard.canPlaceOnFoundation(state.foundation[foundIndex])) {
+                    moves.push({
+                        type: 'waste-to-foundation',
+                        from: { area: 'waste', index: 0 },
+                        to: { area: 'foundation', index: foundIndex },
+                        card: topCard,
+                        priority: 9 // High priority for foundation moves
+                    });
+                }
+            }
+
+            // Check moves from waste to tableau
+            for (let col = 0; col < state.tableau.length; col++) {
+                const column = state.tableau[col];
+                const targetCard = column.length > 0 ? column[column.length - 1] : null;
+
+                if (topCard.canPlaceOnTableau(targetCard)) {
+                    moves.push({
+                        type: 'waste-to-tableau',
+                        from: { area: 'waste', index: 0 },
+                        to: { area: 'tableau', index: col },
+                        card: topCard,
+                        priority: column.length === 0 ? 7 : 5 // Higher priority for empty columns
+                    });
+                }
+            }
+        }
+
+        // Check moves between tableau columns
+        for (let fromCol = 0; fromCol < state.tableau.length; fromCol++) {
+            const fromColumn = state.tableau[fromCol];
+
+            // Find face-up cards that start a movable sequence
+            for (let startIndex = 0; startIndex < fromColumn.length; startIndex++) {
+                if (!fromColumn[startIndex].faceUp) continue;
+                if (!this.isValidKlondikeSequence(fromColumn.slice(startIndex))) continue;
+
+                // Try to move this sequence to other columns
+                const movingCard = fromColumn[startIndex];
+                for (let toCol = 0; toCol < state.tableau.length; toCol++) {
+                    if (toCol === fromCol) continue;
+
+                    const toColumn = state.tableau[toCol];
+                    const targetCard = toColumn.length > 0 ? toColumn[toColumn.length - 1] : null;
+
+                    if (movingCard.canPlaceOnTableau(targetCard)) {
+                        let priority = 3; // Base priority for tableau moves
+
+                        // Higher priority if it reveals a face-down card
+                        if (startIndex > 0 && !fromColumn[startIndex - 1].faceUp) {
+                            priority += 3;
+                        }
+
+                        // Higher priority if moving to empty column with King
+                        if (toColumn.length === 0 && movingCard.rank === 13) {
+                            priority += 2;
+                        }
+
+                        moves.push({
+                            type: 'tableau-to-tableau',
+                            from: { area: 'tableau', index: fromCol },
+                            to: { area: 'tableau', index: toCol },
+                            card: movingCard,
+                            cardCount: fromColumn.length - startIndex,
+                            priority: priority
+                        });
+                    }
+                }
+            }
+        }
+
+        // Check if stock can be drawn
+        if (state.stock.length > 0 || (state.waste.length > 0 && this.canRecycleStock(state))) {
+            moves.push({
+                type: 'draw-stock',
+                from: { area: 'stock', index: 0 },
+                to: { area: 'waste', index: 0 },
+                priority: 1 // Low priority, only suggest if no other moves
+            });
+        }
+
+        return moves;
+    }
+
+    /**
+     * Klondike analysis: buried Aces, exposed Kings and foundation progress
+     */
+    analyze(state, analysis) {
+        // Count buried aces
+        state.tableau.forEach(column => {
+            for (let i = 0; i < column.length - 1; i++) {
+                if (!column[i].faceUp && column[i].rank === 1) {
+                    analysis.buriedAces++;
+                }
+            }
+        });
+
+        // Count exposed kings
+        state.tableau.forEach(column => {
+            if (column.length > 0) {
+                const topCard = column[column.length - 1];
+                if (topCard.faceUp && topCard.rank === 13) {
+                    analysis.exposedKings++;
+                }
+            }
+        });
+
+        // Calculate foundation progress
+        const totalFoundationCards = state.foundation.reduce((sum, pile) => sum + pile.length, 0);
+        analysis.foundationProgress = (totalFoundationCards / (state.foundation.length * 13)) * 100;
+
+        // Generate suggestions
+        if (analysis.emptyColumns > 0 && analysis.exposedKings === 0) {
+            analysis.suggestions.push("Try to expose a King to fill empty columns");
+        }
+
+        if (analysis.buriedAces > 2) {
+            analysis.suggestions.push("Focus on revealing buried Aces");
+        }
+
+        if (analysis.foundationProgress < 20 && analysis.availableMoves > 5) {
+            analysis.suggestions.push("Build foundations when possible for easier endgame");
+        }
+
+        return analysis;
+    }
+}
+
+VariantRegistry.register(new KlondikeVariant());
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KlondikeVariant;
+}
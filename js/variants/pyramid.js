@@ -0,0 +1,310 @@
+/**
+ * Pyramid solitaire rules
+ * 28 face-up cards form a seven-row pyramid. Remove pairs of uncovered cards whose
+ * values add up to 13 (Jack=11, Queen=12, King=13), with Kings removed on their own.
+ * The stock is turned one card at a time onto the waste, whose top card can pair
+ * with the pyramid. The game is won when the pyramid is cleared
+ */
+class PyramidVariant extends SolitaireVariant {
+    constructor() {
+        super('pyramid', 'Pyramid');
+        this.boardSlots = PyramidVariant.createBoardSlots(PyramidVariant.ROWS);
+    }
+
+    /**
+     * Pyramid layout: the pyramid board plus stock and waste
+     */
+    getLayout() {
+        return {
+            tableauColumns: 0,
+            foundations: 0,
+            stock: true,
+            waste: true,
+            freeCells: 0,
+            board: true,
+            completedSequences: false
+        };
+    }
+
+    /**
+     * Build the pyramid slots, row by row from the top
+     * Each card is covered by the two cards below it in the next row
+     */
+    static createBoardSlots(rows) {
+        const slots = [];
+        for (let row = 0; row < rows; row++) {
+            const rowStart = row * (row + 1) / 2;
+            const nextRowStart = rowStart + row + 1;
+            for (let position = 0; position <= row; position++) {
+                slots.push({
+                    x: (rows - 1 - row) + position * 2, // Half-card offsets centre each row under the one above
+                    y: row,
+                    coveredBy: row < rows - 1 ? [nextRowStart + position, nextRowStart + position + 1] : []
+                });
+            }
+        }
+        return slots;
+    }
+
+    /**
+     * The 28 pyramid slots
+     */
+    getBoardSlots() {
+        return this.boardSlots;
+    }
+
+    /**
+     * Get the number of passes allowed through the stock (by difficulty unless custom rules set it)
+     * @returns {number} Number of passes, or -1 for unlimited
+     */
+    getStockPasses(state) {
+        let passes;
+        switch (state.difficulty) {
+            case 'easy':
+                passes = -1; // Recycle the waste as often as needed
+                break;
+            case 'hard':
+                passes = 1; // A single pass through the stock
+                break;
+            default: // medium
+                passes = 3;
+                break;
+        }
+
+        return state.getRule('stockPasses', passes);
+    }
+
+    /**
+     * Create empty piles plus the pile of removed cards
+     */
+    createLayout(state) {
+        super.createLayout(state);
+        state.discard = []; // Cards removed in pairs (or Kings on their own)
+    }
+
+    /**
+     * Deal the pyramid and put the remaining 24 cards in the stock
+     */
+    deal(state, deck, difficulty) {
+        state.drawCount = 1;
+
+        const deal = deck.dealPyramid();
+        state.board = deal.board;
+        state.stock = deal.stock;
+        state.waste = deal.waste;
+    }
+
+    /**
+     * Removed cards are addressed as area 'discard'
+     */
+    getCardArray(state, area, index) {
+        return area === 'discard' ? state.discard : null;
+    }
+
+    /**
+     * Check if a card can be played: an uncovered pyramid card or the top of the waste
+     */
+    isAvailable(state, area, index) {
+        if (area === 'board') {
+            return this.isBoardCardExposed(state, index);
+        }
+        return area === 'waste' && state.waste.length > 0;
+    }
+
+    /**
+     * Pyramid move rules: a King goes to the discard pile on its own, any other
+     * available card is moved onto an available card that makes 13 with it
+     */
+    isValidMove(state, cards, fromArea, toArea, targetCards, fromIndex, toIndex) {
+        if (cards.length !== 1 || !this.isAvailable(state, fromArea, fromIndex)) return false;
+
+        const card = cards[0];
+
+        if (toArea === 'discard') {
+            return card.getValue(true) === 13;
+        }
+
+        if (fromArea === toArea && fromIndex === toIndex) return false; // A card can't pair with itself
+        if (!this.isAvailable(state, toArea, toIndex)) return false;
+
+        const targetCard = targetCards[targetCards.length - 1];
+        return card.getValue(true) + targetCard.getValue(true) === 13;
+    }
+
+    /**
+     * Kings are removed as soon as they are selected
+     */
+    getDirectMove(state, fromArea, fromIndex) {
+        const pile = state.getCardArray(fromArea, fromIndex);
+        if (!pile || pile.length === 0 || !this.isAvailable(state, fromArea, fromIndex)) return null;
+
+        return pile[pile.length - 1].rank === 13 ? { area: 'discard', index: 0 } : null;
+    }
+
+    /**
+     * Turn the top stock card onto the waste, recycling the waste while passes remain
+     */
+    drawFromStock(state) {
+        if (state.stock.length === 0) {
+            if (state.waste.length === 0 || !this.canRecycleStock(state)) {
+                return false;
+            }
+
+            state.stock = [...state.waste].reverse();
+            state.waste = [];
+            state.stockCycles++;
+            state.stock.forEach(card => card.faceUp = false);
+
+            state.recordMove({
+                type: 'recycle-stock',
+                stockCycles: state.stockCycles
+            });
+        }
+
+        const card = state.stock.pop();
+        card.faceUp = true;
+        state.waste.push(card);
+
+        state.recordMove({
+            type: 'draw-stock',
+            count: 1
+        });
+
+        return true;
+    }
+
+    /**
+     * Explain why the stock could not be used
+     */
+    getStockBlockedMessage(state) {
+        if (state.stock.length === 0 && state.waste.length > 0) {
+            return 'No passes through the stock left.';
+        }
+        return super.getStockBlockedMessage(state);
+    }
+
+    /**
+     * A pair ends up stacked on the target pile - move both cards to the discard pile
+     */
+    afterMove(state, move) {
+        if (move.to.area === 'discard') return;
+
+        const targetCards = state.getCardArray(move.to.area, move.to.index);
+        state.discard.push(...targetCards.splice(-2, 2));
+    }
+
+    /**
+     * 5 points for every card removed
+     */
+    updateScore(state, fromArea, toArea, cardCount, toIndex) {
+        state.score += toArea === 'discard' ? 5 : 10;
+    }
+
+    /**
+     * Game is won when the pyramid has been cleared
+     */
+    isWon(state) {
+        return state.board.every(slot => slot.length === 0);
+    }
+
+    /**
+     * Find available Pyramid moves
+     */
+    findMoves(state) {
+        const moves = [];
+
+        // Every card that can be played right now
+        const available = [];
+        state.board.forEach((slot, index) => {
+            if (this.isBoardCardExposed(state, index)) {
+                available.push({ area: 'board', index, card: slot[0] });
+            }
+        });
+        if (state.waste.length > 0) {
+            available.push({ area: 'waste', index: 0, card: state.waste[state.waste.length - 1] });
+        }
+
+        available.forEach((source, i) => {
+            // Kings are removed on their own
+            if (source.card.rank === 13) {
+                moves.push({
+                    type: 'remove-king',
+                    from: { area: source.area, index: source.index },
+                    to: { area: 'discard', index: 0 },
+                    card: source.card,
+                    priority: source.area === 'board' ? 10 : 6
+                });
+                return;
+            }
+
+            // Pairs that add up to 13
+            for (let j = i + 1; j < available.length; j++) {
+                const target = available[j];
+                if (source.card.getValue(true) + target.card.getValue(true) !== 13) continue;
+
+                moves.push({
+                    type: 'remove-pair',
+                    from: { area: source.area, index: source.index },
+                    to: { area: target.area, index: target.index },
+                    card: source.card,
+                    priority: target.area === 'board' ? 9 : 5 // Prefer pairs that clear two pyramid cards
+                });
+            }
+        });
+
+        // Check if the stock can be turned
+        if (state.stock.length > 0 || (state.waste.length > 0 && this.canRecycleStock(state))) {
+            moves.push({
+                type: 'draw-stock',
+                from: { area: 'stock', index: 0 },
+                to: { area: 'waste', index: 0 },
+                priority: 1 // Low priority, only suggest if no other moves
+            });
+        }
+
+        return moves;
+    }
+
+    /**
+     * Pyramid analysis: how much of the pyramid has been cleared
+     */
+    analyze(state, analysis) {
+        const cleared = state.board.filter(slot => slot.length === 0).length;
+        analysis.foundationProgress = (cleared / state.board.length) * 100;
+
+        if (state.stock.length === 0 && state.waste.length > 0 && !this.canRecycleStock(state)) {
+            analysis.suggestions.push("Last pass through the stock - only the waste card is left to pair with");
+        }
+
+        if (analysis.availableMoves > 2) {
+            analysis.suggestions.push("Clear the lower rows first to uncover more of the pyramid");
+        }
+
+        return analysis;
+    }
+
+    /**
+     * Save the removed cards
+     */
+    serialize(state) {
+        return {
+            discard: state.discard.map(card => card.toJSON())
+        };
+    }
+
+    /**
+     * Restore the removed cards
+     */
+    deserialize(state, data) {
+        state.discard = (data.discard || []).map(cardData => Card.fromJSON(cardData));
+    }
+}
+
+PyramidVariant.ROWS = 7; // 1 + 2 + ... + 7 = 28 cards
+
+VariantRegistry.register(new PyramidVariant());
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PyramidVariant;
+}
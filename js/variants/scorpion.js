@@ -0,0 +1,205 @@
+/**
+ * Scorpion solitaire rules
+ * Seven columns of seven cards, with three face-down cards in each of the first four.
+ * As in Yukon, any face-up card moves together with everything on top of it, but
+ * columns build down in suit and only Kings fill empty columns. The last three cards
+ * are dealt onto the first three columns on request. There are no foundations: the
+ * game is won when all four suits are built King to Ace in the columns
+ */
+class ScorpionVariant extends YukonVariant {
+    constructor() {
+        super('scorpion', 'Scorpion');
+    }
+
+    /**
+     * Scorpion layout: 7 columns and the 3-card reserve deal, no foundations or waste
+     */
+    getLayout() {
+        return {
+            tableauColumns: 7,
+            foundations: 0,
+            stock: true,
+            waste: false,
+            freeCells: 0,
+            board: false,
+            completedSequences: false
+        };
+    }
+
+    /**
+     * The reserve is dealt onto the first three columns, so the columns can't be swapped
+     */
+    areColumnsInterchangeable(state) {
+        return false;
+    }
+
+    /**
+     * Create empty piles plus the count of finished suits
+     */
+    createLayout(state) {
+        super.createLayout(state);
+        state.sequencesCompleted = 0; // K-A runs built in the columns
+    }
+
+    /**
+     * Deal 49 cards to the columns and keep 3 back for the reserve deal
+     */
+    deal(state, deck, difficulty) {
+        const deal = deck.dealScorpion();
+        state.tableau = deal.tableau;
+        state.foundation = deal.foundation;
+        state.stock = deal.stock;
+    }
+
+    /**
+     * Show how many suits have been built
+     */
+    getStatusText(state) {
+        return `Suits: ${state.sequencesCompleted}/4`;
+    }
+
+    /**
+     * Build down in suit, Kings on empty columns (the same rule Card uses for Spider runs)
+     */
+    canBuildOn(card, targetCard) {
+        return card.canPlaceOnSpiderTableau(targetCard);
+    }
+
+    /**
+     * Deal the reserve: one card onto each of the first three columns
+     */
+    drawFromStock(state) {
+        if (state.stock.length === 0) {
+            return false;
+        }
+
+        const count = state.stock.length;
+        for (let i = 0; i < count; i++) {
+            const card = state.stock.pop();
+            card.faceUp = true;
+            state.tableau[i].push(card);
+        }
+
+        state.recordMove({
+            type: 'deal-reserve',
+            count: count
+        });
+
+        this.afterMove(state); // A dealt card can finish a suit
+        state.checkWinCondition();
+
+        return true;
+    }
+
+    /**
+     * Explain why the reserve could not be dealt
+     */
+    getStockBlockedMessage(state) {
+        return 'The reserve has already been dealt.';
+    }
+
+    /**
+     * Check if a column ends in a complete K-A run of one suit
+     * An Ace can't be covered, so a finished suit always sits at the end of its column
+     */
+    hasCompleteSequence(column) {
+        if (column.length < 13) return false;
+
+        const run = column.slice(-13);
+        return run.every((card, index) =>
+            card.faceUp && card.suit === run[0].suit && card.rank === 13 - index); // K=13, Q=12, ..., A=1
+    }
+
+    /**
+     * Count finished suits after every move, scoring each new one
+     * Suits stay where they were built rather than being removed like Spider's
+     */
+    afterMove(state, move) {
+        const completed = state.tableau.filter(column => this.hasCompleteSequence(column)).length;
+
+        if (completed > state.sequencesCompleted) {
+            state.scoreSequences(completed - state.sequencesCompleted);
+        }
+        state.sequencesCompleted = completed;
+    }
+
+    /**
+     * Game is won when all four suits are built K-A in the columns
+     */
+    isWon(state) {
+        return state.sequencesCompleted === 4;
+    }
+
+    /**
+     * Suits built K-A count for more than any number of cards turned up
+     */
+    getProgress(state) {
+        return super.getProgress(state) + 100 * state.sequencesCompleted;
+    }
+
+    /**
+     * Without foundations there is nothing to auto-complete
+     */
+    canAutoComplete(state) {
+        return false;
+    }
+
+    /**
+     * Find available Scorpion moves: Yukon's group moves plus the reserve deal
+     */
+    findMoves(state) {
+        const moves = super.findMoves(state);
+
+        if (state.stock.length > 0) {
+            moves.push({
+                type: 'deal-stock',
+                from: { area: 'stock', index: 0 },
+                to: { area: 'tableau', index: -1 }, // Deal to the first three columns
+                priority: 1 // Low priority, only suggest if no other moves
+            });
+        }
+
+        return moves;
+    }
+
+    /**
+     * Scorpion analysis: suit progress and face-down cards
+     */
+    analyze(state, analysis) {
+        analysis.foundationProgress = (state.sequencesCompleted / 4) * 100;
+
+        const faceDown = state.tableau.reduce((sum, column) => sum + column.filter(card => !card.faceUp).length, 0);
+        if (faceDown > 0) {
+            analysis.suggestions.push("Free the face-down cards in the first four columns early");
+        }
+
+        if (state.stock.length > 0 && analysis.availableMoves < 3) {
+            analysis.suggestions.push("Deal the reserve when you run out of moves");
+        }
+
+        return analysis;
+    }
+
+    /**
+     * Save the count of finished suits
+     */
+    serialize(state) {
+        return {
+            sequencesCompleted: state.sequencesCompleted
+        };
+    }
+
+    /**
+     * Restore the count of finished suits
+     */
+    deserialize(state, data) {
+        state.sequencesCompleted = data.sequencesCompleted || 0;
+    }
+}
+
+VariantRegistry.register(new ScorpionVariant());
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScorpionVariant;
+}
@@ -0,0 +1,394 @@
+/**
+ * Spider solitaire rules
+ * Ten tableau columns built down regardless of suit, but only same-suit runs move
+ * together. Completed King-to-Ace runs are removed, and the stock deals one card
+ * onto every column. Difficulty picks the number of suits (1, 2 or 4)
+ */
+class SpiderVariant extends SolitaireVariant {
+    constructor(id = 'spider', name = 'Spider') {
+        super(id, name);
+    }
+
+    /**
+     * Spider layout: 10 columns, no foundations or waste
+     */
+    getLayout() {
+        return {
+            tableauColumns: 10,
+            foundations: 0,
+            stock: true,
+            waste: false,
+            completedSequences: true
+        };
+    }
+
+    /**
+     * Describe the deal: number of decks and the cards dealt to each column
+     */
+    getDealShape() {
+        return {
+            deckCount: 2,
+            columnSizes: [6, 6, 6, 6, 5, 5, 5, 5, 5, 5] // 54 cards, the other 50 are dealt from the stock
+        };
+    }
+
+    /**
+     * Easy deals (and custom winnable deals) come from the Spider solver
+     */
+    hasWinnableDeals() {
+        return true;
+    }
+
+    /**
+     * Get the number of suits used for a difficulty
+     */
+    getSuitCount(difficulty) {
+        switch (difficulty) {
+            case 'easy':
+                return 1; // One suit (spades only)
+            case 'hard':
+                return 4; // All four suits
+            default: // medium
+                return 2; // Two suits (spades and hearts)
+        }
+    }
+
+    /**
+     * Spider difficulties are shown by suit count (e.g. '1-Suit')
+     */
+    getDifficultyName(difficulty) {
+        return `${this.getSuitCount(difficulty)}-Suit`;
+    }
+
+    /**
+     * Create empty piles plus the completed sequence list
+     */
+    createLayout(state) {
+        super.createLayout(state);
+        state.completedSequences = []; // Completed K-A sequences
+        state.spiderSuits = 1; // Number of suits (1, 2, or 4)
+    }
+
+    /**
+     * Deal a Spider game (Easy deals are proven winnable by the solver)
+     */
+    deal(state, deck, difficulty) {
+        state.spiderSuits = state.getRule('spiderSuits', this.getSuitCount(difficulty));
+
+        const { deckCount, columnSizes } = this.getDealShape();
+        const deal = state.getRule('winnableDeals', difficulty === 'easy') ?
+            deck.createSolvableSpiderDeal(state.spiderSuits, this.getSequencesToWin(state), 10, deckCount, columnSizes) :
+            deck.dealSpider(state.spiderSuits, deckCount, columnSizes);
+        state.tableau = deal.tableau;
+        state.stock = deal.stock;
+        state.dealVerified = deal.verified || false;
+    }
+
+    /**
+     * Get the number of completed sequences needed to win
+     */
+    getSequencesToWin(state) {
+        return state.spiderSuits === 1 ? 4 : 8; // 4 sequences for 1-suit, 8 for 2/4-suit
+    }
+
+    /**
+     * Spider move rules: any single card on a card one rank higher,
+     * same-suit runs only, and any card on an empty column
+     */
+    isValidMove(state, cards, fromArea, toArea, targetCards) {
+        if (cards.length === 0 || toArea !== 'tableau') return false;
+
+        const movingCard = cards[0]; // The bottom card being moved
+        const targetCard = targetCards.length > 0 ? targetCards[targetCards.length - 1] : null;
+
+        // For sequences, all cards must be same suit and in descending order
+        return this.isValidSpiderSequence(cards) && movingCard.canPlaceOnAnySuit(targetCard);
+    }
+
+    /**
+     * Check if cards form a valid Spider sequence (same suit, descending order)
+     */
+    isValidSpiderSequence(cards) {
+        if (cards.length <= 1) return true;
+
+        const firstCard = cards[0];
+        for (let i = 1; i < cards.length; i++) {
+            const currentCard = cards[i];
+            const previousCard = cards[i - 1];
+
+            // Must be same suit and descending rank
+            if (currentCard.suit !== firstCard.suit ||
+                currentCard.rank !== previousCard.rank - 1) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Deal one card from the stock onto every tableau column
+     * (or onto the first columns when fewer cards are left)
+     */
+    drawFromStock(state) {
+        const count = Math.min(state.stock.length, state.tableau.length); // The last Spiderette deal is short
+
+        if (count === 0) {
+            return false; // Stock is empty
+        }
+
+        // Check if all columns have at least one card
+        if (state.tableau.some(column => column.length === 0)) {
+            return false; // Cannot deal to empty columns
+        }
+
+        // Deal one card to each column
+        for (let i = 0; i < count; i++) {
+            const card = state.stock.pop();
+            card.faceUp = true;
+            state.tableau[i].push(card);
+        }
+
+        // Check for completed sequences after dealing
+        this.checkForCompletedSequences(state);
+
+        state.recordMove({
+            type: 'deal-spider-cards',
+            count: count
+        });
+
+        state.checkWinCondition();
+
+        return true;
+    }
+
+    /**
+     * Explain why the stock cannot be dealt
+     */
+    getStockBlockedMessage(state) {
+        if (state.stock.length === 0) {
+            return 'No cards left in the stock to deal.';
+        }
+
+        if (state.tableau.some(column => column.length === 0)) {
+            return 'Cannot deal from stock while there are empty columns. Fill all columns first.';
+        }
+
+        return 'Cannot deal from stock at this time.';
+    }
+
+    /**
+     * Remove any K-A sequence completed by a move
+     */
+    afterMove(state) {
+        this.checkForCompletedSequences(state);
+    }
+
+    /**
+     * Check for completed sequences (K-A same suit) and remove them from the tableau
+     */
+    checkForCompletedSequences(state) {
+        for (let colIndex = 0; colIndex < state.tableau.length; colIndex++) {
+            const column = state.tableau[colIndex];
+
+            // Need at least 13 cards for a complete sequence
+            if (column.length < 13) continue;
+
+            // Check from the end of the column backwards
+            for (let startIndex = column.length - 13; startIndex >= 0; startIndex--) {
+                if (this.isCompleteSequence(column, startIndex)) {
+                    // Remove the complete sequence
+                    const sequence = column.splice(startIndex, 13);
+                    state.completedSequences.push(sequence);
+                    state.scoreSequences(1);
+
+                    // Flip the card the sequence was sitting on if it is face down
+                    if (column.length > 0 && !column[column.length - 1].faceUp) {
+                        column[column.length - 1].faceUp = true;
+                    }
+
+                    // Check for more sequences in the same column
+                    this.checkForCompletedSequences(state);
+                    return;
+                }
+            }
+        }
+    }
+
+    /**
+     * Check if cards form a complete sequence (K-A same suit)
+     */
+    isCompleteSequence(column, startIndex) {
+        if (startIndex + 13 > column.length) return false;
+
+        const firstCard = column[startIndex];
+        if (firstCard.rank !== 13) return false; // Must start with King
+
+        // Check if all 13 cards are same suit and descending
+        for (let i = 0; i < 13; i++) {
+            const card = column[startIndex + i];
+            const expectedRank = 13 - i; // K=13, Q=12, ..., A=1
+
+            if (!card.faceUp ||
+                card.suit !== firstCard.suit ||
+                card.rank !== expectedRank) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Game is won when all sequences are completed
+     */
+    isWon(state) {
+        return state.completedSequences.length >= this.getSequencesToWin(state);
+    }
+
+    /**
+     * Completed K-A sequences count for more than any number of cards turned up
+     */
+    getProgress(state) {
+        return super.getProgress(state) + 100 * state.completedSequences.length;
+    }
+
+    /**
+     * Find available Spider moves
+     */
+    findMoves(state) {
+        const moves = [];
+
+        // Check moves between tableau columns
+        for (let fromCol = 0; fromCol < state.tableau.length; fromCol++) {
+            const fromColumn = state.tableau[fromCol];
+
+            // Only same-suit runs that reach the end of the column can move together
+            for (let startIndex = 0; startIndex < fromColumn.length; startIndex++) {
+                if (!fromColumn[startIndex].faceUp) continue;
+                if (!this.isValidSpiderSequence(fromColumn.slice(startIndex))) continue;
+
+                // Try to move this sequence to other columns
+                const movingCard = fromColumn[startIndex];
+                for (let toCol = 0; toCol < state.tableau.length; toCol++) {
+                    if (toCol === fromCol) continue;
+
+                    const toColumn = state.tableau[toCol];
+                    const targetCard = toColumn.length > 0 ? toColumn[toColumn.length - 1] : null;
+
+                    if (movingCard.canPlaceOnAnySuit(targetCard)) {
+                        let priority = 3; // Base priority for tableau moves
+
+                        // Higher priority if it reveals a face-down card
+                        if (startIndex > 0 && !fromColumn[startIndex - 1].faceUp) {
+                            priority += 3;
+                        }
+
+                        // Higher priority if moving to empty column
+                        if (toColumn.length === 0) {
+                            priority += 2;
+                        }
+
+                        // Higher priority if it creates a longer sequence of same suit
+                        if (targetCard && movingCard.suit === targetCard.suit) {
+                            priority += 1;
+                        }
+
+                        moves.push({
+                            type: 'tableau-to-tableau',
+                            from: { area: 'tableau', index: fromCol },
+                            to: { area: 'tableau', index: toCol },
+                            card: movingCard,
+                            cardCount: fromColumn.length - startIndex,
+                            priority: priority
+                        });
+                    }
+                }
+            }
+        }
+
+        // Check if stock can be dealt
+        if (state.stock.length > 0) {
+            moves.push({
+                type: 'deal-stock',
+                from: { area: 'stock', index: 0 },
+                to: { area: 'tableau', index: -1 }, // Deal to all columns
+                priority: 1 // Low priority, only suggest if no other moves
+            });
+        }
+
+        return moves;
+    }
+
+    /**
+     * Spider analysis: sequence progress and partly built K-A runs
+     */
+    analyze(state, analysis) {
+        // Count completed sequences
+        analysis.foundationProgress = (state.completedSequences.length / this.getSequencesToWin(state)) * 100;
+
+        // Count potential sequences (K-A of same suit)
+        let potentialSequences = 0;
+        state.tableau.forEach(column => {
+            for (let i = 0; i < column.length; i++) {
+                if (column[i].faceUp && column[i].rank === 13) { // King
+                    // Check if we can build a sequence from this King
+                    let sequenceLength = 1;
+                    for (let j = i + 1; j < column.length; j++) {
+                        const prevCard = column[j - 1];
+                        const currentCard = column[j];
+                        if (currentCard.suit === prevCard.suit && currentCard.rank === prevCard.rank - 1) {
+                            sequenceLength++;
+                        } else {
+                            break;
+                        }
+                    }
+                    if (sequenceLength >= 5) { // Partial sequence worth noting
+                        potentialSequences++;
+                    }
+                }
+            }
+        });
+
+        // Generate suggestions
+        if (analysis.emptyColumns > 0) {
+            analysis.suggestions.push("Use empty columns strategically to build sequences");
+        }
+
+        if (potentialSequences > 0) {
+            analysis.suggestions.push("Focus on completing sequences from King to Ace");
+        }
+
+        if (analysis.availableMoves < 3 && state.stock.length > 0) {
+            analysis.suggestions.push("Consider dealing from stock to create new opportunities");
+        }
+
+        return analysis;
+    }
+
+    /**
+     * Save completed sequences and the suit count
+     */
+    serialize(state) {
+        return {
+            completedSequences: state.completedSequences.map(seq => seq.map(card => card.toJSON())),
+            spiderSuits: state.spiderSuits
+        };
+    }
+
+    /**
+     * Restore completed sequences and the suit count
+     */
+    deserialize(state, data) {
+        state.completedSequences = data.completedSequences ?
+            data.completedSequences.map(seq => seq.map(cardData => Card.fromJSON(cardData))) : [];
+        state.spiderSuits = data.spiderSuits || 1;
+    }
+}
+
+VariantRegistry.register(new SpiderVariant());
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpiderVariant;
+}
@@ -0,0 +1,48 @@
+/**
+ * Spiderette solitaire rules
+ * Spider played with a single deck in Klondike's seven-column layout: columns of
+ * one to seven cards, the remaining 24 dealt seven at a time from the stock (the
+ * last deal covers only the first three columns). Four K-A runs win the game
+ */
+class SpideretteVariant extends SpiderVariant {
+    constructor() {
+        super('spiderette', 'Spiderette');
+    }
+
+    /**
+     * Spiderette layout: 7 columns, no foundations or waste
+     */
+    getLayout() {
+        return {
+            tableauColumns: 7,
+            foundations: 0,
+            stock: true,
+            waste: false,
+            completedSequences: true
+        };
+    }
+
+    /**
+     * One deck dealt like Klondike: 1 card in the first column up to 7 in the last
+     */
+    getDealShape() {
+        return {
+            deckCount: 1,
+            columnSizes: [1, 2, 3, 4, 5, 6, 7] // 28 cards, the other 24 are dealt from the stock
+        };
+    }
+
+    /**
+     * A single deck always makes four K-A runs, whatever the number of suits
+     */
+    getSequencesToWin(state) {
+        return 4;
+    }
+}
+
+VariantRegistry.register(new SpideretteVariant());
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpideretteVariant;
+}
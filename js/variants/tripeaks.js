@@ -0,0 +1,295 @@
+/**
+ * TriPeaks solitaire rules
+ * 28 cards form three overlapping peaks with only the bottom row face up. Any
+ * uncovered card one rank above or below the waste card can be played onto the
+ * waste (King and Ace are adjacent unless wrapping is switched off), and cards
+ * flip face up once uncovered. Runs of plays without drawing from the stock score
+ * more for every card in the run. The game is won when all three peaks are cleared
+ */
+class TriPeaksVariant extends SolitaireVariant {
+    constructor() {
+        super('tripeaks', 'TriPeaks');
+        this.boardSlots = TriPeaksVariant.createBoardSlots();
+    }
+
+    /**
+     * TriPeaks layout: the three peaks plus stock and waste
+     */
+    getLayout() {
+        return {
+            tableauColumns: 0,
+            foundations: 0,
+            stock: true,
+            waste: true,
+            freeCells: 0,
+            board: true,
+            completedSequences: false
+        };
+    }
+
+    /**
+     * Build the peak slots, row by row from the peak tops down
+     * Each card is covered by the cards half a card to either side in the row below
+     */
+    static createBoardSlots() {
+        const rows = [
+            [3, 9, 15],                                  // Peak tops
+            [2, 4, 8, 10, 14, 16],                       // Second row of each peak
+            [1, 3, 5, 7, 9, 11, 13, 15, 17],             // Third row, where the peaks meet
+            [0, 2, 4, 6, 8, 10, 12, 14, 16, 18]          // Face-up bottom row
+        ];
+
+        const slots = [];
+        rows.forEach((row, y) => row.forEach(x => slots.push({ x, y, coveredBy: [] })));
+
+        slots.forEach(slot => {
+            slots.forEach((other, otherIndex) => {
+                if (other.y === slot.y + 1 && Math.abs(other.x - slot.x) === 1) {
+                    slot.coveredBy.push(otherIndex);
+                }
+            });
+        });
+
+        return slots;
+    }
+
+    /**
+     * The 28 peak slots
+     */
+    getBoardSlots() {
+        return this.boardSlots;
+    }
+
+    /**
+     * Check if King and Ace count as adjacent for a difficulty
+     */
+    wrapsAround(difficulty) {
+        return difficulty !== 'hard';
+    }
+
+    /**
+     * Create empty piles plus the run counters
+     */
+    createLayout(state) {
+        super.createLayout(state);
+        state.streak = 0;        // Cards played since the last stock draw
+        state.longestStreak = 0; // Longest run this game
+    }
+
+    /**
+     * Deal the three peaks, turn the first waste card and put the rest in the stock
+     */
+    deal(state, deck, difficulty) {
+        state.drawCount = 1;
+
+        const deal = deck.dealTriPeaks();
+        state.board = deal.board;
+        state.stock = deal.stock;
+        state.waste = deal.waste;
+    }
+
+    /**
+     * Show the current run in the game header
+     */
+    getStatusText(state) {
+        return `Streak: ${state.streak}`;
+    }
+
+    /**
+     * Check if two cards are one rank apart
+     */
+    isAdjacentRank(card, otherCard, wrap) {
+        const difference = Math.abs(card.rank - otherCard.rank);
+        return difference === 1 || (wrap && difference === 12); // 12 = King next to Ace
+    }
+
+    /**
+     * TriPeaks move rules: an uncovered card one rank away from the waste card
+     * is played onto the waste
+     */
+    isValidMove(state, cards, fromArea, toArea, targetCards, fromIndex, toIndex) {
+        if (cards.length !== 1 || fromArea !== 'board' || toArea !== 'waste') return false;
+        if (!this.isBoardCardExposed(state, fromIndex) || targetCards.length === 0) return false;
+
+        return this.isAdjacentRank(cards[0], targetCards[targetCards.length - 1], this.wrapsAround(state.difficulty));
+    }
+
+    /**
+     * Every peak card plays straight to the waste
+     */
+    getDirectMove(state, fromArea, fromIndex) {
+        return fromArea === 'board' ? { area: 'waste', index: 0 } : null;
+    }
+
+    /**
+     * Turn the next stock card onto the waste (there is only one pass)
+     * Drawing ends the current run
+     */
+    drawFromStock(state) {
+        if (state.stock.length === 0) {
+            return false;
+        }
+
+        const card = state.stock.pop();
+        card.faceUp = true;
+        state.waste.push(card);
+        state.streak = 0;
+
+        state.recordMove({
+            type: 'draw-stock',
+            count: 1
+        });
+
+        return true;
+    }
+
+    /**
+     * Extend the run, turn uncovered cards face up and award the run and peak bonuses
+     */
+    afterMove(state, move) {
+        // Streak scoring: each card in a run scores one more than the card before it
+        state.streak++;
+        state.longestStreak = Math.max(state.longestStreak, state.streak);
+        state.addBonus(state.streak);
+
+        state.board.forEach((slot, index) => {
+            if (slot.length > 0 && !slot[0].faceUp && this.isBoardCardExposed(state, index)) {
+                slot[0].faceUp = true;
+            }
+        });
+
+        // Clearing a peak top scores 15, clearing the last of the three scores 30
+        if (move.from.index < TriPeaksVariant.PEAKS) {
+            const peaksCleared = state.board.slice(0, TriPeaksVariant.PEAKS).filter(slot => slot.length === 0).length;
+            state.addBonus(peaksCleared === TriPeaksVariant.PEAKS ? 30 : 15);
+        }
+    }
+
+    /**
+     * Runs and peaks are scored in afterMove, since the run also has to be tracked
+     * when the game isn't scored
+     */
+    updateScore(state, fromArea, toArea, cardCount, toIndex) {
+    }
+
+    /**
+     * Game is won when all three peaks have been cleared
+     */
+    isWon(state) {
+        return state.board.every(slot => slot.length === 0);
+    }
+
+    /**
+     * Find the longest run of plays starting from the current waste card
+     * Only face-up cards are used, so hints never give away hidden cards
+     * @returns {number[]} Board slot indexes in the order they should be played
+     */
+    findLongestChain(state, wasteCard, removed = new Set()) {
+        const wrap = this.wrapsAround(state.difficulty);
+        let longest = [];
+
+        state.board.forEach((slot, index) => {
+            if (slot.length === 0 || removed.has(index) || !slot[0].faceUp) return;
+
+            const card = slot[0];
+            const exposed = this.boardSlots[index].coveredBy.every(coverIndex =>
+                state.board[coverIndex].length === 0 || removed.has(coverIndex));
+            if (!exposed || !this.isAdjacentRank(card, wasteCard, wrap)) return;
+
+            removed.add(index);
+            const chain = [index, ...this.findLongestChain(state, card, removed)];
+            removed.delete(index);
+
+            if (chain.length > longest.length) {
+                longest = chain;
+            }
+        });
+
+        return longest;
+    }
+
+    /**
+     * Find available TriPeaks moves
+     * Each play carries the longest run it starts, so the hint can show the whole chain
+     */
+    findMoves(state) {
+        const moves = [];
+
+        if (state.waste.length > 0) {
+            const wasteCard = state.waste[state.waste.length - 1];
+            const wrap = this.wrapsAround(state.difficulty);
+
+            state.board.forEach((slot, index) => {
+                if (!this.isBoardCardExposed(state, index) || !this.isAdjacentRank(slot[0], wasteCard, wrap)) return;
+
+                const removed = new Set([index]);
+                const chain = [index, ...this.findLongestChain(state, slot[0], removed)];
+
+                moves.push({
+                    type: 'board-to-waste',
+                    from: { area: 'board', index },
+                    to: { area: 'waste', index: 0 },
+                    card: slot[0],
+                    chain,
+                    priority: 5
+                });
+            });
+        }
+
+        if (state.stock.length > 0) {
+            moves.push({
+                type: 'draw-stock',
+                from: { area: 'stock', index: 0 },
+                to: { area: 'waste', index: 0 },
+                priority: 1 // Low priority, only suggest if no other moves
+            });
+        }
+
+        return moves;
+    }
+
+    /**
+     * TriPeaks analysis: peak progress and run length
+     */
+    analyze(state, analysis) {
+        const cleared = state.board.filter(slot => slot.length === 0).length;
+        analysis.foundationProgress = (cleared / state.board.length) * 100;
+
+        if (analysis.availableMoves > 2) {
+            analysis.suggestions.push("Pick the card that keeps the run going longest before drawing");
+        }
+
+        if (state.stock.length < 5 && cleared < state.board.length / 2) {
+            analysis.suggestions.push("The stock is running low - uncover face-down cards to open new runs");
+        }
+
+        return analysis;
+    }
+
+    /**
+     * Save the run counters
+     */
+    serialize(state) {
+        return {
+            streak: state.streak,
+            longestStreak: state.longestStreak
+        };
+    }
+
+    /**
+     * Restore the run counters
+     */
+    deserialize(state, data) {
+        state.streak = data.streak || 0;
+        state.longestStreak = data.longestStreak || 0;
+    }
+}
+
+TriPeaksVariant.PEAKS = 3; // The first three board slots are the peak tops
+
+VariantRegistry.register(new TriPeaksVariant());
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TriPeaksVariant;
+}
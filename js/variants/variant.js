@@ -0,0 +1,433 @@
+/**
+ * Base class for solitaire variants
+ * A variant describes everything that differs between solitaire games: the layout,
+ * how cards are dealt, which moves are legal, when the game is won, scoring, hints
+ * and any extra state that has to be saved. GameState, HintSystem and UIManager
+ * only talk to the variant, so adding a new game means adding a new subclass
+ */
+class SolitaireVariant {
+    /**
+     * Create a variant
+     * @param {string} id - Identifier used as gameType (e.g. 'klondike')
+     * @param {string} name - Display name shown in the game header
+     */
+    constructor(id, name) {
+        this.id = id;     // Game type identifier stored in saved games
+        this.name = name; // Human readable name
+    }
+
+    /**
+     * Describe the board layout used by this variant
+     * @returns {Object} Pile counts and which areas are shown
+     */
+    getLayout() {
+        return {
+            tableauColumns: 7,          // Number of tableau columns
+            foundations: 4,             // Number of foundation piles (0 hides the foundation area)
+            stock: true,                // Whether the stock pile is shown
+            waste: true,                // Whether the waste pile is shown
+            freeCells: 0,               // Number of free cells (single-card holding spots)
+            board: false,               // Whether cards are laid out in board slots (see getBoardSlots)
+            reserve: false,             // Whether a reserve pile (top card playable) is shown
+            completedSequences: false   // Whether completed K-A sequences are displayed
+        };
+    }
+
+    /**
+     * Get the highest deal number for this variant
+     */
+    getMaxSeed() {
+        return SeededRandom.MAX_SEED;
+    }
+
+    /**
+     * Pick a random deal number for a game started without one
+     */
+    generateSeed() {
+        return SeededRandom.generateSeed(this.getMaxSeed());
+    }
+
+    /**
+     * Describe the board slots for variants that lay cards out in overlapping
+     * positions instead of columns (e.g. Pyramid)
+     * Positions are in half-card widths (x) and board rows (y)
+     * @returns {Object[]} Slots as { x, y, coveredBy } where coveredBy lists the slot
+     *                     indexes that must be cleared before the slot's card is playable
+     */
+    getBoardSlots() {
+        return [];
+    }
+
+    /**
+     * Check if the card in a board slot is uncovered and can be played
+     */
+    isBoardCardExposed(state, index) {
+        const slot = this.getBoardSlots()[index];
+        if (!slot || !state.board[index] || state.board[index].length === 0) return false;
+        return slot.coveredBy.every(coverIndex => state.board[coverIndex].length === 0);
+    }
+
+    /**
+     * Get the label shown for a difficulty (e.g. '1-Suit' for Spider easy)
+     * Returns null to use the standard difficulty name
+     */
+    getDifficultyName(difficulty) {
+        return null;
+    }
+
+    /**
+     * Get extra game status shown in the game header (e.g. the current TriPeaks streak)
+     * Returns null when the variant has nothing to add
+     */
+    getStatusText(state) {
+        return null;
+    }
+
+    /**
+     * Create empty piles for a new game
+     */
+    createLayout(state) {
+        const layout = this.getLayout();
+        state.tableau = Array.from({ length: layout.tableauColumns }, () => []);
+        state.foundation = Array.from({ length: layout.foundations }, () => []);
+        state.stock = [];
+        state.waste = [];
+        state.board = this.getBoardSlots().map(() => []); // Empty unless the layout uses board slots
+    }
+
+    /**
+     * Deal a new game into the state
+     * @param {GameState} state - Game state with empty piles
+     * @param {Deck} deck - Deck seeded from the game's deal number
+     * @param {string} difficulty - 'easy', 'medium', 'hard' or a custom preset key;
+     *                              custom rules are read with state.getRule
+     */
+    deal(state, deck, difficulty) {
+        throw new Error(`Variant "${this.id}" does not implement deal()`);
+    }
+
+    /**
+     * Get the card array for an area that only exists in this variant
+     * @returns {Card[]|null} Cards in the area, or null for unknown areas
+     */
+    getCardArray(state, area, index) {
+        return null;
+    }
+
+    /**
+     * Check if moving cards from one area to another is legal
+     * @param {Card[]} cards - Cards being moved (bottom card first)
+     * @param {number} fromIndex - Source pile index
+     * @param {number} toIndex - Target pile index
+     */
+    isValidMove(state, cards, fromArea, toArea, targetCards, fromIndex, toIndex) {
+        return false;
+    }
+
+    /**
+     * Check if a card can go on a foundation pile
+     * Variants whose foundations don't start at Ace (e.g. Canfield) pass their base rank
+     */
+    canPlaceOnFoundation(state, card, foundationCards) {
+        return card.canPlaceOnFoundation(foundationCards);
+    }
+
+    /**
+     * Get the target for a card that plays with a single click (e.g. a Pyramid King)
+     * @returns {Object|null} Target location as { area, index }, or null to wait for a second click
+     */
+    getDirectMove(state, fromArea, fromIndex) {
+        return null;
+    }
+
+    /**
+     * Handle a click on the stock pile
+     * @returns {boolean} Whether anything happened
+     */
+    drawFromStock(state) {
+        return false;
+    }
+
+    /**
+     * Explain why the stock could not be used
+     */
+    getStockBlockedMessage(state) {
+        return 'No more cards in stock.';
+    }
+
+    /**
+     * Hook run after every successful card move (before the win check)
+     * @param {Object} move - The move as recorded in the history (type, from, to, cards)
+     */
+    afterMove(state, move) {
+    }
+
+    /**
+     * Check if the game has been won
+     */
+    isWon(state) {
+        return false;
+    }
+
+    /**
+     * Check if the game has been lost (no way left to continue, e.g. Golf with an empty stock)
+     */
+    isLost(state) {
+        return false;
+    }
+
+    /**
+     * Update the score for a move
+     */
+    updateScore(state, fromArea, toArea, cardCount, toIndex) {
+        if (toArea === 'foundation') {
+            state.score += 10 * cardCount; // Points for moving to foundation
+        } else if (fromArea === 'waste' && toArea === 'tableau') {
+            state.score += 5 * cardCount; // Points for moving from waste to tableau
+        } else if (fromArea === 'foundation' && toArea === 'tableau') {
+            state.score -= 15 * cardCount; // Penalty for moving from foundation
+        }
+
+        // Bonus for completing a suit
+        if (toArea === 'foundation') {
+            const foundationPile = state.foundation[toIndex];
+            if (foundationPile && foundationPile.length === 13) {
+                state.score += 100; // Bonus for completing a suit
+            }
+        }
+    }
+
+    /**
+     * Get the number of passes allowed through the stock
+     * Only used by variants that turn the waste back over into the stock
+     * @returns {number} Number of passes, or -1 for unlimited
+     */
+    getStockPasses(state) {
+        return -1;
+    }
+
+    /**
+     * Check if the waste may be turned over for another pass through the stock
+     */
+    canRecycleStock(state) {
+        const passes = this.getStockPasses(state);
+        return passes === -1 || state.stockCycles + 1 < passes;
+    }
+
+    /**
+     * Get the passes through the stock left, counting the one in progress (shown on the stock)
+     * @returns {number|null} Passes left, or null when they are unlimited
+     */
+    getStockPassesLeft(state) {
+        const passes = this.getStockPasses(state);
+        if (passes === -1) return null;
+        if (state.stock.length === 0 && !this.canRecycleStock(state)) return 0; // The last pass is over
+
+        return passes - state.stockCycles;
+    }
+
+    /**
+     * Get the Vegas scoring rules for a game, or null when the variant has no Vegas scoring
+     * @returns {Object|null} { buyIn, cardValue, passes } - dollars paid to play, dollars won
+     *                        per foundation card, and passes allowed through the stock
+     */
+    getVegasRules(state) {
+        return null;
+    }
+
+    /**
+     * Check if the remaining cards can be played to the foundations automatically
+     */
+    canAutoComplete(state) {
+        return false;
+    }
+
+    /**
+     * Piles whose top card auto-complete may play to the foundations
+     * @returns {Object[]} Locations as { area, index }
+     */
+    getAutoCompleteSources(state) {
+        const sources = state.tableau.map((column, index) => ({ area: 'tableau', index }));
+        if (this.getLayout().waste) {
+            sources.push({ area: 'waste', index: 0 });
+        }
+        return sources;
+    }
+
+    /**
+     * Find all legal moves for the hint system
+     * @returns {Object[]} Moves with type, from, to, card, cardCount and priority
+     */
+    findMoves(state) {
+        return [];
+    }
+
+    /**
+     * List every legal card move, however pointless, for checking whether the game is stuck
+     * Cards are played from the top of any pile the player can pick from (runs of face-up
+     * cards in the tableau) onto every pile the variant's move rules allow; a foundation's
+     * top card is only tried back on the tableau
+     * @returns {Object[]} Moves as { from, to, cardCount }
+     */
+    findLegalMoves(state) {
+        const piles = [
+            ...state.tableau.map((cards, index) => ({ area: 'tableau', index, cards })),
+            ...state.foundation.map((cards, index) => ({ area: 'foundation', index, cards })),
+            ...state.board.map((cards, index) => ({ area: 'board', index, cards })),
+            ...(state.freeCells || []).map((cards, index) => ({ area: 'freecell', index, cards })),
+            { area: 'waste', index: 0, cards: state.waste }
+        ];
+        ['reserve', 'discard'].forEach(area => {
+            const cards = this.getCardArray(state, area, 0);
+            if (cards) piles.push({ area, index: 0, cards });
+        });
+
+        const moves = [];
+        piles.forEach(source => {
+            if (source.cards.length === 0 || source.area === 'discard') return;
+
+            // Every face-up run in a column can be picked up, elsewhere only the top card
+            let maxCount = 1;
+            if (source.area === 'tableau') {
+                maxCount = 0;
+                while (maxCount < source.cards.length && source.cards[source.cards.length - 1 - maxCount].faceUp) {
+                    maxCount++;
+                }
+            }
+
+            for (let cardCount = 1; cardCount <= maxCount; cardCount++) {
+                const cards = source.cards.slice(-cardCount);
+
+                piles.forEach(target => {
+                    if (target === source || (source.area === 'foundation' && target.area !== 'tableau')) return;
+                    if (!this.isValidMove(state, cards, source.area, target.area, target.cards, source.index, target.index)) return;
+
+                    moves.push({
+                        from: { area: source.area, index: source.index },
+                        to: { area: target.area, index: target.index },
+                        cardCount
+                    });
+                });
+            }
+        });
+
+        return moves;
+    }
+
+    /**
+     * Measure how far the game has got, for checking whether the game is stuck
+     * Cards on the foundations count most, then every card turned face up or
+     * cleared from the board; a won game must measure more than any other position
+     */
+    getProgress(state) {
+        let progress = 0;
+        state.foundation.forEach(pile => { progress += 2 * pile.length; });
+        state.tableau.forEach(column => column.forEach(card => { if (!card.faceUp) progress--; }));
+        state.board.forEach(slot => { progress -= slot.length; });
+        return progress;
+    }
+
+    /**
+     * Check if the tableau columns could be swapped around without changing the game,
+     * so positions that only differ in column order count as one when checking for a
+     * stuck game. Variants that deal to particular columns (e.g. Spider) must say no
+     */
+    areColumnsInterchangeable(state) {
+        return false;
+    }
+
+    /**
+     * Check if every card is dealt face up with no stock, so the player can see the whole game
+     * (the unwinnable indicator is only shown for these games)
+     */
+    isOpenInformation() {
+        return false;
+    }
+
+    /**
+     * Check if the variant can deal games proven winnable by a solver
+     * (the custom rule "Winnable deals only" is only offered for these games)
+     */
+    hasWinnableDeals() {
+        return false;
+    }
+
+    /**
+     * Ask the variant's solver whether the current position can still be won
+     * @returns {boolean|null} true or false when proven, null when unknown or there is no solver
+     */
+    checkWinnable(state) {
+        return null;
+    }
+
+    /**
+     * Add variant-specific figures and suggestions to a game analysis
+     */
+    analyze(state, analysis) {
+        return analysis;
+    }
+
+    /**
+     * Check if cards form a run built down in alternating colours (e.g. 8♠ 7♥ 6♣)
+     */
+    isAlternatingRun(cards) {
+        for (let i = 1; i < cards.length; i++) {
+            const currentCard = cards[i];
+            const previousCard = cards[i - 1];
+
+            // Must be alternating colors and descending rank
+            if (currentCard.isRed() === previousCard.isRed() ||
+                currentCard.rank !== previousCard.rank - 1) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Serialize variant-specific state (piles and counters not shared by every game)
+     */
+    serialize(state) {
+        return {};
+    }
+
+    /**
+     * Restore variant-specific state written by serialize()
+     */
+    deserialize(state, data) {
+    }
+}
+
+/**
+ * Registry of available solitaire variants, keyed by game type
+ */
+class VariantRegistry {
+    /**
+     * Register a variant so it can be selected by its id
+     */
+    static register(variant) {
+        VariantRegistry.variants[variant.id] = variant;
+    }
+
+    /**
+     * Get a variant by game type (falls back to Klondike for unknown types)
+     */
+    static get(gameType) {
+        return VariantRegistry.variants[gameType] || VariantRegistry.variants.klondike;
+    }
+
+    /**
+     * Get all registered variants
+     */
+    static getAll() {
+        return Object.values(VariantRegistry.variants);
+    }
+}
+
+VariantRegistry.variants = {}; // Registered variants by id
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SolitaireVariant, VariantRegistry };
+}
@@ -0,0 +1,226 @@
+/**
+ * Yukon solitaire rules
+ * Klondike's seven columns and four foundations, but every card is dealt and there
+ * is no stock. Any face-up card can be moved together with all the cards on top of
+ * it, whether or not they form a sequence; only the card it lands on must follow
+ * the building rule (alternating colours, one rank lower, Kings on empty columns)
+ */
+class YukonVariant extends SolitaireVariant {
+    constructor(id = 'yukon', name = 'Yukon') {
+        super(id, name);
+    }
+
+    /**
+     * Yukon layout: 7 columns and 4 foundations, no stock or waste
+     */
+    getLayout() {
+        return {
+            tableauColumns: 7,
+            foundations: 4,
+            stock: false,
+            waste: false,
+            freeCells: 0,
+            board: false,
+            completedSequences: false
+        };
+    }
+
+    /**
+     * No rule depends on which column a card is in
+     */
+    areColumnsInterchangeable(state) {
+        return true;
+    }
+
+    /**
+     * Deal all 52 cards to the tableau
+     */
+    deal(state, deck, difficulty) {
+        const deal = deck.dealYukon();
+        state.tableau = deal.tableau;
+        state.foundation = deal.foundation;
+    }
+
+    /**
+     * Check if a card can be built on a tableau card (or an empty column when targetCard is null)
+     */
+    canBuildOn(card, targetCard) {
+        return card.canPlaceOnTableau(targetCard);
+    }
+
+    /**
+     * Check if a tableau card could go to a foundation or onto another column
+     * @param {number} fromCol - Column the card is in
+     */
+    canPlayCard(state, card, fromCol) {
+        if (state.foundation.some(pile => card.canPlaceOnFoundation(pile))) return true;
+
+        return state.tableau.some((column, col) => col !== fromCol &&
+            this.canBuildOn(card, column.length > 0 ? column[column.length - 1] : null));
+    }
+
+    /**
+     * Yukon move rules: single cards to the foundations, and any group of face-up
+     * cards to the tableau as long as its bottom card fits the target (including a
+     * foundation's top card, played back)
+     */
+    isValidMove(state, cards, fromArea, toArea, targetCards) {
+        if (cards.length === 0 || !cards.every(card => card.faceUp)) return false;
+
+        const movingCard = cards[0]; // The bottom card being moved
+
+        if (toArea === 'foundation') {
+            return cards.length === 1 && movingCard.canPlaceOnFoundation(targetCards);
+        } else if (toArea === 'tableau') {
+            // Unlike Klondike, the cards on top of the moving card don't need to be in sequence
+            const targetCard = targetCards.length > 0 ? targetCards[targetCards.length - 1] : null;
+            return this.canBuildOn(movingCard, targetCard);
+        }
+
+        return false;
+    }
+
+    /**
+     * Game is won when all foundation piles have 13 cards
+     */
+    isWon(state) {
+        const totalFoundationCards = state.foundation.reduce((sum, pile) => sum + pile.length, 0);
+        return totalFoundationCards === 52;
+    }
+
+    /**
+     * Auto-complete is possible once every card is face up and every column runs
+     * downward in rank, because the lowest remaining card is then always on top of a pile
+     */
+    canAutoComplete(state) {
+        return state.tableau.every(column =>
+            column.every((card, index) => card.faceUp && (index === 0 || card.rank < column[index - 1].rank)));
+    }
+
+    /**
+     * Find available Yukon moves
+     */
+    findMoves(state) {
+        const moves = [];
+
+        // Check moves from tableau to foundation
+        state.tableau.forEach((column, col) => {
+            if (column.length === 0) return;
+
+            const topCard = column[column.length - 1];
+            for (let foundIndex = 0; foundIndex < state.foundation.length; foundIndex++) {
+                if (topCard.canPlaceOnFoundation(state.foundation[foundIndex])) {
+                    moves.push({
+                        type: 'tableau-to-foundation',
+                        from: { area: 'tableau', index: col },
+                        to: { area: 'foundation', index: foundIndex },
+                        card: topCard,
+                        priority: 10 // High priority for foundation moves
+                    });
+                    break; // One foundation target is enough
+                }
+            }
+        });
+
+        // Check moves between tableau columns: any face-up card can lead a group
+        for (let fromCol = 0; fromCol < state.tableau.length; fromCol++) {
+            const fromColumn = state.tableau[fromCol];
+
+            for (let startIndex = 0; startIndex < fromColumn.length; startIndex++) {
+                const movingCard = fromColumn[startIndex];
+                if (!movingCard.faceUp) continue;
+
+                // A card already resting on a card it could be built on only moves to free
+                // the card below it, so skip the move when that card can't be played anywhere
+                const cardBelow = startIndex > 0 ? fromColumn[startIndex - 1] : null;
+                if (cardBelow && cardBelow.faceUp && this.canBuildOn(movingCard, cardBelow) &&
+                    !this.canPlayCard(state, cardBelow, fromCol)) continue;
+
+                for (let toCol = 0; toCol < state.tableau.length; toCol++) {
+                    if (toCol === fromCol) continue;
+
+                    const toColumn = state.tableau[toCol];
+                    const targetCard = toColumn.length > 0 ? toColumn[toColumn.length - 1] : null;
+
+                    // Moving a whole column into an empty one changes nothing
+                    if (targetCard === null && startIndex === 0) continue;
+                    if (!this.canBuildOn(movingCard, targetCard)) continue;
+
+                    let priority = 3; // Base priority for tableau moves
+
+                    // Higher priority if it reveals a face-down card
+                    if (cardBelow && !cardBelow.faceUp) {
+                        priority += 3;
+                    }
+
+                    // Higher priority if it empties a column
+                    if (startIndex === 0) {
+                        priority += 2;
+                    }
+
+                    moves.push({
+                        type: 'tableau-to-tableau',
+                        from: { area: 'tableau', index: fromCol },
+                        to: { area: 'tableau', index: toCol },
+                        card: movingCard,
+                        cardCount: fromColumn.length - startIndex,
+                        priority: priority
+                    });
+                }
+            }
+        }
+
+        return moves;
+    }
+
+    /**
+     * Yukon analysis: buried Aces and foundation progress
+     */
+    analyze(state, analysis) {
+        state.tableau.forEach(column => {
+            column.forEach(card => {
+                if (!card.faceUp && card.rank === 1) {
+                    analysis.buriedAces++;
+                }
+            });
+        });
+
+        const totalFoundationCards = state.foundation.reduce((sum, pile) => sum + pile.length, 0);
+        analysis.foundationProgress = (totalFoundationCards / 52) * 100;
+
+        if (analysis.buriedAces > 1) {
+            analysis.suggestions.push("Move groups off face-down cards to dig out the buried Aces");
+        }
+
+        if (analysis.emptyColumns > 0) {
+            analysis.suggestions.push("Any face-up King can take its whole group into an empty column");
+        }
+
+        return analysis;
+    }
+}
+
+/**
+ * Russian solitaire rules
+ * Yukon's deal and group moves, but columns build down in the same suit
+ */
+class RussianVariant extends YukonVariant {
+    constructor() {
+        super('russian', 'Russian');
+    }
+
+    /**
+     * Build down in suit, Kings on empty columns (the same rule Card uses for Spider runs)
+     */
+    canBuildOn(card, targetCard) {
+        return card.canPlaceOnSpiderTableau(targetCard);
+    }
+}
+
+VariantRegistry.register(new YukonVariant());
+VariantRegistry.register(new RussianVariant());
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { YukonVariant, RussianVariant };
+}
@@ -13,9 +13,30 @@ const STATIC_FILES = [
     './index.html',
     './styles.css',
     './manifest.json',
+    './js/random.js',
     './js/card.js',
+    './js/solver.js',
     './js/deck.js',
+    './js/variants/variant.js',
+    './js/variants/klondike.js',
+    './js/variants/spider.js',
+    './js/variants/spiderette.js',
+    './js/variants/doubleklondike.js',
+    './js/variants/freecell.js',
+    './js/variants/pyramid.js',
+    './js/variants/tripeaks.js',
+    './js/variants/golf.js',
+    './js/variants/yukon.js',
+    './js/variants/canfield.js',
+    './js/variants/fortythieves.js',
+    './js/variants/scorpion.js',
+    './js/variants/bakersdozen.js',
+    './js/scoring.js',
     './js/game-state.js',
+    './js/replay.js',
+    './js/notation.js',
+    './js/daily.js',
+    './js/history.js',
     './js/tv-remote.js',
     './js/difficulty.js',
     './js/ui.js',
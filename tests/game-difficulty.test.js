@@ -0,0 +1,46 @@
+/**
+ * Tests for filing games dealt elsewhere under a difficulty (DifficultyManager.useGameDifficulty)
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameState, DifficultyManager } = require('./load-scripts');
+
+/**
+ * Deal a Klondike game as it would come out of a game record
+ */
+function dealGame(difficulty, rules = null) {
+    const state = new GameState('klondike');
+    state.newGame(difficulty, 'klondike', 42, 'standard', rules);
+    return state;
+}
+
+test('A game with a built-in difficulty keeps it', () => {
+    const manager = new DifficultyManager();
+    const state = dealGame('hard');
+
+    assert.strictEqual(manager.useGameDifficulty(state), 'hard');
+    assert.strictEqual(manager.currentDifficulty, 'hard');
+});
+
+test("A custom preset that isn't saved here becomes the unsaved custom rules", () => {
+    const manager = new DifficultyManager();
+    const state = dealGame('custom-other-device', { drawCount: 3, stockPasses: 1, winnableDeals: false });
+
+    const key = manager.useGameDifficulty(state);
+    const difficulty = manager.getAllDifficulties()[key];
+
+    assert.strictEqual(key, DifficultyManager.UNSAVED_CUSTOM_KEY);
+    assert.strictEqual(state.difficulty, key); // Stats and history are filed under it
+    assert.strictEqual(difficulty.drawCount, 3);
+    assert.strictEqual(difficulty.features.stockPasses, 1);
+    assert.strictEqual(difficulty.features.winnableDeals, false);
+});
+
+test('An unknown difficulty without rules falls back to Medium', () => {
+    const manager = new DifficultyManager();
+    const state = dealGame('expert');
+
+    assert.strictEqual(manager.useGameDifficulty(state), 'medium');
+    assert.strictEqual(state.difficulty, 'medium');
+});
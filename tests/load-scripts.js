@@ -0,0 +1,22 @@
+/**
+ * Load the game's browser scripts for the tests
+ * The scripts are run in order into one context, as index.html loads them,
+ * and the classes the tests use are handed back
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS = [
+    'random.js', 'card.js', 'solver.js', 'deck.js',
+    'variants/variant.js', 'variants/klondike.js', 'variants/spider.js', 'variants/spiderette.js',
+    'variants/doubleklondike.js', 'variants/freecell.js', 'variants/pyramid.js', 'variants/tripeaks.js',
+    'variants/golf.js', 'variants/yukon.js', 'variants/canfield.js', 'variants/fortythieves.js',
+    'variants/scorpion.js', 'variants/bakersdozen.js',
+    'scoring.js', 'game-state.js', 'difficulty.js'
+];
+
+const context = vm.createContext({ console, localStorage: { getItem: () => null, setItem: () => {} } });
+const source = SCRIPTS.map(file => fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8')).join('\n');
+
+module.exports = vm.runInContext(`${source}\n({ Card, GameState, HintSystem, DifficultyManager, KlondikeSolver });`, context);
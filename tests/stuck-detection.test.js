@@ -0,0 +1,185 @@
+/**
+ * Tests for stuck-game detection (HintSystem.isGameStuck)
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { Card, GameState, HintSystem } = require('./load-scripts');
+
+/**
+ * Create a card; face up unless told otherwise
+ */
+function card(rank, suit, faceUp = true) {
+    const created = new Card(rank, suit);
+    created.faceUp = faceUp;
+    return created;
+}
+
+/**
+ * Create the cards from ace up to the given rank, as they'd sit on a foundation
+ */
+function upTo(rank, suit) {
+    return Array.from({ length: rank }, (_, i) => card(i + 1, suit));
+}
+
+/**
+ * Deal a game and replace its piles with the given position; the stock and waste start empty
+ */
+function position(gameType, piles, rules = null) {
+    const state = new GameState(gameType);
+    state.newGame('medium', gameType, 1, 'standard', rules);
+    state.stock = [];
+    state.waste = [];
+    Object.assign(state, piles);
+    return state;
+}
+
+/**
+ * A Klondike tableau where every move left can be undone and the aces are face down
+ */
+function klondikeTableau() {
+    return [
+        [card(1, 'spades', false), card(9, 'hearts'), card(8, 'spades')], // 8♠ can go to 9♦ and back
+        [card(9, 'diamonds')],
+        [card(13, 'clubs'), card(12, 'hearts')],                         // The King can go to the empty column and back
+        [],
+        [card(1, 'hearts', false), card(5, 'hearts')],
+        [card(1, 'clubs', false), card(5, 'spades')],
+        [card(1, 'diamonds', false), card(3, 'diamonds')]
+    ];
+}
+
+const isStuck = state => new HintSystem().isGameStuck(state);
+
+test('Yukon: moving a card off its parent to free a foundation card is not stuck', () => {
+    const tableau = [[card(8, 'clubs'), card(7, 'diamonds')], [card(8, 'spades')], [], [], [], [], []];
+    const foundation = [upTo(7, 'clubs'), [], [], []];
+
+    assert.strictEqual(isStuck(position('yukon', { tableau, foundation })), false);
+});
+
+test('Yukon: the same card with nowhere to go is stuck', () => {
+    const tableau = [[card(8, 'clubs'), card(7, 'diamonds')], [card(10, 'spades')], [], [], [], [], []];
+    const foundation = [upTo(7, 'clubs'), [], [], []];
+
+    assert.strictEqual(isStuck(position('yukon', { tableau, foundation })), true);
+});
+
+test("Baker's Dozen: moving a card off its parent to free a foundation card is not stuck", () => {
+    const tableau = Array.from({ length: 13 }, () => []);
+    tableau[0] = [card(9, 'hearts'), card(8, 'clubs')];
+    tableau[1] = [card(9, 'diamonds')];
+    const foundation = [upTo(8, 'hearts'), [], [], []];
+
+    assert.strictEqual(isStuck(position('bakersdozen', { tableau, foundation })), false);
+});
+
+test("Baker's Dozen: a card on its parent with nowhere else to go is stuck", () => {
+    const tableau = Array.from({ length: 13 }, () => []);
+    tableau[0] = [card(9, 'hearts'), card(8, 'clubs')];
+    tableau[1] = [card(11, 'diamonds')];
+    const foundation = [upTo(8, 'hearts'), [], [], []];
+
+    assert.strictEqual(isStuck(position('bakersdozen', { tableau, foundation })), true);
+});
+
+test('Canfield: splitting a run to free a foundation card is not stuck', () => {
+    const tableau = [
+        [card(8, 'spades'), card(7, 'hearts'), card(6, 'clubs')],
+        [card(7, 'diamonds')],
+        [card(12, 'diamonds')],
+        [card(11, 'diamonds')]
+    ];
+    const foundation = [upTo(6, 'hearts'), [], [], []];
+
+    assert.strictEqual(isStuck(position('canfield', { tableau, foundation, reserve: [], foundationBaseRank: 1 })), false);
+});
+
+test('Canfield: a run that can only move whole onto nothing is stuck', () => {
+    const tableau = [
+        [card(8, 'spades'), card(7, 'hearts'), card(6, 'clubs')],
+        [card(13, 'diamonds')],
+        [card(12, 'diamonds')],
+        [card(11, 'diamonds')]
+    ];
+    const foundation = [upTo(6, 'hearts'), [], [], []];
+
+    assert.strictEqual(isStuck(position('canfield', { tableau, foundation, reserve: [], foundationBaseRank: 1 })), true);
+});
+
+test('Klondike draw three, one pass: only back-and-forth moves left is stuck', () => {
+    const state = position('klondike', { tableau: klondikeTableau() }, { drawCount: 3, stockPasses: 1 });
+
+    assert.strictEqual(isStuck(state), true);
+});
+
+test('Klondike draw three: a card left in the stock that gets things going is not stuck', () => {
+    const stock = [card(4, 'spades', false), card(2, 'hearts', false), card(10, 'clubs', false)]; // 4♠ is drawn last
+    const state = position('klondike', { tableau: klondikeTableau(), stock }, { drawCount: 3, stockPasses: 1 });
+
+    assert.strictEqual(isStuck(state), false); // 4♠ onto 5♥, then 3♦ onto it turns up the A♦
+});
+
+test('Klondike: a card that can come back off a foundation to turn one up is not stuck', () => {
+    const tableau = [[card(1, 'hearts', false), card(5, 'hearts')], [card(7, 'diamonds')], [], [], [], [], []];
+    const foundation = [[], [], [], upTo(6, 'spades')];
+    const state = position('klondike', { tableau, foundation }, { drawCount: 3, stockPasses: 1 });
+
+    assert.strictEqual(isStuck(state), false); // 6♠ back onto 7♦, 5♥ onto it turns up the A♥
+});
+
+test('FreeCell: full free cells and no move onto the tableau is stuck', () => {
+    const suits = ['spades', 'hearts', 'diamonds', 'clubs'];
+    const tableau = [
+        ...suits.map(suit => [card(1, suit), card(5, suit)]),
+        ...suits.map(suit => [card(2, suit), card(7, suit)])
+    ];
+    const freeCells = suits.map(suit => [card(13, suit)]);
+
+    assert.strictEqual(isStuck(position('freecell', { tableau, freeCells })), true);
+});
+
+test('FreeCell: an empty free cell that frees an ace is not stuck', () => {
+    const suits = ['spades', 'hearts', 'diamonds', 'clubs'];
+    const tableau = [
+        ...suits.map(suit => [card(1, suit), card(5, suit)]),
+        ...suits.map(suit => [card(2, suit), card(7, suit)])
+    ];
+    const freeCells = [[card(13, 'spades')], [card(13, 'hearts')], [card(13, 'diamonds')], []];
+
+    assert.strictEqual(isStuck(position('freecell', { tableau, freeCells })), false);
+});
+
+test('A won game is not stuck', () => {
+    const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
+    const state = position('klondike', { tableau: [[], [], [], [], [], [], []], foundation: suits.map(suit => upTo(13, suit)) });
+
+    assert.strictEqual(isStuck(state), false);
+});
+
+test('A stuck game is only lost once checked, not on every move', () => {
+    const state = position('klondike', { tableau: klondikeTableau() }, { drawCount: 3, stockPasses: 1 });
+
+    assert.ok(state.moveCards('tableau', 0, 'tableau', 1, 1));
+    assert.strictEqual(state.gameLost, false);
+
+    assert.strictEqual(state.checkStuck(), true);
+    assert.strictEqual(state.gameLost, true);
+    assert.strictEqual(state.checkStuck(), false); // Already over
+});
+
+test('A lost game can no longer be undone or redone', () => {
+    const state = position('klondike', { tableau: klondikeTableau() }, { drawCount: 3, stockPasses: 1 });
+
+    assert.ok(state.moveCards('tableau', 0, 'tableau', 1, 1)); // 8♠ onto 9♦
+    assert.ok(state.moveCards('tableau', 1, 'tableau', 0, 1)); // and back
+    assert.ok(state.undoLastMove());
+    assert.ok(state.checkStuck());
+
+    const moves = state.moves;
+    assert.strictEqual(state.undoLastMove(), false);
+    assert.strictEqual(state.redoMove(), false);
+    assert.strictEqual(state.gameLost, true);
+    assert.strictEqual(state.moves, moves);
+    assert.strictEqual(state.tableau[1].length, 2); // Still after the first move
+});
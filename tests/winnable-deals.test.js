@@ -0,0 +1,50 @@
+/**
+ * Tests for Klondike deals proven winnable within the passes through the stock
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { Card, GameState, KlondikeSolver } = require('./load-scripts');
+
+/**
+ * Create a card; face up unless told otherwise
+ */
+function card(rank, suit, faceUp = true) {
+    const created = new Card(rank, suit);
+    created.faceUp = faceUp;
+    return created;
+}
+
+/**
+ * A position that needs a second pass: drawing one card at a time, the A♠ comes out
+ * last and the 2♠ and 3♠ are then buried in the waste in the wrong order
+ */
+function twoPassDeal() {
+    const suit = name => Array.from({ length: 13 }, (_, i) => card(i + 1, name));
+    const spades = Array.from({ length: 10 }, (_, i) => card(13 - i, 'spades')); // K♠ down to 4♠
+
+    return {
+        tableau: [spades, [], [], [], [], [], []],
+        foundation: [suit('hearts'), suit('diamonds'), suit('clubs'), []],
+        stock: [card(1, 'spades', false), card(3, 'spades', false), card(2, 'spades', false)], // 2♠ is drawn first
+        waste: []
+    };
+}
+
+test('The Klondike solver only turns the waste over as often as the passes allow', () => {
+    assert.strictEqual(new KlondikeSolver({ drawCount: 1 }).solve(twoPassDeal()).solved, true);
+    assert.strictEqual(new KlondikeSolver({ drawCount: 1, stockPasses: 2 }).solve(twoPassDeal()).solved, true);
+
+    const onePass = new KlondikeSolver({ drawCount: 1, stockPasses: 1 }).solve(twoPassDeal());
+    assert.strictEqual(onePass.solved, false);
+    assert.strictEqual(onePass.exhausted, false); // Proven, not given up on
+});
+
+test('A custom winnable deal with a pass limit is proven within that limit', () => {
+    const rules = { drawCount: 1, stockPasses: 1, winnableDeals: true };
+    const state = new GameState('klondike');
+    state.newGame('custom', 'klondike', 28, 'standard', rules);
+
+    assert.strictEqual(state.dealVerified, true);
+    assert.strictEqual(new KlondikeSolver({ drawCount: 1, stockPasses: 1 }).solve(state.dealSnapshot).solved, true);
+});